@@ -9,6 +9,7 @@ export default {
   collectCoverageFrom: [
     'src/**/*.{js,jsx}',
     '!src/main.jsx',
+    '!src/sw.js',
     '!src/App.jsx',
     '!**/node_modules/**',
   ],
@@ -1,35 +1,76 @@
-import { useState } from 'react'
-import reactLogo from './assets/react.svg'
-import viteLogo from '/vite.svg'
-import './App.css'
+import React from "react";
+import "./App.css";
+import TodoListCopilot from "./TodoListCopilot";
+import { parseRoute, formatRoute } from "./routes";
+import { useLocation } from "./useLocation";
+import { isModifiedClick } from "./links";
 
-function App() {
-  const [count, setCount] = useState(0)
+/**
+ * App is the todo application: a header above the todo list, whose section,
+ * list and filters live in the URL (see ./routes) so any view can be
+ * bookmarked, shared and reached with back and forward.
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} [props.basePath="/"] - Path the app is served from, ending in "/"
+ * @param {Object} [props.storage] - Passed on to TodoListCopilot
+ * @returns {JSX.Element} The app
+ */
+function App({ basePath = "/", storage }) {
+  const { pathname, search, navigate } = useLocation();
+
+  /** @type {import("./todoView").TodoView|null} The view the URL stands for; null if it matches no route */
+  const view = pathname.startsWith(basePath)
+    ? parseRoute(`/${pathname.slice(basePath.length)}`, search)
+    : null;
+
+  /**
+   * Builds the full URL of a view.
+   * @param {import("./todoView").TodoView} target - The view
+   * @returns {string} The URL, under the base path
+   */
+  const hrefFor = (target) => `${basePath}${formatRoute(target).slice(1)}`;
+
+  /**
+   * Handles clicks on the app's own links without reloading the page.
+   * @param {React.MouseEvent<HTMLAnchorElement>} e - The click event
+   */
+  const handleLinkClick = (e) => {
+    if (isModifiedClick(e)) return;
+    e.preventDefault();
+    navigate(e.currentTarget.getAttribute("href"));
+  };
+
+  /**
+   * Puts a view changed in the todo list into the URL. Going to another
+   * section or list adds a history entry; typing a search or changing a
+   * filter replaces the current one, so back doesn't step through keystrokes.
+   * @param {import("./todoView").TodoView} next - The new view
+   */
+  const handleViewChange = (next) => {
+    const replace = next.section === view.section && next.listId === view.listId;
+    navigate(hrefFor(next), { replace });
+  };
 
   return (
-    <>
-      <div>
-        <a href="https://vite.dev" target="_blank">
-          <img src={viteLogo} className="logo" alt="Vite logo" />
-        </a>
-        <a href="https://react.dev" target="_blank">
-          <img src={reactLogo} className="logo react" alt="React logo" />
-        </a>
-      </div>
-      <h1>Vite + React</h1>
-      <div className="card">
-        <button onClick={() => setCount((count) => count + 1)}>
-          count is {count}
-        </button>
-        <p>
-          Edit <code>src/App.jsx</code> and save to test HMR
-        </p>
-      </div>
-      <p className="read-the-docs">
-        Click on the Vite and React logos to learn more
-      </p>
-    </>
-  )
+    <div className="app">
+      <header className="app-header">
+        <h1>Todos</h1>
+      </header>
+      <main>
+        {view ? (
+          <TodoListCopilot storage={storage} view={view} onViewChange={handleViewChange} getViewHref={hrefFor} />
+        ) : (
+          <div className="not-found">
+            <p>There is nothing at this address.</p>
+            <a href={basePath} onClick={handleLinkClick}>
+              Go to your todos
+            </a>
+          </div>
+        )}
+      </main>
+    </div>
+  );
 }
 
-export default App
+export default App;
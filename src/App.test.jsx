@@ -0,0 +1,132 @@
+import React from 'react';
+import { render, screen, fireEvent, within, act } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import App from './App';
+import { createMemoryStorage } from './storage';
+
+/**
+ * Storage with an active and a completed todo in each of two lists.
+ */
+const createStorage = () =>
+  createMemoryStorage(
+    [
+      { id: 'a', text: 'Plan sprint', completed: false, listId: 'sprint', tags: ['work'] },
+      { id: 'b', text: 'Retro notes', completed: true, listId: 'sprint' },
+      { id: 'c', text: 'Fix login', completed: false, listId: 'bugs' },
+      { id: 'd', text: 'Fix logout', completed: true, listId: 'bugs' },
+    ],
+    [{ id: 'sprint', name: 'Sprint' }, { id: 'bugs', name: 'Bugs' }]
+  );
+
+/**
+ * Renders the app at a URL and waits until a todo it should show has loaded.
+ */
+const renderAt = async (url, shownTodo, props = {}) => {
+  window.history.replaceState(null, '', url);
+  render(<App storage={createStorage()} {...props} />);
+  await screen.findAllByLabelText(`"${shownTodo}"`, { exact: false });
+};
+
+const currentUrl = () => `${window.location.pathname}${window.location.search}`;
+
+const statusTab = (label) =>
+  within(screen.getByRole('group', { name: 'Filter by status' })).getByRole('link', { name: new RegExp(`^${label}`) });
+
+describe('App', () => {
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+  });
+
+  test('shows the active todos at /', async () => {
+    await renderAt('/', 'Plan sprint');
+    expect(screen.queryByText('Retro notes')).not.toBeInTheDocument();
+    expect(screen.queryByText('Completed Tasks')).not.toBeInTheDocument();
+    expect(statusTab('Active')).toHaveAttribute('aria-current', 'page');
+  });
+
+  test('deep-links to a section of a list', async () => {
+    await renderAt('/list/bugs/completed', 'Fix logout');
+    expect(screen.getByRole('heading', { level: 2 })).toHaveTextContent('Bugs');
+    expect(screen.queryByText('Active Tasks')).not.toBeInTheDocument();
+    expect(statusTab('Completed')).toHaveAttribute('aria-current', 'page');
+  });
+
+  test('applies the filters in the query string', async () => {
+    await renderAt('/all?q=plan&tags=work', 'Plan sprint');
+    expect(screen.getByLabelText('Search todos')).toHaveValue('plan');
+    expect(screen.getByText('Active Tasks')).toBeInTheDocument();
+    expect(screen.getByText('Completed Tasks')).toBeInTheDocument();
+    expect(screen.queryByText('Retro notes')).not.toBeInTheDocument();
+  });
+
+  test('navigates between sections, keeping the list and filters', async () => {
+    await renderAt('/list/bugs?q=fix', 'Fix login');
+    const historyLength = window.history.length;
+    expect(statusTab('Completed')).toHaveAttribute('href', '/list/bugs/completed?q=fix');
+
+    fireEvent.click(statusTab('All'));
+    expect(currentUrl()).toBe('/list/bugs/all?q=fix');
+    expect(window.history.length).toBe(historyLength + 1);
+    expect(screen.getByText('Completed Tasks')).toBeInTheDocument();
+    expect(statusTab('All')).toHaveAttribute('aria-current', 'page');
+  });
+
+  test('leaves modified clicks on the section links to the browser', async () => {
+    await renderAt('/', 'Plan sprint');
+    // Runs after the app's handler, then stops jsdom from trying to follow the link
+    let leftToBrowser = false;
+    const followLink = (e) => {
+      leftToBrowser = !e.defaultPrevented;
+      e.preventDefault();
+    };
+    document.addEventListener('click', followLink);
+    fireEvent.click(statusTab('All'), { ctrlKey: true });
+    document.removeEventListener('click', followLink);
+
+    expect(leftToBrowser).toBe(true);
+    expect(currentUrl()).toBe('/');
+  });
+
+  test('puts list switches in the history and filter changes in place', async () => {
+    await renderAt('/', 'Plan sprint');
+    const historyLength = window.history.length;
+
+    fireEvent.click(within(screen.getByRole('navigation', { name: 'Lists' })).getByText('Bugs'));
+    expect(currentUrl()).toBe('/list/bugs');
+    expect(window.history.length).toBe(historyLength + 1);
+
+    fireEvent.change(screen.getByLabelText('Search todos'), { target: { value: 'login' } });
+    expect(currentUrl()).toBe('/list/bugs?q=login');
+    expect(window.history.length).toBe(historyLength + 1);
+  });
+
+  test('follows the back and forward buttons', async () => {
+    await renderAt('/completed', 'Retro notes');
+
+    act(() => {
+      window.history.pushState(null, '', '/list/bugs');
+      window.dispatchEvent(new PopStateEvent('popstate'));
+    });
+    expect(screen.getByText('Fix login')).toBeInTheDocument();
+    expect(screen.queryByText('Retro notes')).not.toBeInTheDocument();
+  });
+
+  test('serves the routes under a base path', async () => {
+    await renderAt('/todos/completed', 'Retro notes', { basePath: '/todos/' });
+    expect(statusTab('Active')).toHaveAttribute('href', '/todos/');
+
+    fireEvent.click(statusTab('All'));
+    expect(currentUrl()).toBe('/todos/all');
+  });
+
+  test('shows a not-found page for unknown paths', async () => {
+    window.history.replaceState(null, '', '/settings');
+    render(<App storage={createStorage()} />);
+    expect(screen.getByText('There is nothing at this address.')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Go to your todos'));
+    expect(currentUrl()).toBe('/');
+    expect(await screen.findByText('Plan sprint')).toBeInTheDocument();
+    expect(statusTab('Active')).toHaveAttribute('aria-current', 'page');
+  });
+});
@@ -0,0 +1,237 @@
+import React, { useState, useId } from "react";
+import {
+  IMPORT_STATUS,
+  getExportFileName,
+  exportTodosAsJSON,
+  exportTodosAsCSV,
+  exportTodosAsMarkdown,
+  parseImportFile,
+} from "./importExport";
+
+/** @type {Object<string, string>} Labels for each preview row status */
+const STATUS_LABELS = {
+  [IMPORT_STATUS.ACCEPTED]: "Accepted",
+  [IMPORT_STATUS.DUPLICATE]: "Duplicate",
+  [IMPORT_STATUS.REJECTED]: "Rejected",
+};
+
+/**
+ * Offers text content to the user as a file download. The link is clicked
+ * while in the page, which Firefox needs, and the URL is revoked only after
+ * the click has been handled so the download can still start.
+ *
+ * @param {string} fileName - The suggested file name
+ * @param {string} content - The file contents
+ * @param {string} type - The MIME type
+ */
+const downloadFile = (fileName, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url));
+};
+
+/**
+ * Reads a chosen file as text.
+ *
+ * @param {Blob} file - The file
+ * @returns {Promise<string>} The file contents
+ */
+const readFileAsText = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+
+/**
+ * ImportRowList lists checked import rows with their status and, for rows
+ * that were not accepted, the reason. Subtasks left out of an accepted row
+ * are listed under it with theirs.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array<import("./importExport").ImportPreviewRow>} props.rows - The rows
+ * @param {string} [props.lineLabel] - Label prefixed to each row's number, e.g. "Line"; none if omitted
+ * @returns {JSX.Element} The row list
+ */
+export function ImportRowList({ rows, lineLabel }) {
+  return (
+    <ol className="import-rows">
+      {rows.map((row) => (
+        <li key={row.line} className={`import-row import-${row.status}`}>
+          <span className="import-status">
+            {lineLabel && `${lineLabel} ${row.line}: `}
+            {STATUS_LABELS[row.status]}
+          </span>
+          <span className="import-text">{row.todo?.text ?? (row.text || "(empty)")}</span>
+          {row.message && <span className="import-message">{row.message}</span>}
+          {row.rejectedSubtasks?.length > 0 && (
+            <ul className="import-subtasks" aria-label="Rejected subtasks">
+              {row.rejectedSubtasks.map((subtask, index) => (
+                <li key={index} className="import-row import-rejected">
+                  <span className="import-status">Subtask rejected</span>
+                  <span className="import-text">{subtask.text || "(empty)"}</span>
+                  <span className="import-message">{subtask.message}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+/**
+ * ImportExport exports the shown list as JSON, CSV or Markdown and imports files
+ * after showing a preview of which rows will be accepted.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array<import("./todoReducer").Todo>} props.todos - The todos to export
+ * @param {string} props.listName - Name of the list, used for file names and messages
+ * @param {function(Array<Object>, boolean): Array<import("./importExport").ImportPreviewRow>} props.onPreview -
+ *   Checks parsed records; the flag says whether the import replaces the list
+ * @param {function(Array<import("./importExport").ImportPreviewRow>, boolean): number} props.onImport -
+ *   Adds the accepted rows and returns how many there were
+ * @returns {JSX.Element} The import/export controls
+ */
+function ImportExport({ todos, listName, onPreview, onImport }) {
+  /** @type {[{fileName: string, records: Array<Object>}|null, Function]} State for the file being previewed */
+  const [pendingImport, setPendingImport] = useState(null);
+
+  /** @type {[boolean, Function]} State for whether the import replaces the list instead of adding to it */
+  const [replace, setReplace] = useState(false);
+
+  /** @type {[string, Function]} State for an error reading the chosen file */
+  const [error, setError] = useState("");
+
+  /** @type {[string, Function]} State for the result of the last import */
+  const [resultMessage, setResultMessage] = useState("");
+
+  /** @type {string} Name grouping the import mode radios */
+  const importModeName = useId();
+
+  const rows = pendingImport ? onPreview(pendingImport.records, replace) : [];
+  const acceptedCount = rows.filter((row) => row.status === IMPORT_STATUS.ACCEPTED).length;
+
+  /**
+   * Counts the preview rows with a status.
+   *
+   * @param {string} status - One of IMPORT_STATUS
+   * @returns {number} The count
+   */
+  const countRows = (status) => rows.filter((row) => row.status === status).length;
+
+  /**
+   * Reads and parses the chosen file, then shows its preview.
+   *
+   * @param {React.ChangeEvent<HTMLInputElement>} e - The file input change event
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setResultMessage("");
+    try {
+      const records = parseImportFile(await readFileAsText(file), file.name);
+      setPendingImport({ fileName: file.name, records });
+      setReplace(false);
+      setError("");
+    } catch (readError) {
+      setPendingImport(null);
+      setError(`Could not import ${file.name}: ${readError.message}`);
+    }
+  };
+
+  /**
+   * Imports the accepted rows and closes the preview.
+   */
+  const confirmImport = () => {
+    const count = onImport(rows, replace);
+    setPendingImport(null);
+    setResultMessage(`Imported ${count} todo${count === 1 ? "" : "s"} into ${listName}`);
+  };
+
+  return (
+    <div className="import-export">
+      <div className="import-export-actions">
+        <button
+          type="button"
+          onClick={() => downloadFile(getExportFileName(listName, "json"), exportTodosAsJSON(todos), "application/json")}
+          aria-label={`Export ${listName} as JSON`}
+        >
+          Export JSON
+        </button>
+        <button
+          type="button"
+          onClick={() => downloadFile(getExportFileName(listName, "csv"), exportTodosAsCSV(todos), "text/csv")}
+          aria-label={`Export ${listName} as CSV`}
+        >
+          Export CSV
+        </button>
+        <button
+          type="button"
+          onClick={() => downloadFile(getExportFileName(listName, "md"), exportTodosAsMarkdown(todos), "text/markdown")}
+          aria-label={`Export ${listName} as Markdown`}
+        >
+          Export Markdown
+        </button>
+        <label className="import-button">
+          Import…
+          <input
+            type="file"
+            className="visually-hidden"
+            accept=".json,.csv,.md,.markdown,.txt,application/json,text/csv,text/markdown,text/plain"
+            onChange={handleFileChange}
+            aria-label="Import todos from file"
+          />
+        </label>
+      </div>
+
+      {error && (
+        <div className="validation-message" role="alert">
+          {error}
+        </div>
+      )}
+      {resultMessage && <p className="import-result" role="status">{resultMessage}</p>}
+
+      {pendingImport && (
+        <section className="import-preview" aria-label="Import preview">
+          <p>
+            {pendingImport.fileName}: {acceptedCount} accepted, {countRows(IMPORT_STATUS.DUPLICATE)} duplicate,{" "}
+            {countRows(IMPORT_STATUS.REJECTED)} rejected
+          </p>
+          <fieldset className="import-mode">
+            <legend>Import mode</legend>
+            <label>
+              <input type="radio" name={importModeName} checked={!replace} onChange={() => setReplace(false)} />
+              Add to {listName}
+            </label>
+            <label>
+              <input type="radio" name={importModeName} checked={replace} onChange={() => setReplace(true)} />
+              Replace {listName}
+            </label>
+          </fieldset>
+          <ImportRowList rows={rows} />
+          <div className="import-preview-actions">
+            <button type="button" onClick={confirmImport} disabled={acceptedCount === 0}>
+              Import {acceptedCount} todo{acceptedCount === 1 ? "" : "s"}
+            </button>
+            <button type="button" onClick={() => setPendingImport(null)}>
+              Cancel import
+            </button>
+          </div>
+        </section>
+      )}
+    </div>
+  );
+}
+
+export default ImportExport;
@@ -0,0 +1,131 @@
+import React, { useState } from "react";
+
+/**
+ * ListSwitcher shows the named lists and the controls to switch, create,
+ * rename and delete them. Names are validated by the callbacks (see ./lists).
+ * The list of lists is only shown once there is more than one to pick from.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array<import("./lists").TodoList>} props.lists - The named lists
+ * @param {import("./lists").TodoList} props.activeList - The list currently shown
+ * @param {function(string): void} props.onSelect - Switches to a list by ID
+ * @param {function(string): {isValid: boolean, message: string}} props.onCreate - Creates a list
+ * @param {function(string, string): {isValid: boolean, message: string}} props.onRename - Renames a list
+ * @param {function(string): void} props.onDelete - Deletes a list by ID
+ * @returns {JSX.Element} The list switcher
+ */
+function ListSwitcher({ lists, activeList, onSelect, onCreate, onRename, onDelete }) {
+  /** @type {["create"|"rename"|null, Function]} State for which name form is open, if any */
+  const [formMode, setFormMode] = useState(null);
+
+  /** @type {[string, Function]} State for the list name field */
+  const [nameInput, setNameInput] = useState("");
+
+  /** @type {[string, Function]} State for the validation message */
+  const [validationMessage, setValidationMessage] = useState("");
+
+  /**
+   * Opens the name form.
+   *
+   * @param {"create"|"rename"} mode - Whether the form creates a list or renames the active one
+   */
+  const openForm = (mode) => {
+    setFormMode(mode);
+    setNameInput(mode === "rename" ? activeList.name : "");
+    setValidationMessage("");
+  };
+
+  /**
+   * Closes the name form without changes.
+   */
+  const closeForm = () => {
+    setFormMode(null);
+    setValidationMessage("");
+  };
+
+  /**
+   * Creates or renames a list from the name field, keeping the form open if the name is invalid.
+   *
+   * @param {React.FormEvent} e - The form submission event
+   */
+  const submitName = (e) => {
+    e.preventDefault();
+    const result = formMode === "rename" ? onRename(activeList.id, nameInput) : onCreate(nameInput);
+    if (!result.isValid) {
+      setValidationMessage(result.message);
+      return;
+    }
+    closeForm();
+  };
+
+  return (
+    <div className="list-switcher">
+      {lists.length > 1 && (
+        <nav className="list-tabs" aria-label="Lists">
+          {lists.map((list) => (
+            <button
+              key={list.id}
+              type="button"
+              className="list-tab"
+              aria-current={list.id === activeList.id ? "true" : undefined}
+              onClick={() => onSelect(list.id)}
+            >
+              {list.name}
+            </button>
+          ))}
+        </nav>
+      )}
+      {formMode ? (
+        <form className="list-form" onSubmit={submitName}>
+          <input
+            type="text"
+            value={nameInput}
+            onChange={(e) => {
+              setNameInput(e.target.value);
+              setValidationMessage("");
+            }}
+            onKeyDown={(e) => e.key === "Escape" && closeForm()}
+            placeholder="List name"
+            aria-label="List name"
+            autoFocus
+          />
+          <button type="submit">
+            {formMode === "rename" ? "Rename" : "Create"}
+          </button>
+          <button type="button" onClick={closeForm} aria-label="Cancel list name">
+            Cancel
+          </button>
+          {validationMessage && (
+            <div className="validation-message" role="alert">
+              {validationMessage}
+            </div>
+          )}
+        </form>
+      ) : (
+        <div className="list-actions">
+          <button type="button" onClick={() => openForm("create")}>
+            New list
+          </button>
+          <button
+            type="button"
+            onClick={() => openForm("rename")}
+            aria-label={`Rename list "${activeList.name}"`}
+          >
+            Rename
+          </button>
+          <button
+            type="button"
+            onClick={() => onDelete(activeList.id)}
+            disabled={lists.length <= 1}
+            aria-label={`Delete list "${activeList.name}"`}
+          >
+            Delete list
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ListSwitcher;
@@ -0,0 +1,93 @@
+import React, { useState, useEffect, useId } from "react";
+
+/**
+ * @typedef {Object} KeyboardShortcut
+ * @property {Array<string>} keys - The keys, any of which works
+ * @property {string} description - What the keys do
+ */
+
+/** @type {Array<KeyboardShortcut>} Every keyboard shortcut, in the order they are listed */
+const KEYBOARD_SHORTCUTS = [
+  { keys: ["↑", "↓"], description: "Move to the previous or next task" },
+  { keys: ["←", "→"], description: "Jump to the other section" },
+  { keys: ["Home", "End"], description: "Move to the first or last task" },
+  { keys: ["Space"], description: "Complete or reopen the task" },
+  { keys: ["Enter", "E", "F2"], description: "Edit the task" },
+  { keys: ["Escape"], description: "Cancel editing" },
+  { keys: ["Delete"], description: "Delete the task (can be undone)" },
+  { keys: ["Alt+↑", "Alt+↓"], description: "Move an active task up or down" },
+  { keys: ["N", "/"], description: "Go to the add field" },
+  { keys: ["Ctrl+Z", "Ctrl+Shift+Z"], description: "Undo or redo" },
+  { keys: ["?"], description: "Show these shortcuts" },
+];
+
+/**
+ * ShortcutHelp is a modal dialog listing the keyboard shortcuts. It takes
+ * focus when opened and gives it back to where it was when closed.
+ *
+ * @component
+ * @param {Object} props
+ * @param {function(): void} props.onClose - Closes the dialog
+ * @returns {JSX.Element} The dialog
+ */
+function ShortcutHelp({ onClose }) {
+  /** @type {string} ID of the dialog heading */
+  const titleId = useId();
+
+  /** @type {[Element|null]} The element that had focus before the dialog opened, read before the close button takes it */
+  const [returnFocusTo] = useState(() => document.activeElement);
+
+  /**
+   * Effect hook to give focus back to that element when the dialog closes.
+   */
+  useEffect(() => () => returnFocusTo?.focus?.(), [returnFocusTo]);
+
+  /**
+   * Closes on Escape and keeps Tab inside the dialog, whose only control is the close button.
+   *
+   * @param {React.KeyboardEvent} e - The keydown event
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      onClose();
+    } else if (e.key === "Tab") {
+      e.preventDefault();
+    }
+  };
+
+  return (
+    <div className="shortcut-help-backdrop" onClick={onClose}>
+      <div
+        className="shortcut-help"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+      >
+        <h3 id={titleId}>Keyboard shortcuts</h3>
+        <dl>
+          {KEYBOARD_SHORTCUTS.map((shortcut) => (
+            <div key={shortcut.description} className="shortcut">
+              <dt>
+                {shortcut.keys.map((key, index) => (
+                  <React.Fragment key={key}>
+                    {index > 0 && " or "}
+                    <kbd>{key}</kbd>
+                  </React.Fragment>
+                ))}
+              </dt>
+              <dd>{shortcut.description}</dd>
+            </div>
+          ))}
+        </dl>
+        <button type="button" onClick={onClose} autoFocus>
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ShortcutHelp;
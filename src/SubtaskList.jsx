@@ -0,0 +1,163 @@
+import React, { useState } from "react";
+
+/**
+ * SubtaskList renders a todo's checklist with inline add, edit, toggle and remove.
+ * Each change goes through the callbacks, which validate text the same way as todos.
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.id - ID for the checklist container, referenced by its toggle button
+ * @param {import("./todoReducer").Todo} props.todo - The parent todo
+ * @param {function(string): {isValid: boolean, message: string}} props.onAdd - Adds a subtask
+ * @param {function(string, string): {isValid: boolean, message: string}} props.onEdit - Renames a subtask
+ * @param {function(string): void} props.onToggle - Toggles a subtask by ID
+ * @param {function(string): void} props.onRemove - Removes a subtask by ID
+ * @returns {JSX.Element} The checklist
+ */
+function SubtaskList({ id, todo, onAdd, onEdit, onToggle, onRemove }) {
+  const subtasks = todo.subtasks ?? [];
+
+  /** @type {[string, Function]} State for the new subtask field */
+  const [input, setInput] = useState("");
+
+  /** @type {[string|null, Function]} State for the ID of the subtask being edited */
+  const [editingId, setEditingId] = useState(null);
+
+  /** @type {[string, Function]} State for the edit field value */
+  const [editInput, setEditInput] = useState("");
+
+  /** @type {[string, Function]} State for the validation message */
+  const [validationMessage, setValidationMessage] = useState("");
+
+  /**
+   * Adds a subtask from the input field, keeping the text if it is invalid.
+   *
+   * @param {React.FormEvent} e - The form submission event
+   */
+  const addSubtask = (e) => {
+    e.preventDefault();
+    const result = onAdd(input);
+    if (!result.isValid) {
+      setValidationMessage(result.message);
+      return;
+    }
+    setInput("");
+    setValidationMessage("");
+  };
+
+  /**
+   * Starts editing a subtask.
+   *
+   * @param {import("./todoReducer").Subtask} subtask - The subtask to edit
+   */
+  const startEditing = (subtask) => {
+    setEditingId(subtask.id);
+    setEditInput(subtask.text);
+    setValidationMessage("");
+  };
+
+  /**
+   * Saves the edited subtask text if it is valid.
+   */
+  const saveEdit = () => {
+    const result = onEdit(editingId, editInput);
+    if (!result.isValid) {
+      setValidationMessage(result.message);
+      return;
+    }
+    setEditingId(null);
+    setValidationMessage("");
+  };
+
+  /**
+   * Handles keys in the edit field: Enter saves, Escape cancels.
+   *
+   * @param {React.KeyboardEvent} e - The keyboard event
+   */
+  const handleEditKeyDown = (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      saveEdit();
+    } else if (e.key === "Escape") {
+      setEditingId(null);
+      setValidationMessage("");
+    }
+  };
+
+  return (
+    <div className="subtask-panel" id={id}>
+      {subtasks.length > 0 && (
+        <ul className="subtask-list" aria-label={`Subtasks of "${todo.text}"`}>
+          {subtasks.map((subtask) => (
+            <li key={subtask.id} className={subtask.completed ? "subtask completed" : "subtask"}>
+              <input
+                type="checkbox"
+                checked={subtask.completed}
+                onChange={() => onToggle(subtask.id)}
+                aria-label={`Mark subtask "${subtask.text}" as ${subtask.completed ? "incomplete" : "complete"}`}
+              />
+              {editingId === subtask.id ? (
+                <>
+                  <input
+                    type="text"
+                    value={editInput}
+                    onChange={(e) => {
+                      setEditInput(e.target.value);
+                      setValidationMessage("");
+                    }}
+                    onKeyDown={handleEditKeyDown}
+                    aria-label={`Edit subtask "${subtask.text}"`}
+                    autoFocus
+                  />
+                  <button type="button" onClick={saveEdit} aria-label="Save subtask">
+                    Save
+                  </button>
+                </>
+              ) : (
+                <>
+                  <span className="subtask-text">{subtask.text}</span>
+                  <button
+                    type="button"
+                    onClick={() => startEditing(subtask)}
+                    aria-label={`Edit subtask "${subtask.text}"`}
+                  >
+                    Edit
+                  </button>
+                </>
+              )}
+              <button
+                type="button"
+                onClick={() => onRemove(subtask.id)}
+                aria-label={`Delete subtask "${subtask.text}"`}
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form className="subtask-form" onSubmit={addSubtask}>
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => {
+            setInput(e.target.value);
+            setValidationMessage("");
+          }}
+          placeholder="Add a subtask"
+          aria-label={`New subtask for "${todo.text}"`}
+        />
+        <button type="submit" aria-label={`Add subtask to "${todo.text}"`}>
+          Add
+        </button>
+      </form>
+      {validationMessage && (
+        <div className="validation-message" role="alert">
+          {validationMessage}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SubtaskList;
@@ -1,5 +1,227 @@
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useRef, useId } from "react";
+import './themes.css';
 import './TodoListCopilot.css';
+import { useTodos } from "./useTodos";
+import { parseDueDate, getDueStatus, formatDueDate, compareByDueDate, DUE_STATUS } from "./dueDates";
+import { PRIORITY_LEVELS, PRIORITY_LABELS, compareByPriority, describeTodo } from "./priorities";
+import { collectTags, hasAllTags, formatWithTags } from "./tags";
+import { findMatches, splitByMatches } from "./search";
+import { useDragReorder, REORDER_ID_ATTRIBUTE } from "./useDragReorder";
+import { useSelection } from "./useSelection";
+import { useRovingFocus } from "./useRovingFocus";
+import ShortcutHelp from "./ShortcutHelp";
+import SubtaskList from "./SubtaskList";
+import ListSwitcher from "./ListSwitcher";
+import ImportExport, { ImportRowList } from "./ImportExport";
+import { parseMarkdownTasks, IMPORT_STATUS } from "./importExport";
+import { isInList } from "./lists";
+import { parseRecurrence, formatRecurrence } from "./recurrence";
+import { DEFAULT_VIEW, VIEW_SECTIONS, normalizeView } from "./todoView";
+import { usePreference } from "./usePreference";
+import { THEMES, THEME_LABELS, isValidTheme, resolveTheme } from "./themes";
+import { useSystemTheme } from "./useSystemTheme";
+import { isModifiedClick } from "./links";
+
+/** @type {number} How long the "Undo delete" toast stays visible, in milliseconds */
+const UNDO_TOAST_DURATION = 5000;
+
+/**
+ * Checks whether a keyboard event is an undo or redo shortcut
+ * (Ctrl+Z / Ctrl+Shift+Z, or Cmd on macOS).
+ *
+ * @param {KeyboardEvent} e - The keyboard event
+ * @returns {"undo"|"redo"|null} The shortcut, or null if it is neither
+ */
+const getHistoryShortcut = (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== "z") {
+    return null;
+  }
+  return e.shiftKey ? "redo" : "undo";
+};
+
+/** @type {string} Validation message for a due date that couldn't be parsed */
+const INVALID_DUE_DATE_MESSAGE = 'Could not understand the due date. Try "tomorrow", "next fri" or YYYY-MM-DD';
+
+/** @type {string} Message shown when the repeat field can't be parsed */
+const INVALID_RECURRENCE_MESSAGE = 'Could not understand the repeat rule. Try "daily", "every mon, thu", "monthly" or "every 3 days"';
+
+/** @type {string} Message shown when the todo being edited is deleted elsewhere, e.g. in another tab */
+const EDITED_TODO_DELETED_MESSAGE = "The todo you were editing was deleted elsewhere, so your changes were discarded.";
+
+/** Sort orders available for the Active Tasks section */
+const ACTIVE_SORT_OPTIONS = [
+  { value: "manual", label: "Manual order" },
+  { value: "dueDate", label: "Due date" },
+  { value: "priority", label: "Priority" },
+];
+
+/** Status filter tabs, one per view section */
+const SECTION_TABS = [
+  { section: VIEW_SECTIONS.ALL, label: "All" },
+  { section: VIEW_SECTIONS.ACTIVE, label: "Active" },
+  { section: VIEW_SECTIONS.COMPLETED, label: "Completed" },
+];
+
+/** Comparators for each non-manual sort order */
+const ACTIVE_SORT_COMPARATORS = {
+  dueDate: compareByDueDate,
+  priority: compareByPriority,
+};
+
+/**
+ * Renders the <option>s of a priority picker, starting with "no priority".
+ *
+ * @param {string} noneLabel - Label for the empty choice
+ * @returns {Array<JSX.Element>} The options
+ */
+const renderPriorityOptions = (noneLabel) => [
+  <option key="" value="">{noneLabel}</option>,
+  ...PRIORITY_LEVELS.map((level) => (
+    <option key={level} value={level}>{PRIORITY_LABELS[level]}</option>
+  )),
+];
+
+/** @type {Array<string>} Input types that take typed text, so single-key shortcuts must not fire in them */
+const TEXT_INPUT_TYPES = ["text", "search", "email", "url", "tel", "number", "password", "date"];
+
+/**
+ * Checks whether an element takes typed text.
+ *
+ * @param {EventTarget} target - The element
+ * @returns {boolean} True for text fields, text areas, selects and editable content
+ */
+const isTextEntry = (target) =>
+  (target instanceof HTMLInputElement && TEXT_INPUT_TYPES.includes(target.type)) ||
+  target instanceof HTMLTextAreaElement ||
+  target instanceof HTMLSelectElement ||
+  Boolean(target?.isContentEditable);
+
+/**
+ * Formats a count with its noun, e.g. "1 todo" or "3 todos".
+ *
+ * @param {number} count - How many
+ * @param {string} [noun="todo"] - The singular noun
+ * @returns {string} The count and noun
+ */
+const formatTodoCount = (count, noun = "todo") => `${count} ${noun}${count === 1 ? "" : "s"}`;
+
+/**
+ * Works out the 1-based position an item will have in a list after a move.
+ *
+ * @param {Array<{id: string}>} list - The list as currently shown
+ * @param {string} id - The ID of the item being moved
+ * @param {string} targetId - The ID of the item it is moved next to
+ * @param {"before"|"after"} placement - Which side of the target it goes
+ * @returns {number} The new position
+ */
+const getPositionAfterMove = (list, id, targetId, placement) => {
+  const targetIndex = list.filter((item) => item.id !== id).findIndex((item) => item.id === targetId);
+  return (placement === "after" ? targetIndex + 1 : targetIndex) + 1;
+};
+
+/**
+ * Renders todo text with the parts matching the search query highlighted.
+ *
+ * @param {string} text - The todo text
+ * @param {Array<[number, number]>|null} ranges - Matched ranges (see ./search); empty or null for none
+ * @returns {string|Array<JSX.Element>} The text, or highlighted segments
+ */
+const renderHighlightedText = (text, ranges) => {
+  if (!ranges?.length) return text;
+  return splitByMatches(text, ranges).map((segment, index) =>
+    segment.match
+      ? <mark key={index}>{segment.text}</mark>
+      : <React.Fragment key={index}>{segment.text}</React.Fragment>
+  );
+};
+
+/**
+ * Renders a todo's tags, if it has any.
+ *
+ * @param {{tags?: Array<string>}} todo - The todo
+ * @returns {JSX.Element|null} The tag list
+ */
+const renderTags = (todo) => {
+  if (!todo.tags?.length) return null;
+  return (
+    <span className="tag-list">
+      {todo.tags.map((tag) => (
+        <span key={tag} className="tag">#{tag}</span>
+      ))}
+    </span>
+  );
+};
+
+/**
+ * Renders a todo's priority badge, if it has a priority.
+ *
+ * @param {{priority?: string|null}} todo - The todo
+ * @returns {JSX.Element|null} The badge
+ */
+const renderPriorityBadge = (todo) => {
+  if (!PRIORITY_LEVELS.includes(todo.priority)) return null;
+  return (
+    <span className={`priority-badge priority-${todo.priority}`}>
+      {PRIORITY_LABELS[todo.priority]}
+      <span className="visually-hidden"> priority</span>
+    </span>
+  );
+};
+
+/**
+ * Renders how often a todo repeats, if it is recurring.
+ *
+ * @param {{recurrence?: import("./recurrence").Recurrence|null}} todo - The todo
+ * @returns {JSX.Element|null} The repeat label
+ */
+const renderRecurrence = (todo) => {
+  if (!todo.recurrence) return null;
+  return (
+    <span className="recurrence-badge">
+      <span aria-hidden="true">↻ </span>
+      <span className="visually-hidden">Repeats </span>
+      {formatRecurrence(todo.recurrence)}
+    </span>
+  );
+};
+
+/**
+ * Renders how many of a todo's subtasks are done, if it has any.
+ *
+ * @param {{subtasks?: Array<{completed: boolean}>}} todo - The todo
+ * @returns {JSX.Element|null} The progress label, e.g. "2/5"
+ */
+const renderSubtaskProgress = (todo) => {
+  if (!todo.subtasks?.length) return null;
+  const done = todo.subtasks.filter((subtask) => subtask.completed).length;
+  return (
+    <span className="subtask-progress">
+      {done}/{todo.subtasks.length}
+      <span className="visually-hidden"> subtasks done</span>
+    </span>
+  );
+};
+
+/**
+ * Renders a todo's due date, if it has one.
+ *
+ * @param {{dueDate?: string|null}} todo - The todo
+ * @param {string|null} status - The due status (see ./dueDates), or null to show the date only
+ * @returns {JSX.Element|null} The due date label
+ */
+const renderDueDate = (todo, status) => {
+  if (!todo.dueDate) return null;
+  const date = formatDueDate(todo.dueDate);
+  const label = {
+    [DUE_STATUS.OVERDUE]: `Overdue: ${date}`,
+    [DUE_STATUS.TODAY]: "Due today",
+  }[status] ?? `Due ${date}`;
+  return (
+    <time className="due-date" dateTime={todo.dueDate}>
+      {label}
+    </time>
+  );
+};
 
 /**
  * TodoListCopilot is a React component that implements a simple but feature-rich todo list.
@@ -12,16 +234,141 @@ import './TodoListCopilot.css';
  * - Auto-focus on input field
  * - Whitespace trimming
  * - Empty input validation
+ * - Configurable validation policy (characters, casing, length, duplicates)
  * - Support for special characters and emojis
  * - Proper handling of long text
  * - Accessible buttons and form controls
+ * - Todos persist across reloads via a pluggable storage layer
+ * - Optional due dates (typed as "tomorrow", "next fri", ...) with overdue highlighting and sorting
+ * - Optional high/medium/low priority with a badge, sorting and filtering
+ * - Tags typed inline as #name or picked from existing tags, with a tag filter bar
+ * - Fuzzy search across both sections with match highlighting and a live "N of M shown" count
+ * - Reorder active tasks by drag-and-drop (mouse or touch) or Alt+Up/Down, announced to screen readers
+ * - Subtask checklists with a "2/5" progress label and optional parent auto-complete
+ * - Several named lists with create/rename/delete/switch controls; todos can move between lists
+ * - Export the shown list as JSON, CSV or Markdown, and import files after a row-by-row preview
+ * - Paste a Markdown checklist or several lines into the add field to add one todo per line
+ * - Undo/redo for every change (buttons, Ctrl+Z / Ctrl+Shift+Z, "Undo delete" toast)
+ * - Changes show at once and are rolled back, with an error banner, if saving them fails
+ * - All / Active / Completed tabs with counts, an "N items left" footer, a remembered
+ *   collapsed Completed Tasks section and a message for empty sections
+ * - Light, dark and high-contrast themes built on CSS custom properties (see ./themes.css),
+ *   following the system setting until the user picks one
  * 
  * @component
+ * @param {Object} props
+ * @param {{load: function(): Promise<Array>, save: function(Array): Promise<void>}} [props.storage] -
+ *   Where todos are persisted (see ./storage). Defaults to localStorage.
+ * @param {Partial<import("./todoValidation").ValidationPolicy>} [props.validationPolicy] -
+ *   Rules for todo text: allowed characters, casing, length and duplicates
+ *   (see ./todoValidation). Defaults to the original alphanumeric, sentence-case rules.
+ * @param {boolean} [props.autoCompleteParents=false] - Move a todo to Completed Tasks once all
+ *   its subtasks are checked off
+ * @param {Array<Object>} [props.todos] - The todos to show; makes the component controlled, so
+ *   changes only stick once passed back from `onChange`
+ * @param {Array<Object>} [props.initialTodos] - The todos to start with when uncontrolled
+ * @param {function(Array<Object>): void} [props.onChange] - Called with the new todos after every change
+ * @param {function(Object): void} [props.onAdd] - Called with each added todo
+ * @param {function(Object): void} [props.onToggle] - Called with each completed or reopened todo
+ * @param {function(Object): void} [props.onDelete] - Called with each deleted todo
+ * @param {function(Object): void} [props.onEdit] - Called with each edited todo
+ * @param {string} [props.title] - Heading above the list; the list's name by default
+ * @param {string} [props.placeholder="Add a todo"] - Placeholder of the add field
+ * @param {string} [props.activeHeading="Active Tasks"] - Heading of the active section
+ * @param {string} [props.completedHeading="Completed Tasks"] - Heading of the completed section
+ * @param {Partial<import("./todoView").TodoView>} [props.view] - The sections, list and filters
+ *   to show; makes them controlled, so changes only stick once passed back from `onViewChange`
+ * @param {function(import("./todoView").TodoView): void} [props.onViewChange] - Called with the new
+ *   view whenever the user changes tab, list, search, tags, priority filter or sort order
+ * @param {function(import("./todoView").TodoView): string} [props.getViewHref] - Gives the URL of a
+ *   view; with it the status tabs are links to their views, which can be opened in a new tab
+ * @param {string} [props.theme] - One of {@link THEMES}; sets the theme for the host app and hides
+ *   the theme picker. Without it the user's pick is used, remembered across visits
  * @returns {JSX.Element} A todo list component with input form and list of todos
  */
-function TodoListCopilot() {
-  /** @type {[Array<{text: string, completed: boolean}>, Function]} State for storing todo items */
-  const [todos, setTodos] = useState([]);
+function TodoListCopilot({
+  storage,
+  validationPolicy,
+  autoCompleteParents = false,
+  todos: controlledTodos,
+  initialTodos,
+  onChange,
+  onAdd,
+  onToggle,
+  onDelete,
+  onEdit,
+  title,
+  placeholder = "Add a todo",
+  activeHeading = "Active Tasks",
+  completedHeading = "Completed Tasks",
+  view: controlledView,
+  onViewChange,
+  getViewHref,
+  theme: hostTheme,
+}) {
+  /** Todo items and the operations on them (see ./useTodos) */
+  const { todos, lists, todosFromStorage, ...todoOperations } = useTodos({
+    storage,
+    validationPolicy,
+    autoCompleteParents,
+    todos: controlledTodos,
+    initialTodos,
+    onChange,
+    onAdd,
+    onToggle,
+    onDelete,
+    onEdit,
+  });
+
+  /** @type {[import("./todoView").TodoView, Function]} State for the view when the parent doesn't control it */
+  const [ownView, setOwnView] = useState(DEFAULT_VIEW);
+
+  /** @type {import("./todoView").TodoView} The sections, list and filters shown */
+  const view = controlledView ? normalizeView(controlledView) : ownView;
+
+  /**
+   * Changes part of the view and reports the new view.
+   * @param {Partial<import("./todoView").TodoView>} changes - The fields to change
+   */
+  const updateView = (changes) => {
+    const next = { ...view, ...changes };
+    if (!controlledView) setOwnView(next);
+    onViewChange?.(next);
+  };
+
+  /** @type {import("./lists").TodoList} The list being shown; the first list if none is chosen or it is gone */
+  const activeList = lists.find((list) => list.id === view.listId) ?? lists[0];
+
+  /** @type {Array<Object>} Todos of the list being shown; every filter below starts from these */
+  const listTodos = todos.filter((todo) => isInList(todo, activeList.id));
+
+  /** @type {number} How many todos of the list are still to do, whatever the filters */
+  const activeCount = listTodos.filter((todo) => !todo.completed).length;
+
+  /** @type {Object<string, number>} How many todos of the list each status tab stands for */
+  const sectionCounts = {
+    [VIEW_SECTIONS.ALL]: listTodos.length,
+    [VIEW_SECTIONS.ACTIVE]: activeCount,
+    [VIEW_SECTIONS.COMPLETED]: listTodos.length - activeCount,
+  };
+
+  /** @type {[string, Function]} Preference for the theme the user picked */
+  const [savedTheme, setSavedTheme] = usePreference("theme", THEMES.SYSTEM);
+
+  /** @type {string} The theme choice in force: the host's, else the user's, else the system's */
+  const themeChoice = [hostTheme, savedTheme].find(isValidTheme) ?? THEMES.SYSTEM;
+
+  /** The operating system's dark mode and contrast settings, for the "system" choice */
+  const systemTheme = useSystemTheme();
+
+  /** @type {string} The theme shown, with "system" resolved */
+  const theme = resolveTheme(themeChoice, systemTheme);
+
+  /** @type {[boolean, Function]} Preference for folding Completed Tasks down to its heading in the All view */
+  const [completedCollapsed, setCompletedCollapsed] = usePreference("completedCollapsed", false);
+
+  /** @type {string} ID of the completed list, for the collapse toggle */
+  const completedListId = useId();
   
   /** @type {[string, Function]} State for input field value */
   const [input, setInput] = useState("");
@@ -29,25 +376,180 @@ function TodoListCopilot() {
   /** @type {[string, Function]} State for validation message */
   const [validationMessage, setValidationMessage] = useState("");
 
-  /** @type {[number, Function]} State for tracking which todo is being edited */
-  const [editingIndex, setEditingIndex] = useState(-1);
+  /** @type {[string|null, Function]} State for tracking the ID of the todo being edited */
+  const [editingId, setEditingId] = useState(null);
+
+  /** @type {[string, Function]} State for the repeat field of the add form */
+  const [repeatInput, setRepeatInput] = useState("");
+
+  /** @type {[string, Function]} State for the repeat field of the edit form */
+  const [editRepeatInput, setEditRepeatInput] = useState("");
 
   /** @type {[string, Function]} State for edit input value */
   const [editInput, setEditInput] = useState("");
 
+  /** @type {[string, Function]} State for the due date field of the add form */
+  const [dueInput, setDueInput] = useState("");
+
+  /** @type {[string, Function]} State for the due date field while editing */
+  const [editDueInput, setEditDueInput] = useState("");
+
+  /** @type {[string, Function]} State for the priority picker of the add form ("" for none) */
+  const [priority, setPriority] = useState("");
+
+  /** @type {[string, Function]} State for the priority picker while editing */
+  const [editPriority, setEditPriority] = useState("");
+
+  /** @type {[Array<Object>|null, Function]} State for the per-line results of the last multi-line paste */
+  const [pasteReport, setPasteReport] = useState(null);
+
   /** @type {[boolean, Function]} State for "Add as completed" checkbox */
   const [addAsCompleted, setAddAsCompleted] = useState(false);
+
+  /** @type {[{text: string, count: number}|null, Function]} State for the most recent deletion, shown in the undo toast */
+  const [deletedTodo, setDeletedTodo] = useState(null);
+  
+  /** @type {[Array<string>, Function]} State for the IDs of todos whose subtask checklist is open */
+  const [expandedSubtaskIds, setExpandedSubtaskIds] = useState([]);
+
+  /** @type {[boolean, Function]} State for whether todos show selection checkboxes for batch actions */
+  const [selectionMode, setSelectionMode] = useState(false);
+
+  /** @type {[boolean, Function]} State for whether the keyboard shortcut help is open */
+  const [showShortcuts, setShowShortcuts] = useState(false);
+
+  /** @type {[string, Function]} State for the reorder announcement read by screen readers */
+  const [reorderAnnouncement, setReorderAnnouncement] = useState("");
   
   /** @type {React.RefObject<HTMLInputElement>} Reference to the input field for focus management */
   const inputRef = useRef(null);
 
+  /** @type {React.RefObject<HTMLUListElement>} Reference to the Active Tasks list, for focus after reordering */
+  const activeListRef = useRef(null);
+
+  /** @type {React.MutableRefObject<string|null>} ID of a just-moved todo whose drag handle should keep focus */
+  const reorderFocusRef = useRef(null);
+
+  /** @type {React.MutableRefObject<string|null>} ID of the todo being edited, updated as soon as editing starts or stops so a late blur cannot save */
+  const editingIdRef = useRef(null);
+
+  /** @type {React.MutableRefObject<boolean>} Whether the last change came from a subtask checklist */
+  const subtaskFocusRef = useRef(false);
+
+  /** @type {string} ID of the hidden reorder instructions */
+  const reorderInstructionsId = useId();
+
+  /** @type {string} Prefix for the IDs of subtask checklists */
+  const subtaskPanelIdPrefix = useId();
+
+  /** @type {string} ID of the "Add as completed" checkbox */
+  const addCompletedId = useId();
+
+  /** @type {string} ID of the active tasks sort picker */
+  const activeSortId = useId();
+
+  /** @type {string} ID of the active tasks priority filter */
+  const priorityFilterId = useId();
+
   /**
    * Effect hook to manage input field focus.
    * Automatically focuses the input field when component mounts and after adding todos.
+   * After a reorder, focus stays on the moved item's drag handle instead,
+   * and after a subtask change it stays in the checklist unless that was unmounted.
+   * An open edit form keeps focus too, since leaving it saves the edit, and
+   * changes loaded from storage (e.g. made in another tab) leave focus alone.
    */
   useEffect(() => {
+    const movedId = reorderFocusRef.current;
+    const fromSubtasks = subtaskFocusRef.current;
+    reorderFocusRef.current = null;
+    subtaskFocusRef.current = false;
+    if (todosFromStorage) {
+      return;
+    }
+    if (fromSubtasks && document.activeElement !== document.body) {
+      return;
+    }
+    if (document.activeElement?.closest(".edit-container")) {
+      return;
+    }
+    if (movedId) {
+      activeListRef.current
+        ?.querySelector(`[${REORDER_ID_ATTRIBUTE}="${movedId}"] .drag-handle`)
+        ?.focus();
+      return;
+    }
     inputRef.current?.focus();
-  }, [todos]);
+  }, [todos, todosFromStorage]);
+
+  /**
+   * Effect hook to stop editing a todo once it is gone, e.g. deleted in another tab.
+   */
+  useEffect(() => {
+    if (editingId === null || todos.some((todo) => todo.id === editingId)) return;
+    editingIdRef.current = null;
+    setEditingId(null);
+    setValidationMessage(EDITED_TODO_DELETED_MESSAGE);
+  }, [todos, editingId]);
+
+  /**
+   * Effect hook to dismiss the "Undo delete" toast after a few seconds.
+   */
+  useEffect(() => {
+    if (!deletedTodo) return;
+    const timer = setTimeout(() => setDeletedTodo(null), UNDO_TOAST_DURATION);
+    return () => clearTimeout(timer);
+  }, [deletedTodo]);
+
+  const { undo, redo } = todoOperations;
+
+  /**
+   * Handles the single-key shortcuts for keys pressed inside the component:
+   * "?" opens the shortcut help and N or "/" jumps to the add field. They are
+   * ignored while typing and while the help is open.
+   * @param {React.KeyboardEvent} e - The keydown event
+   */
+  const handleShortcutKeyDown = (e) => {
+    if (showShortcuts || e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || isTextEntry(e.target)) return;
+    if (e.key === "?") {
+      e.preventDefault();
+      setShowShortcuts(true);
+    } else if (e.key === "/" || e.key.toLowerCase() === "n") {
+      e.preventDefault();
+      inputRef.current?.focus();
+    }
+  };
+
+  /**
+   * Handles the undo/redo shortcuts for keys pressed inside the component, so
+   * the host page keeps its own. Text fields keep the browser's text undo,
+   * except the add field while empty, where focus rests after adding a todo.
+   * @param {React.KeyboardEvent} e - The keydown event
+   */
+  const handleHistoryKeyDown = (e) => {
+    const shortcut = getHistoryShortcut(e);
+    if (!shortcut || e.defaultPrevented) return;
+    const target = e.target;
+    if (isTextEntry(target) && !(target === inputRef.current && target.value === "")) {
+      return;
+    }
+    e.preventDefault();
+    setDeletedTodo(null);
+    if (shortcut === "undo") {
+      undo();
+    } else {
+      redo();
+    }
+  };
+
+  /**
+   * Handles the keyboard shortcuts of keys pressed inside the component.
+   * @param {React.KeyboardEvent} e - The keydown event
+   */
+  const handleRootKeyDown = (e) => {
+    handleHistoryKeyDown(e);
+    handleShortcutKeyDown(e);
+  };
 
   /**
    * Adds a new todo item to the list.
@@ -57,143 +559,681 @@ function TodoListCopilot() {
    */
   const addTodo = (e) => {
     e?.preventDefault(); // Handle form submission
-    const result = validateAndFormatText(input);
+    const due = parseDueDate(dueInput);
+    if (!due.isValid) {
+      setValidationMessage(INVALID_DUE_DATE_MESSAGE);
+      return;
+    }
+    const repeat = parseRecurrence(repeatInput);
+    if (!repeat.isValid) {
+      setValidationMessage(INVALID_RECURRENCE_MESSAGE);
+      return;
+    }
+    const fields = { completed: addAsCompleted, listId: activeList.id };
+    if (due.dueDate) {
+      fields.dueDate = due.dueDate;
+    }
+    if (repeat.recurrence) {
+      fields.recurrence = repeat.recurrence;
+    }
+    if (priority) {
+      fields.priority = priority;
+    }
+    const result = todoOperations.addTodo(input, fields);
     if (!result.isValid) {
       setValidationMessage(result.message);
       return;
     }
     
-    setTodos([...todos, { text: result.formattedText, completed: addAsCompleted }]);
     setInput("");
+    setDueInput("");
+    setRepeatInput("");
+    setPriority("");
     setValidationMessage("");
     setAddAsCompleted(false); // Reset the checkbox after adding the todo
+    setDeletedTodo(null);
+    setPasteReport(null);
+  };
+
+  /**
+   * Adds one todo per line when several lines are pasted into the add field.
+   * Markdown list markers and checkboxes are understood; every line is
+   * validated on its own, and the valid ones are added in a single change.
+   * Single-line pastes are left to the browser.
+   *
+   * @param {React.ClipboardEvent<HTMLInputElement>} e - The paste event
+   */
+  const handlePaste = (e) => {
+    const text = e.clipboardData?.getData("text/plain") ?? "";
+    if (!/[\r\n]/.test(text.trim())) return;
+    e.preventDefault();
+    const options = { listId: activeList.id };
+    const rows = todoOperations.previewImport(parseMarkdownTasks(text), options);
+    todoOperations.importTodos(rows, options);
+    setPasteReport(rows);
+    setValidationMessage("");
+    setDeletedTodo(null);
   };
 
   /**
-   * Removes a todo item from the list by its index.
+   * Removes a todo item from the list by its ID and offers to undo it.
    * 
-   * @param {number} index - The index of the todo to remove
+   * @param {string} id - The ID of the todo to remove
    */
-  const removeTodo = (index) => {
-    setTodos(todos.filter((_, i) => i !== index));
+  const removeTodo = (id) => {
+    const todo = todos.find((item) => item.id === id);
+    if (!todo) return;
+    todoOperations.removeTodo(id);
+    setDeletedTodo({ text: todo.text, count: 1 });
+    if (id === editingId) {
+      stopEditing();
+    }
   };
 
   /**
    * Toggles the completion status of a todo item.
    * 
-   * @param {number} index - The index of the todo to toggle
+   * @param {string} id - The ID of the todo to toggle
    */
-  const toggleTodo = (index) => {
-    setTodos(
-      todos.map((todo, i) =>
-        i === index ? { ...todo, completed: !todo.completed } : todo
-      )
-    );
+  const toggleTodo = (id) => {
+    todoOperations.toggleTodo(id);
+    setDeletedTodo(null);
+  };
+
+  /**
+   * Reverts the most recent change.
+   */
+  const handleUndo = () => {
+    undo();
+    setDeletedTodo(null);
+  };
+
+  /**
+   * Re-applies the most recently undone change.
+   */
+  const handleRedo = () => {
+    redo();
+    setDeletedTodo(null);
   };
 
   /**
-   * Handles keypress events in the input field.
-   * Allows adding todos by pressing Enter.
+   * Handles keydown events in the input fields.
+   * Allows adding todos by pressing Enter, except while an IME is composing text.
    * 
-   * @param {React.KeyboardEvent} e - The keypress event
+   * @param {React.KeyboardEvent} e - The keydown event
    */
-  const handleKeyPress = (e) => {
-    if (e.key === 'Enter') {
+  const handleInputKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.nativeEvent.isComposing) {
       addTodo(e);
     }
   };
 
   /**
-   * Validates and formats text according to alphanumeric rules
-   * @param {string} text - The text to validate and format
-   * @returns {{ isValid: boolean, formattedText: string }} Validation result and formatted text
+   * Starts editing a todo item
+   * @param {string} id - The ID of the todo to edit
    */
-  const validateAndFormatText = (text, excludeIndex = -1) => {
-    const trimmedText = text.trim();
-    if (trimmedText === "") {
-      return { isValid: false, formattedText: "", message: "Please enter a todo item" };
-    }
+  const startEditing = (id) => {
+    const todo = todos.find((item) => item.id === id);
+    if (!todo) return;
+    editingIdRef.current = id;
+    setEditingId(id);
+    setEditInput(formatWithTags(todo));
+    setEditDueInput(todo.dueDate ?? "");
+    setEditRepeatInput(todo.recurrence ? formatRecurrence(todo.recurrence) : "");
+    setEditPriority(todo.priority ?? "");
+    setValidationMessage("");
+  };
 
-    // Check for non-alphanumeric characters
-    if (/[^a-zA-Z0-9\s]/.test(trimmedText)) {
-      return { isValid: false, formattedText: "", message: "Only letters, numbers, and spaces are allowed" };
+  /**
+   * Saves the edited todo item
+   * @param {string} id - The ID of the todo being edited
+   */
+  const saveEdit = (id) => {
+    const due = parseDueDate(editDueInput);
+    if (!due.isValid) {
+      setValidationMessage(INVALID_DUE_DATE_MESSAGE);
+      return;
+    }
+    const repeat = parseRecurrence(editRepeatInput);
+    if (!repeat.isValid) {
+      setValidationMessage(INVALID_RECURRENCE_MESSAGE);
+      return;
+    }
+    const todo = todos.find((item) => item.id === id);
+    // Keep the saved rule, with a monthly rule's anchor day, unless the rule or due date changed
+    const keepsRule = todo?.recurrence && repeat.recurrence && due.dueDate === todo.dueDate &&
+      formatRecurrence(repeat.recurrence) === formatRecurrence(todo.recurrence);
+    const result = todoOperations.editTodo(id, editInput, {
+      dueDate: due.dueDate,
+      priority: editPriority || null,
+      recurrence: keepsRule ? todo.recurrence : repeat.recurrence,
+    });
+    if (!result.isValid) {
+      setValidationMessage(result.message);
+      return;
     }
 
-    // Format the text
-    const alphanumericOnly = trimmedText.replace(/[^a-zA-Z0-9\s]/g, '');
-    const formattedText = alphanumericOnly.charAt(0).toUpperCase() + alphanumericOnly.slice(1).toLowerCase();
-    
-    // Check for duplicates
-    if (isDuplicate(formattedText, excludeIndex)) {
-      return { isValid: false, formattedText: "", message: "This todo item already exists" };
+    stopEditing();
+    setDeletedTodo(null);
+  };
+
+  /**
+   * Leaves editing mode; on its own this cancels the edit.
+   */
+  const stopEditing = () => {
+    editingIdRef.current = null;
+    setEditingId(null);
+    setValidationMessage("");
+  };
+
+  /**
+   * Saves the edit when focus leaves the edit form, unless editing already
+   * ended (a form being removed can still report a blur).
+   * @param {React.FocusEvent} e - The blur event
+   * @param {string} id - The ID of the todo being edited
+   */
+  const handleEditBlur = (e, id) => {
+    if (editingIdRef.current !== id || e.currentTarget.contains(e.relatedTarget)) return;
+    saveEdit(id);
+  };
+
+  /**
+   * Handles keys in a todo row: F2 starts editing it, and on active todos
+   * Alt+Up / Alt+Down move it.
+   * @param {React.KeyboardEvent} e - The keydown event
+   * @param {Object} todo - The todo the event happened on
+   */
+  const handleItemKeyDown = (e, todo) => {
+    if (e.key === "F2" && editingId !== todo.id) {
+      e.preventDefault();
+      startEditing(todo.id);
+      return;
     }
+    if (!todo.completed) {
+      handleReorderKeyDown(e, todo);
+    }
+  };
 
-    return { isValid: true, formattedText, message: "" };
+  /**
+   * Switches to another list, leaving any edit in progress.
+   * @param {string} id - The ID of the list to show
+   */
+  const selectList = (id) => {
+    updateView({ listId: id });
+    stopEditing();
+    clearSelection();
   };
 
   /**
-   * Checks if a todo text already exists (case-insensitive)
-   * @param {string} text - The text to check
-   * @param {number} excludeIndex - Index to exclude from the check (for editing)
-   * @returns {boolean} True if the text is a duplicate
+   * Creates a list and switches to it.
+   * @param {string} name - The list name as typed
+   * @returns {{isValid: boolean, message: string}} The validation result
    */
-  const isDuplicate = (text, excludeIndex = -1) => {
-    return todos.some((todo, index) => 
-      index !== excludeIndex && todo.text.toLowerCase() === text.toLowerCase()
-    );
+  const createList = (name) => {
+    const result = todoOperations.addList(name);
+    if (result.isValid) {
+      selectList(result.id);
+    }
+    return result;
   };
 
   /**
-   * Starts editing a todo item
-   * @param {number} index - The index of the todo to edit
+   * Deletes a list and its todos, after confirming if it still has any.
+   * The deletion can be undone like any other change.
+   * @param {string} id - The ID of the list to delete
    */
-  const startEditing = (index) => {
-    setEditingIndex(index);
-    setEditInput(todos[index].text);
-    setValidationMessage("");
+  const deleteList = (id) => {
+    const list = lists.find((item) => item.id === id);
+    const count = todos.filter((todo) => isInList(todo, id)).length;
+    if (!list || (count > 0 && !window.confirm(`Delete "${list.name}" and its ${count} todo(s)?`))) {
+      return;
+    }
+    todoOperations.removeList(id);
+    setDeletedTodo(null);
+    if (id === activeList.id) {
+      selectList(lists.find((item) => item.id !== id).id);
+    }
   };
 
   /**
-   * Saves the edited todo item
-   * @param {number} index - The index of the todo being edited
+   * Moves a todo into another list and announces it.
+   * @param {Object} todo - The todo to move
+   * @param {string} listId - The ID of the list to move it to
    */
-  const saveEdit = (index) => {
-    const result = validateAndFormatText(editInput, index);
+  const moveTodoToList = (todo, listId) => {
+    const result = todoOperations.moveTodoToList(todo.id, listId);
     if (!result.isValid) {
       setValidationMessage(result.message);
       return;
     }
-
-    setTodos(todos.map((todo, i) => 
-      i === index ? { ...todo, text: result.formattedText } : todo
-    ));
-    setEditingIndex(-1);
+    const list = lists.find((item) => item.id === listId);
+    setReorderAnnouncement(`Moved ${describeTodo(todo)} to ${list.name}`);
     setValidationMessage("");
+    setDeletedTodo(null);
   };
 
   /**
-   * Cancels the editing mode
+   * Checks parsed import records against the shown list.
+   * @param {Array<Object>} records - Records parsed from the import file
+   * @param {boolean} replace - Whether the import replaces the list's todos
+   * @returns {Array<Object>} One preview row per record (see ./importExport)
    */
-  const cancelEdit = () => {
-    setEditingIndex(-1);
-    setValidationMessage("");
+  const previewImport = (records, replace) =>
+    todoOperations.previewImport(records, { listId: activeList.id, replace });
+
+  /**
+   * Imports the accepted preview rows into the shown list.
+   * @param {Array<Object>} rows - The preview rows
+   * @param {boolean} replace - Whether to replace the list's todos
+   * @returns {number} How many todos were imported
+   */
+  const importTodos = (rows, replace) => {
+    setDeletedTodo(null);
+    return todoOperations.importTodos(rows, { listId: activeList.id, replace });
+  };
+
+  /**
+   * Renders the "move to list" picker for a todo, if there is another list to move it to.
+   * @param {Object} todo - The todo
+   * @returns {JSX.Element|null} The picker
+   */
+  const renderMoveToList = (todo) => {
+    if (lists.length <= 1) return null;
+    return (
+      <select
+        className="move-to-list"
+        value=""
+        onChange={(e) => moveTodoToList(todo, e.target.value)}
+        aria-label={`Move ${describeTodo(todo)} to another list`}
+      >
+        <option value="" disabled>Move to…</option>
+        {lists.filter((list) => list.id !== activeList.id).map((list) => (
+          <option key={list.id} value={list.id}>{list.name}</option>
+        ))}
+      </select>
+    );
   };
 
   /**
-   * Get incomplete todo items
+   * Appends a tag picked from the tag picker to the add input.
+   * @param {string} tag - The tag to add
+   */
+  const addTagToInput = (tag) => {
+    if (!tag) return;
+    setInput((current) => `${current.trimEnd()} #${tag}`.trimStart());
+    inputRef.current?.focus();
+  };
+
+  /**
+   * Selects or deselects a tag in the tag filter bar.
+   * @param {string} tag - The tag to toggle
+   */
+  const toggleTagFilter = (tag) => {
+    updateView({
+      tags: view.tags.includes(tag) ? view.tags.filter((selected) => selected !== tag) : [...view.tags, tag],
+    });
+  };
+
+  /** @type {Array<string>} Every tag in the list, for the picker and filter bar */
+  const allTags = collectTags(listTodos);
+
+  /** @type {Array<string>} Selected filter tags that still exist in the list */
+  const activeTagFilter = view.tags.filter((tag) => allTags.includes(tag));
+
+  /** @type {Map<string, Array<[number, number]>|null>} Search matches by todo ID; null means no match */
+  const searchMatches = new Map(listTodos.map((todo) => [todo.id, findMatches(todo.text, view.search)]));
+
+  /**
+   * Checks whether a todo passes the filters shared by both sections (tags and search).
+   * @param {Object} todo - The todo to check
+   * @returns {boolean} True if the todo should be shown
+   */
+  const matchesSharedFilters = (todo) =>
+    hasAllTags(todo, activeTagFilter) && searchMatches.get(todo.id) !== null;
+
+  /**
+   * Get incomplete todo items matching the priority and tag filters, in the selected sort order
    * @returns {Array} Array of incomplete todos
    */
-  const getIncompleteTodos = () => todos.filter(todo => !todo.completed);
+  const getIncompleteTodos = () => {
+    const incomplete = listTodos.filter(todo =>
+      !todo.completed &&
+      (view.priority === "all" || todo.priority === view.priority) &&
+      matchesSharedFilters(todo)
+    );
+    const comparator = ACTIVE_SORT_COMPARATORS[view.sort];
+    return comparator ? incomplete.sort(comparator) : incomplete;
+  };
 
   /**
-   * Get completed todo items
+   * Get completed todo items matching the tag filter and search
    * @returns {Array} Array of completed todos
    */
-  const getCompletedTodos = () => todos.filter(todo => todo.completed);
+  const getCompletedTodos = () =>
+    listTodos.filter(todo => todo.completed && matchesSharedFilters(todo));
+
+  /** @type {Date} The current date, for due date highlighting */
+  const today = new Date();
+
+  /** @type {boolean} Whether the view shows the Active Tasks section */
+  const showActive = view.section !== VIEW_SECTIONS.COMPLETED;
+
+  /** @type {boolean} Whether the view shows the Completed Tasks section */
+  const showCompleted = view.section !== VIEW_SECTIONS.ACTIVE;
+
+  /** @type {boolean} Whether Completed Tasks is folded; only the All view folds it, the Completed tab always lists it */
+  const completedFolded = completedCollapsed && view.section === VIEW_SECTIONS.ALL;
+
+  const incompleteTodos = showActive ? getIncompleteTodos() : [];
+  const completedTodos = showCompleted && !completedFolded ? getCompletedTodos() : [];
+
+  /** @type {boolean} Reordering only makes sense while the list is in manual order */
+  const reorderEnabled = view.sort === "manual";
+
+  /**
+   * Moves an active todo next to another and announces its new position.
+   * @param {string} id - The ID of the todo to move
+   * @param {string} targetId - The ID of the todo to move it next to
+   * @param {"before"|"after"} placement - Which side of the target to place it
+   */
+  const moveActiveTodo = (id, targetId, placement) => {
+    const todo = incompleteTodos.find((item) => item.id === id);
+    if (!todo) return;
+    const position = getPositionAfterMove(incompleteTodos, id, targetId, placement);
+    todoOperations.moveTodo(id, targetId, placement);
+    reorderFocusRef.current = id;
+    setReorderAnnouncement(`Moved ${describeTodo(todo)} to position ${position} of ${incompleteTodos.length}`);
+    setDeletedTodo(null);
+  };
+
+  /**
+   * Handles Alt+Up / Alt+Down on an active todo to move it one place.
+   * @param {React.KeyboardEvent} e - The keydown event
+   * @param {Object} todo - The todo the event happened on
+   */
+  const handleReorderKeyDown = (e, todo) => {
+    if (!reorderEnabled || editingId === todo.id) return;
+    if (!e.altKey || (e.key !== "ArrowUp" && e.key !== "ArrowDown")) return;
+    e.preventDefault();
+    const index = incompleteTodos.findIndex((item) => item.id === todo.id);
+    const neighbor = incompleteTodos[e.key === "ArrowUp" ? index - 1 : index + 1];
+    if (!neighbor) {
+      setReorderAnnouncement(`${describeTodo(todo)} is already ${e.key === "ArrowUp" ? "first" : "last"}`);
+      return;
+    }
+    moveActiveTodo(todo.id, neighbor.id, e.key === "ArrowUp" ? "before" : "after");
+  };
+
+  const { draggingId, dropTarget, getHandleProps } = useDragReorder({ onDrop: moveActiveTodo });
+
+  const {
+    selectedIds,
+    isSelected,
+    toggle: toggleSelected,
+    selectAll,
+    clear: clearSelection,
+  } = useSelection([...incompleteTodos, ...completedTodos].map((todo) => todo.id));
+
+  const { getItemProps, focusItem, getNeighborId } = useRovingFocus([
+    incompleteTodos.map((todo) => todo.id),
+    completedTodos.map((todo) => todo.id),
+  ]);
+
+  /**
+   * Handles the shortcuts of a focused todo row: Space toggles it, Enter, E
+   * or F2 edits it and Delete removes it, moving focus to its neighbor.
+   * @param {React.KeyboardEvent} e - The keydown event
+   * @param {Object} todo - The todo in the row
+   */
+  const handleRowKeyDown = (e, todo) => {
+    switch (e.key) {
+      case " ":
+        e.preventDefault();
+        toggleTodo(todo.id);
+        focusItem(todo.id);
+        break;
+      case "Enter":
+      case "e":
+      case "E":
+      case "F2":
+        e.preventDefault();
+        startEditing(todo.id);
+        break;
+      case "Delete":
+        e.preventDefault();
+        focusItem(getNeighborId(todo.id));
+        removeTodo(todo.id);
+        break;
+      default:
+    }
+  };
+
+  /**
+   * Turns selection mode on or off, starting each time with nothing selected.
+   */
+  const toggleSelectionMode = () => {
+    setSelectionMode((current) => !current);
+    clearSelection();
+  };
+
+  /**
+   * Completes or reopens the selected todos as one change.
+   * @param {boolean} completed - Whether to complete (true) or reopen (false) them
+   */
+  const setSelectedCompleted = (completed) => {
+    todoOperations.setTodosCompleted(selectedIds, completed);
+    clearSelection();
+    setDeletedTodo(null);
+  };
+
+  /**
+   * Removes several todos as one change after a single confirmation, and offers to undo it.
+   * @param {Array<Object>} targets - The todos to remove
+   * @param {string} question - The confirmation question
+   */
+  const removeTodosWithConfirm = (targets, question) => {
+    if (targets.length === 0 || !window.confirm(question)) return;
+    const ids = targets.map((todo) => todo.id);
+    todoOperations.removeTodos(ids);
+    setDeletedTodo({ text: targets[0].text, count: targets.length });
+    clearSelection();
+    if (ids.includes(editingId)) {
+      stopEditing();
+    }
+  };
+
+  /**
+   * Removes the selected todos.
+   */
+  const removeSelected = () => {
+    const targets = listTodos.filter((todo) => selectedIds.includes(todo.id));
+    removeTodosWithConfirm(targets, `Delete ${formatTodoCount(targets.length)}?`);
+  };
+
+  /**
+   * Removes every completed todo in the list, including ones hidden by filters.
+   */
+  const clearCompleted = () => {
+    const targets = listTodos.filter((todo) => todo.completed);
+    removeTodosWithConfirm(targets, `Delete ${formatTodoCount(targets.length, "completed todo")}?`);
+  };
+
+  /**
+   * Renders the checkbox that selects a todo for batch actions; Shift-click selects a range.
+   * @param {Object} todo - The todo
+   * @returns {JSX.Element|null} The checkbox, or null outside selection mode
+   */
+  const renderSelectCheckbox = (todo) => selectionMode && (
+    <input
+      type="checkbox"
+      className="select-checkbox"
+      checked={isSelected(todo.id)}
+      onChange={(e) => toggleSelected(todo.id, e.nativeEvent.shiftKey)}
+      aria-label={`Select "${todo.text}"`}
+    />
+  );
+
+  /**
+   * Opens or closes a todo's subtask checklist.
+   *
+   * @param {string} id - The ID of the todo
+   */
+  const toggleSubtaskPanel = (id) => {
+    setExpandedSubtaskIds((ids) => (ids.includes(id) ? ids.filter((openId) => openId !== id) : [...ids, id]));
+  };
+
+  /**
+   * Renders the subtask toggle button for a todo.
+   *
+   * @param {import("./todoReducer").Todo} todo - The todo
+   * @returns {JSX.Element} The button
+   */
+  const renderSubtaskToggle = (todo) => (
+    <button
+      type="button"
+      onClick={() => toggleSubtaskPanel(todo.id)}
+      aria-expanded={expandedSubtaskIds.includes(todo.id)}
+      aria-controls={`${subtaskPanelIdPrefix}-${todo.id}`}
+      aria-label={`Subtasks of ${describeTodo(todo)}`}
+    >
+      Subtasks
+    </button>
+  );
+
+  /**
+   * Renders a todo's subtask checklist if it is open.
+   * Changes made there keep focus in the checklist (see the focus effect).
+   *
+   * @param {import("./todoReducer").Todo} todo - The todo
+   * @returns {JSX.Element|null} The checklist
+   */
+  const renderSubtaskPanel = (todo) => {
+    if (!expandedSubtaskIds.includes(todo.id)) return null;
+    /**
+     * Wraps a subtask operation so its change doesn't move focus to the add field.
+     * @param {Function} operation - A subtask operation from useTodos
+     */
+    const keepFocus = (operation) => (...args) => {
+      subtaskFocusRef.current = true;
+      const result = operation(todo.id, ...args);
+      if (result && !result.isValid) {
+        subtaskFocusRef.current = false;
+      }
+      return result;
+    };
+    return (
+      <SubtaskList
+        id={`${subtaskPanelIdPrefix}-${todo.id}`}
+        todo={todo}
+        onAdd={keepFocus(todoOperations.addSubtask)}
+        onEdit={keepFocus(todoOperations.editSubtask)}
+        onToggle={keepFocus(todoOperations.toggleSubtask)}
+        onRemove={keepFocus(todoOperations.removeSubtask)}
+      />
+    );
+  };
+
+  /**
+   * Renders the inline edit form for a todo. Enter or leaving the form saves,
+   * Escape cancels.
+   * @param {Object} todo - The todo being edited
+   * @returns {JSX.Element} The edit form
+   */
+  const renderEditForm = (todo) => (
+    <div
+      className="edit-container"
+      onBlur={(e) => handleEditBlur(e, todo.id)}
+      onKeyDown={(e) => e.key === "Escape" && stopEditing()}
+    >
+      <input
+        type="text"
+        value={editInput}
+        onChange={(e) => {
+          setEditInput(e.target.value);
+          setValidationMessage("");
+        }}
+        onKeyDown={(e) => e.key === 'Enter' && !e.nativeEvent.isComposing && saveEdit(todo.id)}
+        autoFocus
+      />
+      <input
+        type="text"
+        className="due-input"
+        value={editDueInput}
+        onChange={(e) => {
+          setEditDueInput(e.target.value);
+          setValidationMessage("");
+        }}
+        onKeyDown={(e) => e.key === 'Enter' && !e.nativeEvent.isComposing && saveEdit(todo.id)}
+        placeholder="Due date"
+        aria-label={`Due date for "${todo.text}"`}
+      />
+      <input
+        type="text"
+        className="repeat-input"
+        value={editRepeatInput}
+        onChange={(e) => {
+          setEditRepeatInput(e.target.value);
+          setValidationMessage("");
+        }}
+        onKeyDown={(e) => e.key === 'Enter' && !e.nativeEvent.isComposing && saveEdit(todo.id)}
+        placeholder="Repeat"
+        aria-label={`Repeat rule for "${todo.text}"`}
+      />
+      <select
+        className="priority-select"
+        value={editPriority}
+        onChange={(e) => setEditPriority(e.target.value)}
+        aria-label={`Priority for "${todo.text}"`}
+      >
+        {renderPriorityOptions("No priority")}
+      </select>
+      <button
+        onClick={() => saveEdit(todo.id)}
+        aria-label="Save changes"
+      >
+        Save
+      </button>
+      <button
+        onClick={stopEditing}
+        aria-label="Cancel editing"
+      >
+        Cancel
+      </button>
+    </div>
+  );
+
+  /**
+   * Builds the class name for an active todo's list item.
+   * @param {Object} todo - The todo
+   * @param {string|null} dueStatus - Its due status (see ./dueDates)
+   * @returns {string} The class name
+   */
+  const getActiveItemClassName = (todo, dueStatus) => [
+    "active",
+    dueStatus && `due-${dueStatus}`,
+    draggingId === todo.id && "dragging",
+    dropTarget?.targetId === todo.id && `drop-${dropTarget.placement}`,
+  ].filter(Boolean).join(" ");
 
   return (
-    <div>
-      <h2>Todo List</h2>
+    <div className="todo-list-copilot" data-theme={theme} onKeyDown={handleRootKeyDown}>
+      <h2>{title ?? activeList.name}</h2>
+      <ListSwitcher
+        lists={lists}
+        activeList={activeList}
+        onSelect={selectList}
+        onCreate={createList}
+        onRename={todoOperations.renameList}
+        onDelete={deleteList}
+      />
+      {todoOperations.syncError && (
+        <div className="validation-message sync-error" role="alert">
+          <span>{todoOperations.syncError}</span>
+          <button type="button" onClick={todoOperations.dismissSyncError} aria-label="Dismiss error">
+            ×
+          </button>
+        </div>
+      )}
       <form onSubmit={addTodo}>
         <div className="input-container">
           <input
@@ -202,21 +1242,68 @@ function TodoListCopilot() {
             onChange={(e) => {
               setInput(e.target.value);
               setValidationMessage(""); // Clear validation message when user starts typing
+              setPasteReport(null);
             }}
-            onKeyPress={handleKeyPress}
-            placeholder="Add a todo"
+            onKeyDown={handleInputKeyDown}
+            onPaste={handlePaste}
+            placeholder={placeholder}
             aria-label="Add a new todo item"
           />
+          {allTags.length > 0 && (
+            <select
+              className="tag-picker"
+              value=""
+              onChange={(e) => addTagToInput(e.target.value)}
+              aria-label="Add a tag"
+            >
+              <option value="">#tag</option>
+              {allTags.map((tag) => (
+                <option key={tag} value={tag}>#{tag}</option>
+              ))}
+            </select>
+          )}
           <div className="add-completed-checkbox">
             <input
               type="checkbox"
-              id="addCompleted"
+              id={addCompletedId}
               checked={addAsCompleted}
               onChange={(e) => setAddAsCompleted(e.target.checked)}
               aria-label="Add as completed"
             />
-            <label htmlFor="addCompleted">Add as completed</label>
+            <label htmlFor={addCompletedId}>Add as completed</label>
           </div>
+          <select
+            className="priority-select"
+            value={priority}
+            onChange={(e) => setPriority(e.target.value)}
+            aria-label="Priority"
+          >
+            {renderPriorityOptions("No priority")}
+          </select>
+          <input
+            type="text"
+            className="due-input"
+            value={dueInput}
+            onChange={(e) => {
+              setDueInput(e.target.value);
+              setValidationMessage("");
+            }}
+            onKeyDown={handleInputKeyDown}
+            placeholder="Due (e.g. tomorrow)"
+            aria-label="Due date"
+          />
+          <input
+            type="text"
+            className="repeat-input"
+            value={repeatInput}
+            onChange={(e) => {
+              setRepeatInput(e.target.value);
+              setValidationMessage("");
+            }}
+            onKeyDown={handleInputKeyDown}
+            placeholder="Repeat (e.g. weekly)"
+            aria-label="Repeat rule"
+          />
           <button
             type="submit"
             onClick={addTodo}
@@ -232,102 +1319,388 @@ function TodoListCopilot() {
         )}
       </form>
 
+      {pasteReport && (
+        <div className="paste-report" role="status">
+          <p>
+            Added {pasteReport.filter((row) => row.status === IMPORT_STATUS.ACCEPTED).length} of{" "}
+            {pasteReport.length} pasted lines
+            <button type="button" onClick={() => setPasteReport(null)} aria-label="Dismiss paste results">
+              ×
+            </button>
+          </p>
+          <ImportRowList rows={pasteReport} lineLabel="Line" />
+        </div>
+      )}
+
+      <div className="history-controls">
+        <button
+          type="button"
+          onClick={handleUndo}
+          disabled={!todoOperations.canUndo}
+          aria-label="Undo last change"
+          title="Undo (Ctrl+Z)"
+        >
+          Undo
+        </button>
+        <button
+          type="button"
+          onClick={handleRedo}
+          disabled={!todoOperations.canRedo}
+          aria-label="Redo last undone change"
+          title="Redo (Ctrl+Shift+Z)"
+        >
+          Redo
+        </button>
+      </div>
+
+      <ImportExport
+        todos={listTodos}
+        listName={activeList.name}
+        onPreview={previewImport}
+        onImport={importTodos}
+      />
+
+      <div className="search-container">
+        <input
+          type="search"
+          value={view.search}
+          onChange={(e) => updateView({ search: e.target.value })}
+          placeholder="Search todos"
+          aria-label="Search todos"
+        />
+        {view.search.trim() !== "" && (
+          <div className="search-count" role="status" aria-live="polite">
+            {incompleteTodos.length + completedTodos.length} of {listTodos.length} shown
+          </div>
+        )}
+      </div>
+
+      {allTags.length > 0 && (
+        <div className="tag-filter-bar" role="group" aria-label="Filter by tag">
+          {allTags.map((tag) => (
+            <button
+              key={tag}
+              type="button"
+              className="tag-filter"
+              aria-pressed={activeTagFilter.includes(tag)}
+              onClick={() => toggleTagFilter(tag)}
+            >
+              #{tag}
+            </button>
+          ))}
+          {activeTagFilter.length > 0 && (
+            <button
+              type="button"
+              className="tag-filter-clear"
+              onClick={() => updateView({ tags: [] })}
+              aria-label="Clear tag filter"
+            >
+              Clear
+            </button>
+          )}
+        </div>
+      )}
+
+      <div className="list-toolbar">
+        <button type="button" onClick={toggleSelectionMode} aria-pressed={selectionMode}>
+          {selectionMode ? "Done selecting" : "Select"}
+        </button>
+        {selectionMode && (
+          <>
+            <button type="button" onClick={selectAll}>
+              Select all
+            </button>
+            <span className="selection-count">{selectedIds.length} selected</span>
+            <button
+              type="button"
+              onClick={() => setSelectedCompleted(true)}
+              disabled={selectedIds.length === 0}
+              aria-label="Complete selected todos"
+            >
+              Complete
+            </button>
+            <button
+              type="button"
+              onClick={() => setSelectedCompleted(false)}
+              disabled={selectedIds.length === 0}
+              aria-label="Reopen selected todos"
+            >
+              Reopen
+            </button>
+            <button type="button" onClick={removeSelected} disabled={selectedIds.length === 0}>
+              Delete selected
+            </button>
+          </>
+        )}
+        {!isValidTheme(hostTheme) && (
+          <select
+            className="theme-select"
+            value={themeChoice}
+            onChange={(e) => setSavedTheme(e.target.value)}
+            aria-label="Theme"
+          >
+            {Object.values(THEMES).map((choice) => (
+              <option key={choice} value={choice}>{THEME_LABELS[choice]}</option>
+            ))}
+          </select>
+        )}
+        <button
+          type="button"
+          className="shortcut-help-button"
+          onClick={() => setShowShortcuts(true)}
+          aria-haspopup="dialog"
+          aria-label="Keyboard shortcuts"
+        >
+          ?
+        </button>
+      </div>
+
+      <div className="section-tabs" role="group" aria-label="Filter by status">
+        {SECTION_TABS.map(({ section, label }) => {
+          const content = <>{label} <span className="section-count">{sectionCounts[section]}</span></>;
+          return getViewHref ? (
+            <a
+              key={section}
+              className="section-tab"
+              href={getViewHref({ ...view, section })}
+              aria-current={view.section === section ? "page" : undefined}
+              onClick={(e) => {
+                if (isModifiedClick(e)) return;
+                e.preventDefault();
+                updateView({ section });
+              }}
+            >
+              {content}
+            </a>
+          ) : (
+            <button
+              key={section}
+              type="button"
+              className="section-tab"
+              aria-pressed={view.section === section}
+              onClick={() => updateView({ section })}
+            >
+              {content}
+            </button>
+          );
+        })}
+      </div>
+
       <div className="todo-lists-container">
-        <section className="todo-section">
-          <h3>Active Tasks</h3>
-          <ul className="todo-list">
-            {getIncompleteTodos().map((todo, idx) => {
-              const originalIndex = todos.indexOf(todo);
-              return (
-                <li key={originalIndex} className="active">
-                  <div className="todo-item">
-                    <input
-                      type="checkbox"
-                      checked={false}
-                      onChange={() => toggleTodo(originalIndex)}
-                      aria-label={`Mark "${todo.text}" as complete`}
-                    />
-                    {editingIndex === originalIndex ? (
-                      <div className="edit-container">
-                        <input
-                          type="text"
-                          value={editInput}
-                          onChange={(e) => {
-                            setEditInput(e.target.value);
-                            setValidationMessage("");
-                          }}
-                          onKeyPress={(e) => e.key === 'Enter' && saveEdit(originalIndex)}
-                          autoFocus
-                        />
-                        <button
-                          onClick={() => saveEdit(originalIndex)}
-                          aria-label="Save changes"
-                        >
-                          Save
-                        </button>
+        {showActive && (
+          <section className="todo-section">
+            <h3>{activeHeading}</h3>
+            <div className="section-toolbar">
+              <label htmlFor={activeSortId}>Sort by</label>
+              <select
+                id={activeSortId}
+                value={view.sort}
+                onChange={(e) => updateView({ sort: e.target.value })}
+                aria-label="Sort active tasks"
+              >
+                {ACTIVE_SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <label htmlFor={priorityFilterId}>Show</label>
+              <select
+                id={priorityFilterId}
+                value={view.priority}
+                onChange={(e) => updateView({ priority: e.target.value })}
+                aria-label="Filter active tasks by priority"
+              >
+                <option value="all">All priorities</option>
+                {PRIORITY_LEVELS.map((level) => (
+                  <option key={level} value={level}>{PRIORITY_LABELS[level]} only</option>
+                ))}
+              </select>
+            </div>
+            <span id={reorderInstructionsId} className="visually-hidden">
+              Drag to reorder, or press Alt+Up or Alt+Down to move this task.
+            </span>
+            {incompleteTodos.length === 0 && (
+              <p className="empty-state">
+                {activeCount === 0 ? "Nothing left to do." : "No active tasks match the filters."}
+              </p>
+            )}
+            <ul className="todo-list" ref={activeListRef}>
+              {incompleteTodos.map((todo) => {
+                const dueStatus = getDueStatus(todo.dueDate, today);
+                return (
+                  <li
+                    key={todo.id}
+                    className={getActiveItemClassName(todo, dueStatus)}
+                    {...(reorderEnabled && { [REORDER_ID_ATTRIBUTE]: todo.id })}
+                    {...getItemProps(todo.id, (e) => handleRowKeyDown(e, todo))}
+                  >
+                    <div className="todo-item" onKeyDown={(e) => handleItemKeyDown(e, todo)}>
+                      {renderSelectCheckbox(todo)}
+                      {reorderEnabled && editingId !== todo.id && (
                         <button
-                          onClick={cancelEdit}
-                          aria-label="Cancel editing"
+                          type="button"
+                          className="drag-handle"
+                          aria-label={`Reorder ${describeTodo(todo)}`}
+                          aria-describedby={reorderInstructionsId}
+                          {...getHandleProps(todo.id)}
                         >
-                          Cancel
+                          ⠿
                         </button>
-                      </div>
-                    ) : (
-                      <>
-                        <span>{todo.text}</span>
-                        <div className="button-container">
-                          <button
-                            onClick={() => startEditing(originalIndex)}
-                            aria-label={`Edit todo "${todo.text}"`}
-                          >
-                            Edit
-                          </button>
-                          <button
-                            onClick={() => removeTodo(originalIndex)}
-                            aria-label={`Delete todo "${todo.text}"`}
+                      )}
+                      <input
+                        type="checkbox"
+                        checked={false}
+                        onChange={() => toggleTodo(todo.id)}
+                        aria-label={`Mark ${describeTodo(todo)} as complete`}
+                      />
+                      {editingId === todo.id ? (
+                        renderEditForm(todo)
+                      ) : (
+                        <>
+                          <span className="todo-text" onDoubleClick={() => startEditing(todo.id)}>
+                            {renderHighlightedText(todo.text, searchMatches.get(todo.id))}
+                          </span>
+                          {renderSubtaskProgress(todo)}
+                          {renderTags(todo)}
+                          {renderPriorityBadge(todo)}
+                          {renderDueDate(todo, dueStatus)}
+                          {renderRecurrence(todo)}
+                          <div className="button-container">
+                            {renderSubtaskToggle(todo)}
+                            {renderMoveToList(todo)}
+                            <button
+                              onClick={() => startEditing(todo.id)}
+                              aria-label={`Edit todo ${describeTodo(todo)}`}
+                            >
+                              Edit
+                            </button>
+                            <button
+                              onClick={() => removeTodo(todo.id)}
+                              aria-label={`Delete todo ${describeTodo(todo)}`}
+                            >
+                              Delete
+                            </button>
+                          </div>
+                        </>
+                      )}
+                    </div>
+                    {renderSubtaskPanel(todo)}
+                  </li>
+                );
+              })}
+            </ul>
+          </section>
+        )}
+
+        {showCompleted && (
+          <section className="todo-section completed-section">
+            <h3>{completedHeading}</h3>
+            {view.section === VIEW_SECTIONS.ALL && (
+              <button
+                type="button"
+                className="collapse-toggle"
+                onClick={() => setCompletedCollapsed(!completedCollapsed)}
+                aria-expanded={!completedCollapsed}
+                aria-controls={completedListId}
+                aria-label={`${completedCollapsed ? "Show" : "Hide"} ${completedHeading}`}
+              >
+                {completedCollapsed ? "Show" : "Hide"}
+              </button>
+            )}
+            {sectionCounts[VIEW_SECTIONS.COMPLETED] > 0 && (
+              <button type="button" className="clear-completed" onClick={clearCompleted}>
+                Clear completed
+              </button>
+            )}
+            {!completedFolded && completedTodos.length === 0 && (
+              <p className="empty-state">
+                {sectionCounts[VIEW_SECTIONS.COMPLETED] === 0
+                  ? "No completed tasks yet."
+                  : "No completed tasks match the filters."}
+              </p>
+            )}
+            <ul className="todo-list" id={completedListId} hidden={completedFolded}>
+              {completedTodos.map((todo) => {
+                return (
+                  <li
+                    key={todo.id}
+                    className="completed"
+                    {...getItemProps(todo.id, (e) => handleRowKeyDown(e, todo))}
+                  >
+                    <div className="todo-item" onKeyDown={(e) => handleItemKeyDown(e, todo)}>
+                      {renderSelectCheckbox(todo)}
+                      <input
+                        type="checkbox"
+                        checked={true}
+                        onChange={() => toggleTodo(todo.id)}
+                        aria-label={`Mark ${describeTodo(todo)} as incomplete`}
+                      />
+                      {editingId === todo.id ? (
+                        renderEditForm(todo)
+                      ) : (
+                        <>
+                          <span
+                            className="todo-text"
+                            style={{ textDecoration: 'line-through' }}
+                            onDoubleClick={() => startEditing(todo.id)}
                           >
-                            Delete
-                          </button>
-                        </div>
-                      </>
-                    )}
-                  </div>
-                </li>
-              );
-            })}
-          </ul>
-        </section>
-
-        <section className="todo-section completed-section">
-          <h3>Completed Tasks</h3>
-          <ul className="todo-list">
-            {getCompletedTodos().map((todo, idx) => {
-              const originalIndex = todos.indexOf(todo);
-              return (
-                <li key={originalIndex} className="completed">
-                  <div className="todo-item">
-                    <input
-                      type="checkbox"
-                      checked={true}
-                      onChange={() => toggleTodo(originalIndex)}
-                      aria-label={`Mark "${todo.text}" as incomplete`}
-                    />
-                    <span style={{ textDecoration: 'line-through' }}>{todo.text}</span>
-                    <div className="button-container">
-                      <button
-                        onClick={() => removeTodo(originalIndex)}
-                        aria-label={`Delete completed todo "${todo.text}"`}
-                      >
-                        Delete
-                      </button>
+                            {renderHighlightedText(todo.text, searchMatches.get(todo.id))}
+                          </span>
+                          {renderSubtaskProgress(todo)}
+                          {renderTags(todo)}
+                          {renderPriorityBadge(todo)}
+                          {renderDueDate(todo, null)}
+                          <div className="button-container">
+                            {renderSubtaskToggle(todo)}
+                            {renderMoveToList(todo)}
+                            <button
+                              onClick={() => startEditing(todo.id)}
+                              aria-label={`Edit completed todo ${describeTodo(todo)}`}
+                            >
+                              Edit
+                            </button>
+                            <button
+                              onClick={() => removeTodo(todo.id)}
+                              aria-label={`Delete completed todo ${describeTodo(todo)}`}
+                            >
+                              Delete
+                            </button>
+                          </div>
+                        </>
+                      )}
                     </div>
-                  </div>
-                </li>
-              );
-            })}
-          </ul>
-        </section>
+                    {renderSubtaskPanel(todo)}
+                  </li>
+                );
+              })}
+            </ul>
+          </section>
+        )}
       </div>
+
+      <footer className="todo-footer">
+        {formatTodoCount(activeCount, "item")} left
+      </footer>
+
+      <div className="visually-hidden" aria-live="polite">
+        {reorderAnnouncement}
+      </div>
+
+      {showShortcuts && <ShortcutHelp onClose={() => setShowShortcuts(false)} />}
+
+      {deletedTodo && (
+        <div className="undo-toast" role="status">
+          <span>{deletedTodo.count === 1 ? "Todo deleted" : `${formatTodoCount(deletedTodo.count)} deleted`}</span>
+          <button
+            type="button"
+            onClick={handleUndo}
+            aria-label={deletedTodo.count === 1
+              ? `Undo delete of "${deletedTodo.text}"`
+              : `Undo delete of ${formatTodoCount(deletedTodo.count)}`}
+          >
+            Undo delete
+          </button>
+        </div>
+      )}
     </div>
   );
 }
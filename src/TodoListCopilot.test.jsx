@@ -1,13 +1,35 @@
 import React from 'react';
-import { render, screen, fireEvent, within } from '@testing-library/react';import '@testing-library/jest-dom';
+import { render, screen, fireEvent, createEvent, within, waitFor, act } from '@testing-library/react';
+import '@testing-library/jest-dom';
 import TodoListCopilot from './TodoListCopilot';
+import {
+  createMemoryStorage,
+  createMemoryAdapter,
+  createTodoStorage,
+  createRestStorage,
+  createLocalStorageAdapter,
+  serializeTodos,
+} from './storage';
+import { VALIDATION_PRESETS } from './todoValidation';
+
+/**
+ * Adds a todo through the form, filling in the optional fields given.
+ */
+const addTodo = (text, { due, priority, repeat, completed = false } = {}) => {
+  if (completed) fireEvent.click(screen.getByLabelText('Add as completed'));
+  fireEvent.change(screen.getByLabelText('Add a new todo item'), { target: { value: text } });
+  if (due !== undefined) fireEvent.change(screen.getByLabelText('Due date'), { target: { value: due } });
+  if (priority !== undefined) fireEvent.change(screen.getByLabelText('Priority'), { target: { value: priority } });
+  if (repeat !== undefined) fireEvent.change(screen.getByLabelText('Repeat rule'), { target: { value: repeat } });
+  fireEvent.click(screen.getByLabelText('Add todo'));
+};
 
 describe('TodoListCopilot', () => {
   let input;
   let addButton;
 
   beforeEach(() => {
-    render(<TodoListCopilot />);
+    render(<TodoListCopilot storage={createMemoryStorage()} />);
     input = screen.getByPlaceholderText('Add a todo');
     addButton = screen.getByText('Add');
   });
@@ -27,9 +49,9 @@ describe('TodoListCopilot', () => {
   describe('Adding Todos', () => {
     test('should add todo with keyboard Enter key', () => {
       fireEvent.change(input, { target: { value: 'Submit with Enter' } });
-      fireEvent.keyPress(input, { key: 'Enter', code: 13, charCode: 13 });
+      fireEvent.keyDown(input, { key: 'Enter', code: 'Enter' });
       
-      expect(screen.getByText('Submit with Enter')).toBeInTheDocument();
+      expect(screen.getByText('Submit with enter')).toBeInTheDocument();
       expect(input).toHaveValue('');
     });
 
@@ -351,6 +373,1187 @@ describe('TodoListCopilot', () => {
     });
   });
 
+  describe('Inline Editing', () => {
+    test('edits a completed todo and keeps it completed', () => {
+      addTodo('Shipp release');
+      fireEvent.click(screen.getByLabelText('Mark "Shipp release" as complete'));
+      fireEvent.click(screen.getByLabelText('Edit completed todo "Shipp release"'));
+
+      fireEvent.change(screen.getByDisplayValue('Shipp release'), { target: { value: 'Ship release' } });
+      fireEvent.click(screen.getByText('Save'));
+
+      expect(screen.getByText('Ship release').closest('section')).toHaveTextContent('Completed Tasks');
+      expect(screen.getByLabelText('Mark "Ship release" as incomplete')).toBeChecked();
+    });
+
+    test('applies the duplicate rules to completed todos', () => {
+      addTodo('First todo');
+      addTodo('Second todo');
+      fireEvent.click(screen.getByLabelText('Mark "Second todo" as complete'));
+      fireEvent.click(screen.getByLabelText('Edit completed todo "Second todo"'));
+
+      fireEvent.change(screen.getByDisplayValue('Second todo'), { target: { value: 'first TODO' } });
+      fireEvent.click(screen.getByText('Save'));
+      expect(screen.getByText('This todo item already exists')).toBeInTheDocument();
+      expect(screen.getByDisplayValue('first TODO')).toBeInTheDocument();
+    });
+
+    test('starts editing on double-click or F2', () => {
+      addTodo('Active todo');
+      addTodo('Done todo');
+      fireEvent.click(screen.getByLabelText('Mark "Done todo" as complete'));
+
+      fireEvent.doubleClick(screen.getByText('Active todo'));
+      expect(screen.getByDisplayValue('Active todo')).toHaveFocus();
+
+      fireEvent.keyDown(screen.getByDisplayValue('Active todo'), { key: 'Escape' });
+      fireEvent.keyDown(screen.getByLabelText('Mark "Done todo" as incomplete'), { key: 'F2' });
+      expect(screen.getByDisplayValue('Done todo')).toHaveFocus();
+    });
+
+    test('cancels with Escape', () => {
+      addTodo('Original todo');
+      fireEvent.doubleClick(screen.getByText('Original todo'));
+      const editInput = screen.getByDisplayValue('Original todo');
+      fireEvent.change(editInput, { target: { value: 'Changed todo' } });
+      fireEvent.keyDown(editInput, { key: 'Escape' });
+
+      expect(screen.getByText('Original todo')).toBeInTheDocument();
+      expect(screen.queryByDisplayValue('Changed todo')).not.toBeInTheDocument();
+    });
+
+    test('saves when focus leaves the edit form', () => {
+      addTodo('Original todo');
+      fireEvent.doubleClick(screen.getByText('Original todo'));
+      const editInput = screen.getByDisplayValue('Original todo');
+      fireEvent.change(editInput, { target: { value: 'Blurred todo' } });
+
+      fireEvent.blur(editInput, { relatedTarget: screen.getByLabelText('Cancel editing') });
+      expect(editInput).toBeInTheDocument();
+
+      fireEvent.blur(editInput, { relatedTarget: input });
+      expect(screen.getByText('Blurred todo')).toBeInTheDocument();
+      expect(screen.queryByDisplayValue('Blurred todo')).not.toBeInTheDocument();
+    });
+
+    test('keeps editing with a message when the text is invalid on blur', () => {
+      addTodo('Original todo');
+      fireEvent.doubleClick(screen.getByText('Original todo'));
+      const editInput = screen.getByDisplayValue('Original todo');
+      fireEvent.change(editInput, { target: { value: '!@#$' } });
+      fireEvent.blur(editInput);
+
+      expect(screen.getByText('Only letters, numbers, and spaces are allowed')).toBeInTheDocument();
+      expect(editInput).toBeInTheDocument();
+    });
+
+    test('does not add an undo step when nothing changed', () => {
+      addTodo('Original todo');
+      fireEvent.doubleClick(screen.getByText('Original todo'));
+      fireEvent.blur(screen.getByDisplayValue('Original todo'));
+
+      fireEvent.click(screen.getByText('Undo'));
+      expect(screen.queryByText('Original todo')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Keyboard Navigation', () => {
+    const row = (text) => screen.getByText(text).closest('li');
+
+    beforeEach(() => {
+      ['First', 'Second', 'Third'].forEach((text) => addTodo(text));
+      fireEvent.click(screen.getByLabelText('Mark "Third" as complete'));
+    });
+
+    test('keeps one row in the tab order and moves focus with the arrow keys', () => {
+      expect(row('First')).toHaveAttribute('tabindex', '0');
+      expect(row('Second')).toHaveAttribute('tabindex', '-1');
+
+      act(() => row('First').focus());
+      fireEvent.keyDown(row('First'), { key: 'ArrowDown' });
+      expect(row('Second')).toHaveFocus();
+      expect(row('Second')).toHaveAttribute('tabindex', '0');
+      expect(row('First')).toHaveAttribute('tabindex', '-1');
+
+      fireEvent.keyDown(row('Second'), { key: 'ArrowDown' });
+      expect(row('Third')).toHaveFocus();
+      fireEvent.keyDown(row('Third'), { key: 'Home' });
+      expect(row('First')).toHaveFocus();
+      fireEvent.keyDown(row('First'), { key: 'ArrowRight' });
+      expect(row('Third')).toHaveFocus();
+      fireEvent.keyDown(row('Third'), { key: 'ArrowLeft' });
+      expect(row('First')).toHaveFocus();
+    });
+
+    test('toggles with Space and keeps focus on the moved row', () => {
+      act(() => row('Second').focus());
+      fireEvent.keyDown(row('Second'), { key: ' ' });
+      expect(row('Second').closest('section')).toHaveTextContent('Completed Tasks');
+      expect(row('Second')).toHaveFocus();
+    });
+
+    test('edits with Enter or E', () => {
+      act(() => row('First').focus());
+      fireEvent.keyDown(row('First'), { key: 'Enter' });
+      expect(screen.getByDisplayValue('First')).toHaveFocus();
+      fireEvent.keyDown(screen.getByDisplayValue('First'), { key: 'Escape' });
+
+      act(() => row('Third').focus());
+      fireEvent.keyDown(row('Third'), { key: 'e' });
+      expect(screen.getByDisplayValue('Third')).toHaveFocus();
+    });
+
+    test('deletes with Delete, focuses the next row and can be undone', () => {
+      act(() => row('First').focus());
+      fireEvent.keyDown(row('First'), { key: 'Delete' });
+      expect(screen.queryByText('First')).not.toBeInTheDocument();
+      expect(row('Second')).toHaveFocus();
+
+      fireEvent.click(screen.getByLabelText('Undo delete of "First"'));
+      expect(screen.getByText('First')).toBeInTheDocument();
+    });
+
+    test('leaves keys in row controls alone', () => {
+      const checkbox = screen.getByLabelText('Mark "First" as complete');
+      act(() => checkbox.focus());
+      fireEvent.keyDown(checkbox, { key: 'Delete' });
+      expect(screen.getByText('First')).toBeInTheDocument();
+    });
+
+    test('jumps to the add field with N or /', () => {
+      act(() => row('First').focus());
+      fireEvent.keyDown(row('First'), { key: 'n' });
+      expect(input).toHaveFocus();
+
+      fireEvent.change(input, { target: { value: 'typing' } });
+      fireEvent.keyDown(input, { key: '?' });
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+
+      act(() => row('Second').focus());
+      fireEvent.keyDown(row('Second'), { key: '/' });
+      expect(input).toHaveFocus();
+    });
+
+    test('lists the shortcuts in a dialog opened with ?', () => {
+      act(() => row('First').focus());
+      fireEvent.keyDown(row('First'), { key: '?' });
+      const dialog = screen.getByRole('dialog', { name: 'Keyboard shortcuts' });
+      expect(dialog).toHaveTextContent('Complete or reopen the task');
+      expect(dialog).toHaveTextContent('Go to the add field');
+      expect(within(dialog).getByText('Close')).toHaveFocus();
+
+      fireEvent.keyDown(dialog, { key: 'Escape' });
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+      expect(row('First')).toHaveFocus();
+
+      fireEvent.click(screen.getByLabelText('Keyboard shortcuts'));
+      fireEvent.click(within(screen.getByRole('dialog')).getByText('Close'));
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Stable IDs', () => {
+    test('keeps editing the same todo when an earlier todo is deleted', () => {
+      ['First todo', 'Second todo'].forEach((text) => addTodo(text));
+
+      fireEvent.click(screen.getByLabelText('Edit todo "Second todo"'));
+      fireEvent.click(screen.getByLabelText('Delete todo "First todo"'));
+
+      const editInput = screen.getByDisplayValue('Second todo');
+      fireEvent.change(editInput, { target: { value: 'Renamed todo' } });
+      fireEvent.click(screen.getByText('Save'));
+
+      expect(screen.getByText('Renamed todo')).toBeInTheDocument();
+      expect(screen.queryByText('First todo')).not.toBeInTheDocument();
+    });
+
+    test('keeps item identity when a todo moves between sections', () => {
+      ['First todo', 'Second todo'].forEach((text) => addTodo(text));
+      const firstItem = screen.getByText('First todo').closest('li');
+
+      fireEvent.click(screen.getByLabelText('Mark "Second todo" as complete'));
+
+      expect(screen.getByText('First todo').closest('li')).toBe(firstItem);
+    });
+  });
+
+  describe('Undo and Redo', () => {
+    test('undo buttons are disabled until there is something to undo', () => {
+      expect(screen.getByText('Undo')).toBeDisabled();
+      expect(screen.getByText('Redo')).toBeDisabled();
+
+      addTodo('First todo');
+      expect(screen.getByText('Undo')).toBeEnabled();
+    });
+
+    test('undoes and redoes an add', () => {
+      addTodo('First todo');
+
+      fireEvent.click(screen.getByText('Undo'));
+      expect(screen.queryByText('First todo')).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByText('Redo'));
+      expect(screen.getByText('First todo')).toBeInTheDocument();
+    });
+
+    test('undoes a toggle and an edit', () => {
+      addTodo('First todo');
+      fireEvent.click(screen.getByLabelText('Edit todo "First todo"'));
+      fireEvent.change(screen.getByDisplayValue('First todo'), { target: { value: 'Renamed todo' } });
+      fireEvent.click(screen.getByText('Save'));
+      fireEvent.click(screen.getByLabelText('Mark "Renamed todo" as complete'));
+
+      fireEvent.click(screen.getByText('Undo'));
+      expect(screen.getByLabelText('Mark "Renamed todo" as complete')).not.toBeChecked();
+
+      fireEvent.click(screen.getByText('Undo'));
+      expect(screen.getByText('First todo')).toBeInTheDocument();
+    });
+
+    test('shows an undo toast after deleting and restores the todo in place', () => {
+      ['First todo', 'Second todo', 'Third todo'].forEach((text) => addTodo(text));
+      fireEvent.click(screen.getByLabelText('Delete todo "Second todo"'));
+
+      expect(screen.getByRole('status')).toHaveTextContent('Todo deleted');
+      fireEvent.click(screen.getByLabelText('Undo delete of "Second todo"'));
+
+      const activeTodos = screen.getByText('Active Tasks').parentElement.querySelectorAll('li');
+      expect(Array.from(activeTodos).map(li => li.textContent)).toEqual([
+        expect.stringContaining('First todo'),
+        expect.stringContaining('Second todo'),
+        expect.stringContaining('Third todo'),
+      ]);
+      expect(screen.queryByRole('status')).not.toBeInTheDocument();
+    });
+
+    test('restores deleted completed todos', () => {
+      addTodo('Done todo');
+      fireEvent.click(screen.getByLabelText('Mark "Done todo" as complete'));
+      fireEvent.click(screen.getByLabelText('Delete completed todo "Done todo"'));
+
+      fireEvent.click(screen.getByText('Undo delete'));
+      expect(screen.getByLabelText('Mark "Done todo" as incomplete')).toBeChecked();
+    });
+
+    test('hides the undo toast after a few seconds', () => {
+      jest.useFakeTimers();
+      try {
+        addTodo('First todo');
+        fireEvent.click(screen.getByLabelText('Delete todo "First todo"'));
+        expect(screen.getByText('Undo delete')).toBeInTheDocument();
+
+        act(() => {
+          jest.advanceTimersByTime(5000);
+        });
+        expect(screen.queryByText('Undo delete')).not.toBeInTheDocument();
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('supports Ctrl+Z and Ctrl+Shift+Z', () => {
+      addTodo('First todo');
+
+      fireEvent.keyDown(input, { key: 'z', ctrlKey: true });
+      expect(screen.queryByText('First todo')).not.toBeInTheDocument();
+
+      fireEvent.keyDown(screen.getByLabelText('Undo last change'), { key: 'Z', ctrlKey: true, shiftKey: true });
+      expect(screen.getByText('First todo')).toBeInTheDocument();
+    });
+
+    test('leaves Ctrl+Z to the browser while typing in a text field', () => {
+      addTodo('First todo');
+      fireEvent.change(input, { target: { value: 'Half typed' } });
+
+      fireEvent.keyDown(input, { key: 'z', ctrlKey: true });
+      expect(screen.getByText('First todo')).toBeInTheDocument();
+
+      fireEvent.keyDown(screen.getByLabelText('Search todos'), { key: 'z', ctrlKey: true });
+      expect(screen.getByText('First todo')).toBeInTheDocument();
+    });
+
+    test('leaves Ctrl+Z alone outside the component', () => {
+      render(<textarea aria-label="Host notes" />);
+      addTodo('First todo');
+
+      const hostEvent = createEvent.keyDown(screen.getByLabelText('Host notes'), { key: 'z', ctrlKey: true });
+      fireEvent(screen.getByLabelText('Host notes'), hostEvent);
+      fireEvent.keyDown(document.body, { key: 'z', ctrlKey: true });
+
+      expect(hostEvent.defaultPrevented).toBe(false);
+      expect(screen.getByText('First todo')).toBeInTheDocument();
+    });
+  });
+
+  describe('Due Dates', () => {
+    // Wednesday, October 14 2026
+    const now = new Date(2026, 9, 14, 9, 0);
+    const dueInput = () => screen.getByLabelText('Due date');
+    const activeItems = () => Array.from(
+      screen.getByText('Active Tasks').parentElement.querySelectorAll('li')
+    );
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('adds a todo with a relative due date', () => {
+      addTodo('Pay rent', { due: 'tomorrow' });
+
+      const item = screen.getByText('Pay rent').closest('li');
+      expect(within(item).getByText(/^Due /)).toHaveAttribute('dateTime', '2026-10-15');
+      expect(dueInput()).toHaveValue('');
+    });
+
+    test('rejects a due date it cannot parse', () => {
+      addTodo('Pay rent', { due: 'someday' });
+
+      expect(screen.getByRole('alert')).toHaveTextContent('Could not understand the due date');
+      expect(screen.queryByText('Pay rent')).not.toBeInTheDocument();
+    });
+
+    test('highlights overdue and due-today items', () => {
+      addTodo('Late thing', { due: '2026-10-01' });
+      addTodo('Today thing', { due: 'today' });
+      addTodo('Later thing', { due: 'next fri' });
+      addTodo('Undated thing');
+
+      expect(screen.getByText('Late thing').closest('li')).toHaveClass('due-overdue');
+      expect(screen.getByText(/^Overdue:/)).toBeInTheDocument();
+      expect(screen.getByText('Today thing').closest('li')).toHaveClass('due-today');
+      expect(screen.getByText('Due today')).toBeInTheDocument();
+      expect(screen.getByText('Later thing').closest('li')).toHaveClass('due-upcoming');
+      expect(screen.getByText('Undated thing').closest('li')).toHaveClass('active');
+      expect(screen.getByText('Undated thing').closest('li')).not.toHaveClass('due-overdue');
+    });
+
+    test('sorts active tasks by due date', () => {
+      addTodo('Undated thing');
+      addTodo('Later thing', { due: '2026-11-01' });
+      addTodo('Sooner thing', { due: '2026-10-20' });
+
+      fireEvent.change(screen.getByLabelText('Sort active tasks'), { target: { value: 'dueDate' } });
+      expect(activeItems().map(li => li.querySelector('span').textContent)).toEqual([
+        'Sooner thing', 'Later thing', 'Undated thing',
+      ]);
+
+      fireEvent.change(screen.getByLabelText('Sort active tasks'), { target: { value: 'manual' } });
+      expect(activeItems().map(li => li.querySelector('span').textContent)).toEqual([
+        'Undated thing', 'Later thing', 'Sooner thing',
+      ]);
+    });
+
+    test('changes and clears the due date when editing', () => {
+      addTodo('Pay rent', { due: '2026-10-20' });
+
+      fireEvent.click(screen.getByLabelText('Edit todo "Pay rent"'));
+      const editDue = screen.getByLabelText('Due date for "Pay rent"');
+      expect(editDue).toHaveValue('2026-10-20');
+      fireEvent.change(editDue, { target: { value: 'in 2 days' } });
+      fireEvent.click(screen.getByText('Save'));
+      const item = () => screen.getByText('Pay rent').closest('li');
+      expect(within(item()).getByText(/^Due /)).toHaveAttribute('dateTime', '2026-10-16');
+
+      fireEvent.click(screen.getByLabelText('Edit todo "Pay rent"'));
+      fireEvent.change(screen.getByLabelText('Due date for "Pay rent"'), { target: { value: '' } });
+      fireEvent.click(screen.getByText('Save'));
+      expect(within(item()).queryByText(/^Due /)).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Recurring Todos', () => {
+    // Wednesday, October 14 2026
+    const now = new Date(2026, 9, 14, 9, 0);
+    const sectionItems = (title) => Array.from(
+      screen.getByText(title).parentElement.querySelectorAll('li')
+    );
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('creates the next occurrence when a recurring todo is completed', () => {
+      addTodo('Update dependencies', { due: 'mon', repeat: 'every mon' });
+      expect(screen.getByText('Weekly on Mon')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByLabelText('Mark "Update dependencies" as complete'));
+
+      const [next] = sectionItems('Active Tasks');
+      expect(next).toHaveTextContent('Update dependencies');
+      expect(within(next).getByText(/^Due /)).toHaveAttribute('dateTime', '2026-10-26');
+      const [done] = sectionItems('Completed Tasks');
+      expect(done).toHaveTextContent('Update dependencies');
+      expect(within(done).getByText(/^Due /)).toHaveAttribute('dateTime', '2026-10-19');
+    });
+
+    test('lets occurrences keep the same text when edited', () => {
+      addTodo('Water plants', { due: 'today', repeat: 'daily' });
+      fireEvent.click(screen.getByLabelText('Mark "Water plants" as complete'));
+
+      fireEvent.click(screen.getByLabelText('Edit completed todo "Water plants"'));
+      fireEvent.click(screen.getByText('Save'));
+      expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+      expect(sectionItems('Active Tasks')).toHaveLength(1);
+    });
+
+    test('removes the next occurrence with one undo', () => {
+      addTodo('Pay rent', { due: '2026-10-01', repeat: 'monthly' });
+      fireEvent.click(screen.getByLabelText('Mark "Pay rent" as complete'));
+      expect(within(sectionItems('Active Tasks')[0]).getByText(/^Due /)).toHaveAttribute('dateTime', '2026-11-01');
+
+      fireEvent.click(screen.getByText('Undo'));
+      expect(sectionItems('Active Tasks')).toHaveLength(1);
+      expect(sectionItems('Completed Tasks')).toHaveLength(0);
+    });
+
+    test('keeps a monthly rule on its day after a short month and an edit', () => {
+      addTodo('Pay rent', { due: '2027-01-31', repeat: 'monthly' });
+      fireEvent.click(screen.getByLabelText('Mark "Pay rent" as complete'));
+      expect(within(sectionItems('Active Tasks')[0]).getByText(/^Due /)).toHaveAttribute('dateTime', '2027-02-28');
+
+      fireEvent.click(screen.getByLabelText('Edit todo "Pay rent"'));
+      fireEvent.change(screen.getByDisplayValue('Pay rent'), { target: { value: 'Pay the rent' } });
+      fireEvent.click(screen.getByText('Save'));
+      fireEvent.click(screen.getByLabelText('Mark "Pay the rent" as complete'));
+      expect(within(sectionItems('Active Tasks')[0]).getByText(/^Due /)).toHaveAttribute('dateTime', '2027-03-31');
+    });
+
+    test('changes or clears the rule when editing', () => {
+      addTodo('Backup', { due: '', repeat: 'every 3 days' });
+      fireEvent.click(screen.getByLabelText('Edit todo "Backup"'));
+      const repeatInput = screen.getByLabelText('Repeat rule for "Backup"');
+      expect(repeatInput).toHaveValue('Every 3 days');
+
+      fireEvent.change(repeatInput, { target: { value: 'sometimes' } });
+      fireEvent.click(screen.getByText('Save'));
+      expect(screen.getByRole('alert')).toHaveTextContent('Could not understand the repeat rule');
+
+      fireEvent.change(repeatInput, { target: { value: '' } });
+      fireEvent.click(screen.getByText('Save'));
+      expect(screen.queryByText('Every 3 days')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Priorities', () => {
+    const activeTexts = () => Array.from(
+      screen.getByText('Active Tasks').parentElement.querySelectorAll('li > .todo-item > span:first-of-type')
+    ).map(span => span.textContent);
+
+    test('adds a todo with a priority badge and resets the picker', () => {
+      addTodo('Fix bug', { priority: 'high' });
+
+      const item = screen.getByText('Fix bug').closest('li');
+      expect(within(item).getByText('High')).toHaveClass('priority-badge', 'priority-high');
+      expect(item.querySelector('.priority-badge')).toHaveTextContent('High priority');
+      expect(screen.getByLabelText('Priority')).toHaveValue('');
+    });
+
+    test('includes the priority in generated aria-labels', () => {
+      addTodo('Fix bug', { priority: 'high' });
+
+      expect(screen.getByLabelText('Edit todo "Fix bug" (high priority)')).toBeInTheDocument();
+      expect(screen.getByLabelText('Delete todo "Fix bug" (high priority)')).toBeInTheDocument();
+      fireEvent.click(screen.getByLabelText('Mark "Fix bug" (high priority) as complete'));
+      expect(screen.getByLabelText('Mark "Fix bug" (high priority) as incomplete')).toBeChecked();
+      expect(screen.getByLabelText('Delete completed todo "Fix bug" (high priority)')).toBeInTheDocument();
+    });
+
+    test('sorts active tasks by priority', () => {
+      addTodo('Someday');
+      addTodo('Minor', { priority: 'low' });
+      addTodo('Urgent', { priority: 'high' });
+      addTodo('Normal', { priority: 'medium' });
+
+      fireEvent.change(screen.getByLabelText('Sort active tasks'), { target: { value: 'priority' } });
+      expect(activeTexts()).toEqual(['Urgent', 'Normal', 'Minor', 'Someday']);
+    });
+
+    test('filters active tasks to a single priority', () => {
+      addTodo('Urgent', { priority: 'high' });
+      addTodo('Minor', { priority: 'low' });
+      addTodo('Also urgent', { priority: 'high' });
+
+      fireEvent.change(screen.getByLabelText('Filter active tasks by priority'), { target: { value: 'high' } });
+      expect(activeTexts()).toEqual(['Urgent', 'Also urgent']);
+
+      fireEvent.change(screen.getByLabelText('Filter active tasks by priority'), { target: { value: 'all' } });
+      expect(activeTexts()).toEqual(['Urgent', 'Minor', 'Also urgent']);
+    });
+
+    test('changes and clears the priority when editing', () => {
+      addTodo('Fix bug', { priority: 'low' });
+
+      fireEvent.click(screen.getByLabelText('Edit todo "Fix bug" (low priority)'));
+      const picker = screen.getByLabelText('Priority for "Fix bug"');
+      expect(picker).toHaveValue('low');
+      fireEvent.change(picker, { target: { value: 'high' } });
+      fireEvent.click(screen.getByText('Save'));
+      expect(screen.getByText('Fix bug').closest('li')).toHaveTextContent('High');
+
+      fireEvent.click(screen.getByLabelText('Edit todo "Fix bug" (high priority)'));
+      fireEvent.change(screen.getByLabelText('Priority for "Fix bug"'), { target: { value: '' } });
+      fireEvent.click(screen.getByText('Save'));
+      expect(screen.getByLabelText('Edit todo "Fix bug"')).toBeInTheDocument();
+    });
+  });
+
+  describe('Tags', () => {
+    const sectionTexts = (heading) => Array.from(
+      screen.getByText(heading).parentElement.querySelectorAll('li > .todo-item > span:first-of-type')
+    ).map(span => span.textContent);
+
+    test('parses inline tags and shows them on the item', () => {
+      addTodo('Fix login #frontend #bug');
+
+      const item = screen.getByText('Fix login').closest('li');
+      expect(within(item).getByText('#frontend')).toBeInTheDocument();
+      expect(within(item).getByText('#bug')).toBeInTheDocument();
+    });
+
+    test('treats todos that differ only in tags as duplicates', () => {
+      addTodo('Fix login #frontend');
+      addTodo('Fix login #backend');
+
+      expect(screen.getByRole('alert')).toHaveTextContent('This todo item already exists');
+    });
+
+    test('filters both sections by the selected tags', () => {
+      addTodo('Fix login #frontend');
+      addTodo('Tune queries #backend');
+      addTodo('Ship header #frontend', { completed: true });
+      addTodo('Ship cache #backend', { completed: true });
+
+      const filterBar = screen.getByRole('group', { name: 'Filter by tag' });
+      fireEvent.click(within(filterBar).getByText('#frontend'));
+      expect(within(filterBar).getByText('#frontend')).toHaveAttribute('aria-pressed', 'true');
+      expect(sectionTexts('Active Tasks')).toEqual(['Fix login']);
+      expect(sectionTexts('Completed Tasks')).toEqual(['Ship header']);
+
+      fireEvent.click(screen.getByLabelText('Clear tag filter'));
+      expect(sectionTexts('Active Tasks')).toEqual(['Fix login', 'Tune queries']);
+      expect(sectionTexts('Completed Tasks')).toEqual(['Ship header', 'Ship cache']);
+    });
+
+    test('adds a tag chosen from the picker to the input', () => {
+      addTodo('Fix login #frontend');
+
+      fireEvent.change(input, { target: { value: 'Polish footer' } });
+      fireEvent.change(screen.getByLabelText('Add a tag'), { target: { value: 'frontend' } });
+      expect(input).toHaveValue('Polish footer #frontend');
+
+      fireEvent.click(addButton);
+      expect(within(screen.getByText('Polish footer').closest('li')).getByText('#frontend')).toBeInTheDocument();
+    });
+
+    test('edits tags inline', () => {
+      addTodo('Fix login #frontend');
+
+      fireEvent.click(screen.getByLabelText('Edit todo "Fix login"'));
+      const editInput = screen.getByDisplayValue('Fix login #frontend');
+      fireEvent.change(editInput, { target: { value: 'Fix login #backend' } });
+      fireEvent.click(screen.getByText('Save'));
+
+      const item = screen.getByText('Fix login').closest('li');
+      expect(within(item).getByText('#backend')).toBeInTheDocument();
+      expect(within(item).queryByText('#frontend')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Search', () => {
+    const search = (query) => fireEvent.change(screen.getByLabelText('Search todos'), { target: { value: query } });
+    const visibleItems = () => Array.from(document.querySelectorAll('.todo-list > li'));
+
+    test('filters both sections as you type', () => {
+      ['Write report', 'Buy milk', 'Review report'].forEach((text) => addTodo(text));
+      fireEvent.click(screen.getByLabelText('Mark "Review report" as complete'));
+
+      search('REPORT');
+      expect(visibleItems().map(li => li.querySelector('span').textContent)).toEqual(['Write report', 'Review report']);
+
+      search('');
+      expect(visibleItems()).toHaveLength(3);
+    });
+
+    test('matches fuzzily', () => {
+      ['Write report', 'Buy milk'].forEach((text) => addTodo(text));
+
+      search('wrt rpt');
+      expect(visibleItems().map(li => li.querySelector('span').textContent)).toEqual(['Write report']);
+    });
+
+    test('highlights the matched text', () => {
+      addTodo('Write report');
+
+      search('rep');
+      const marks = visibleItems()[0].querySelectorAll('mark');
+      expect(Array.from(marks).map(mark => mark.textContent)).toEqual(['rep']);
+      expect(visibleItems()[0].querySelector('span')).toHaveTextContent('Write report');
+    });
+
+    test('announces how many todos are shown', () => {
+      ['Write report', 'Buy milk', 'Review report'].forEach((text) => addTodo(text));
+      expect(screen.queryByText(/shown$/)).not.toBeInTheDocument();
+
+      search('report');
+      const count = screen.getByText('2 of 3 shown');
+      expect(count).toHaveAttribute('role', 'status');
+      expect(count).toHaveAttribute('aria-live', 'polite');
+    });
+  });
+
+  describe('Reordering', () => {
+    const activeTexts = () => Array.from(
+      screen.getByText('Active Tasks').parentElement.querySelectorAll('li > .todo-item > span:first-of-type')
+    ).map(span => span.textContent);
+    const announcement = () => document.querySelector('[aria-live="polite"]:not([role])');
+
+    test('moves a task with Alt+Up and Alt+Down and announces it', () => {
+      ['First', 'Second', 'Third'].forEach((text) => addTodo(text));
+
+      fireEvent.keyDown(screen.getByLabelText('Reorder "Third"'), { key: 'ArrowUp', altKey: true });
+      expect(activeTexts()).toEqual(['First', 'Third', 'Second']);
+      expect(announcement()).toHaveTextContent('Moved "Third" to position 2 of 3');
+      expect(screen.getByLabelText('Reorder "Third"')).toHaveFocus();
+
+      fireEvent.keyDown(screen.getByLabelText('Mark "First" as complete'), { key: 'ArrowDown', altKey: true });
+      expect(activeTexts()).toEqual(['Third', 'First', 'Second']);
+    });
+
+    test('announces when a task cannot move further', () => {
+      ['First', 'Second'].forEach((text) => addTodo(text));
+
+      fireEvent.keyDown(screen.getByLabelText('Reorder "First"'), { key: 'ArrowUp', altKey: true });
+      expect(activeTexts()).toEqual(['First', 'Second']);
+      expect(announcement()).toHaveTextContent('"First" is already first');
+    });
+
+    test('keeps the order when a task is completed and reopened', () => {
+      ['First', 'Second', 'Third'].forEach((text) => addTodo(text));
+      fireEvent.keyDown(screen.getByLabelText('Reorder "First"'), { key: 'ArrowDown', altKey: true });
+
+      fireEvent.click(screen.getByLabelText('Mark "First" as complete'));
+      fireEvent.click(screen.getByLabelText('Mark "First" as incomplete'));
+      expect(activeTexts()).toEqual(['Second', 'First', 'Third']);
+    });
+
+    test('can undo a move', () => {
+      ['First', 'Second'].forEach((text) => addTodo(text));
+      fireEvent.keyDown(screen.getByLabelText('Reorder "Second"'), { key: 'ArrowUp', altKey: true });
+
+      fireEvent.click(screen.getByText('Undo'));
+      expect(activeTexts()).toEqual(['First', 'Second']);
+    });
+
+    test('disables reordering while sorted by something else', () => {
+      ['First', 'Second'].forEach((text) => addTodo(text));
+      fireEvent.change(screen.getByLabelText('Sort active tasks'), { target: { value: 'dueDate' } });
+
+      expect(screen.queryByLabelText('Reorder "First"')).not.toBeInTheDocument();
+      fireEvent.keyDown(screen.getByLabelText('Mark "Second" as complete'), { key: 'ArrowUp', altKey: true });
+      expect(activeTexts()).toEqual(['First', 'Second']);
+    });
+
+    describe('drag and drop', () => {
+      const originalElementFromPoint = document.elementFromPoint;
+
+      beforeAll(() => {
+        // jsdom has no PointerEvent; a MouseEvent carries the coordinates we need
+        window.PointerEvent = class PointerEvent extends MouseEvent {
+          constructor(type, init = {}) {
+            super(type, init);
+            this.pointerId = init.pointerId ?? 1;
+          }
+        };
+      });
+
+      afterAll(() => {
+        delete window.PointerEvent;
+      });
+
+      afterEach(() => {
+        document.elementFromPoint = originalElementFromPoint;
+      });
+
+      const pointAt = (element, rect = { top: 0, height: 40 }) => {
+        document.elementFromPoint = () => element;
+        element.getBoundingClientRect = () => rect;
+      };
+
+      test('drops a dragged task before or after the task under the pointer', () => {
+        ['First', 'Second', 'Third'].forEach((text) => addTodo(text));
+        const handle = screen.getByLabelText('Reorder "Third"');
+        const firstItem = screen.getByText('First').closest('li');
+
+        fireEvent.pointerDown(handle, { button: 0 });
+        expect(screen.getByText('Third').closest('li')).toHaveClass('dragging');
+
+        pointAt(firstItem);
+        fireEvent.pointerMove(handle, { clientX: 10, clientY: 5 });
+        expect(firstItem).toHaveClass('drop-before');
+
+        fireEvent.pointerUp(handle);
+        expect(activeTexts()).toEqual(['Third', 'First', 'Second']);
+        expect(announcement()).toHaveTextContent('Moved "Third" to position 1 of 3');
+
+        const secondItem = screen.getByText('Second').closest('li');
+        pointAt(secondItem);
+        fireEvent.pointerDown(screen.getByLabelText('Reorder "Third"'), { button: 0 });
+        fireEvent.pointerMove(screen.getByLabelText('Reorder "Third"'), { clientX: 10, clientY: 30 });
+        fireEvent.pointerUp(screen.getByLabelText('Reorder "Third"'));
+        expect(activeTexts()).toEqual(['First', 'Second', 'Third']);
+      });
+
+      test('does nothing when dropped outside the list or cancelled', () => {
+        ['First', 'Second'].forEach((text) => addTodo(text));
+        const handle = screen.getByLabelText('Reorder "Second"');
+
+        fireEvent.pointerDown(handle, { button: 0 });
+        pointAt(document.body);
+        fireEvent.pointerMove(handle, { clientX: 10, clientY: 500 });
+        fireEvent.pointerUp(handle);
+        expect(activeTexts()).toEqual(['First', 'Second']);
+
+        fireEvent.pointerDown(handle, { button: 0 });
+        pointAt(screen.getByText('First').closest('li'));
+        fireEvent.pointerMove(handle, { clientX: 10, clientY: 5 });
+        fireEvent.pointerCancel(handle);
+        fireEvent.pointerUp(handle);
+        expect(activeTexts()).toEqual(['First', 'Second']);
+        expect(screen.getByText('Second').closest('li')).not.toHaveClass('dragging');
+      });
+    });
+  });
+
+  describe('Subtasks', () => {
+    const openSubtasks = (text) => fireEvent.click(screen.getByLabelText(`Subtasks of "${text}"`));
+    const addSubtask = (parent, text) => {
+      fireEvent.change(screen.getByLabelText(`New subtask for "${parent}"`), { target: { value: text } });
+      fireEvent.click(screen.getByLabelText(`Add subtask to "${parent}"`));
+    };
+    const progress = (text) => screen.getByText(text).closest('li').querySelector('.subtask-progress');
+
+    test('toggles the checklist with an expandable button', () => {
+      addTodo('Plan trip');
+      const toggle = screen.getByLabelText('Subtasks of "Plan trip"');
+      expect(toggle).toHaveAttribute('aria-expanded', 'false');
+
+      fireEvent.click(toggle);
+      expect(toggle).toHaveAttribute('aria-expanded', 'true');
+      expect(screen.getByLabelText('New subtask for "Plan trip"')).toBeInTheDocument();
+
+      fireEvent.click(toggle);
+      expect(screen.queryByLabelText('New subtask for "Plan trip"')).not.toBeInTheDocument();
+    });
+
+    test('adds subtasks and shows progress next to the parent', () => {
+      addTodo('Plan trip');
+      expect(progress('Plan trip')).toBeNull();
+      openSubtasks('Plan trip');
+      addSubtask('Plan trip', 'Book flights');
+      addSubtask('Plan trip', 'Book hotel');
+
+      const list = screen.getByRole('list', { name: 'Subtasks of "Plan trip"' });
+      expect(within(list).getAllByRole('listitem').map(item => item.textContent)).toEqual([
+        expect.stringContaining('Book flights'),
+        expect.stringContaining('Book hotel'),
+      ]);
+      expect(progress('Plan trip')).toHaveTextContent('0/2');
+      expect(screen.getByLabelText('New subtask for "Plan trip"')).toHaveValue('');
+
+      fireEvent.click(screen.getByLabelText('Mark subtask "Book flights" as complete'));
+      expect(progress('Plan trip')).toHaveTextContent('1/2');
+      expect(screen.getByLabelText('Mark subtask "Book flights" as incomplete')).toBeChecked();
+    });
+
+    test('validates subtask text like todo text', () => {
+      addTodo('Plan trip');
+      openSubtasks('Plan trip');
+      addSubtask('Plan trip', 'Book flights');
+      addSubtask('Plan trip', 'Book flights');
+
+      expect(screen.getByRole('alert')).toHaveTextContent('This todo item already exists');
+      expect(screen.getByLabelText('New subtask for "Plan trip"')).toHaveValue('Book flights');
+    });
+
+    test('edits and removes subtasks inline', () => {
+      addTodo('Plan trip');
+      openSubtasks('Plan trip');
+      addSubtask('Plan trip', 'Book flights');
+
+      fireEvent.click(screen.getByLabelText('Edit subtask "Book flights"'));
+      const editInput = screen.getByDisplayValue('Book flights');
+      fireEvent.change(editInput, { target: { value: 'Book trains' } });
+      fireEvent.keyDown(editInput, { key: 'Enter' });
+      expect(screen.getByText('Book trains')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByLabelText('Delete subtask "Book trains"'));
+      expect(screen.queryByText('Book trains')).not.toBeInTheDocument();
+      expect(progress('Plan trip')).toBeNull();
+    });
+
+    test('keeps focus in the checklist after adding a subtask', () => {
+      addTodo('Plan trip');
+      openSubtasks('Plan trip');
+      const subtaskInput = screen.getByLabelText('New subtask for "Plan trip"');
+      subtaskInput.focus();
+      addSubtask('Plan trip', 'Book flights');
+
+      expect(subtaskInput).toHaveFocus();
+    });
+
+    test('does not complete the parent by default', () => {
+      addTodo('Plan trip');
+      openSubtasks('Plan trip');
+      addSubtask('Plan trip', 'Book flights');
+      fireEvent.click(screen.getByLabelText('Mark subtask "Book flights" as complete'));
+
+      expect(screen.getByText('Plan trip').closest('section')).toHaveTextContent('Active Tasks');
+    });
+
+    test('undoes subtask changes', () => {
+      addTodo('Plan trip');
+      openSubtasks('Plan trip');
+      addSubtask('Plan trip', 'Book flights');
+      fireEvent.click(screen.getByLabelText('Undo last change'));
+
+      expect(screen.queryByText('Book flights')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Lists', () => {
+    const createList = (name) => {
+      fireEvent.click(screen.getByText('New list'));
+      fireEvent.change(screen.getByLabelText('List name'), { target: { value: name } });
+      fireEvent.click(screen.getByText('Create'));
+    };
+    const listTab = (name) => within(screen.getByRole('navigation', { name: 'Lists' })).getByText(name);
+
+    test('creates a list and switches to it', () => {
+      addTodo('Plan sprint');
+      expect(screen.queryByRole('navigation', { name: 'Lists' })).not.toBeInTheDocument();
+
+      createList('Bugs');
+      expect(screen.getByRole('heading', { level: 2 })).toHaveTextContent('Bugs');
+      expect(listTab('Bugs')).toHaveAttribute('aria-current', 'true');
+      expect(screen.queryByText('Plan sprint')).not.toBeInTheDocument();
+
+      fireEvent.click(listTab('Todo List'));
+      expect(screen.getByText('Plan sprint')).toBeInTheDocument();
+    });
+
+    test('keeps separate sections for each list', () => {
+      addTodo('Plan sprint');
+      createList('Bugs');
+      addTodo('Fix login');
+      fireEvent.click(screen.getByLabelText('Mark "Fix login" as complete'));
+
+      expect(screen.getByText('Fix login').closest('section')).toHaveTextContent('Completed Tasks');
+      fireEvent.click(listTab('Todo List'));
+      expect(screen.queryByText('Fix login')).not.toBeInTheDocument();
+      expect(screen.getByText('Plan sprint').closest('section')).toHaveTextContent('Active Tasks');
+    });
+
+    test('only checks for duplicates within a list', () => {
+      addTodo('Write docs');
+      createList('Personal');
+      addTodo('Write docs');
+      expect(screen.getByText('Write docs')).toBeInTheDocument();
+
+      addTodo('Write docs');
+      expect(screen.getByRole('alert')).toHaveTextContent('This todo item already exists');
+    });
+
+    test('validates list names', () => {
+      createList('todo list');
+      expect(screen.getByRole('alert')).toHaveTextContent('A list with this name already exists');
+
+      fireEvent.click(screen.getByLabelText('Cancel list name'));
+      expect(screen.queryByLabelText('List name')).not.toBeInTheDocument();
+    });
+
+    test('renames the current list', () => {
+      fireEvent.click(screen.getByLabelText('Rename list "Todo List"'));
+      fireEvent.change(screen.getByLabelText('List name'), { target: { value: 'Sprint' } });
+      fireEvent.click(screen.getByText('Rename'));
+
+      expect(screen.getByRole('heading', { level: 2 })).toHaveTextContent('Sprint');
+    });
+
+    test('moves a todo to another list', () => {
+      createList('Bugs');
+      fireEvent.click(listTab('Todo List'));
+      addTodo('Fix login');
+
+      fireEvent.change(screen.getByLabelText('Move "Fix login" to another list'), {
+        target: { value: screen.getByRole('option', { name: 'Bugs' }).value },
+      });
+      expect(screen.queryByText('Fix login')).not.toBeInTheDocument();
+
+      fireEvent.click(listTab('Bugs'));
+      expect(screen.getByText('Fix login')).toBeInTheDocument();
+    });
+
+    test('refuses to move a todo into a list that already has it', () => {
+      addTodo('Fix login');
+      createList('Bugs');
+      addTodo('Fix login');
+
+      const bugsId = screen.getByRole('option', { name: 'Todo List' }).value;
+      fireEvent.change(screen.getByLabelText('Move "Fix login" to another list'), { target: { value: bugsId } });
+      expect(screen.getByRole('alert')).toHaveTextContent('"Fix login" already exists in Todo List');
+      expect(screen.getByText('Fix login')).toBeInTheDocument();
+    });
+
+    test('deletes a list after confirmation and can undo it', () => {
+      const confirm = jest.spyOn(window, 'confirm').mockReturnValue(true);
+      createList('Bugs');
+      addTodo('Fix login');
+
+      fireEvent.click(screen.getByLabelText('Delete list "Bugs"'));
+      expect(confirm).toHaveBeenCalledWith('Delete "Bugs" and its 1 todo(s)?');
+      expect(screen.getByRole('heading', { level: 2 })).toHaveTextContent('Todo List');
+      expect(screen.getByLabelText('Delete list "Todo List"')).toBeDisabled();
+
+      fireEvent.click(screen.getByLabelText('Undo last change'));
+      fireEvent.click(listTab('Bugs'));
+      expect(screen.getByText('Fix login')).toBeInTheDocument();
+      confirm.mockRestore();
+    });
+  });
+
+  describe('Import and Export', () => {
+    const chooseFile = (content, name) => {
+      const file = new File([content], name, { type: name.endsWith('.csv') ? 'text/csv' : 'application/json' });
+      fireEvent.change(screen.getByLabelText('Import todos from file'), { target: { files: [file] } });
+    };
+    const activeTexts = () => Array.from(
+      screen.getByText('Active Tasks').parentElement.querySelectorAll('li > .todo-item > span:first-of-type')
+    ).map(span => span.textContent);
+    const readBlob = (blob) => new Promise(resolve => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsText(blob);
+    });
+
+    test('exports the shown list as a file download', async () => {
+      addTodo('Pay rent');
+      const createObjectURL = jest.fn(() => 'blob:todos');
+      const revokeObjectURL = jest.fn();
+      Object.assign(URL, { createObjectURL, revokeObjectURL });
+      let clickedInPage = false;
+      const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+        clickedInPage = document.body.contains(this);
+      });
+
+      fireEvent.click(screen.getByText('Export CSV'));
+
+      const link = click.mock.instances[0];
+      expect(link.download).toBe('todo-list.csv');
+      expect(clickedInPage).toBe(true);
+      expect(link.isConnected).toBe(false);
+      expect(revokeObjectURL).not.toHaveBeenCalled();
+      expect(await readBlob(createObjectURL.mock.calls[0][0])).toContain('Pay rent,false');
+      await waitFor(() => expect(revokeObjectURL).toHaveBeenCalledWith('blob:todos'));
+      click.mockRestore();
+      delete URL.createObjectURL;
+      delete URL.revokeObjectURL;
+    });
+
+    test('previews a CSV import row by row before merging', async () => {
+      addTodo('Pay rent');
+      chooseFile('text,priority\nWater plants,low\nPay rent,\nHello!,\n', 'chores.csv');
+
+      const preview = await screen.findByRole('region', { name: 'Import preview' });
+      expect(preview).toHaveTextContent('chores.csv: 1 accepted, 1 duplicate, 1 rejected');
+      expect(within(preview).getAllByRole('listitem').map(item => item.className)).toEqual([
+        'import-row import-accepted',
+        'import-row import-duplicate',
+        'import-row import-rejected',
+      ]);
+
+      fireEvent.click(within(preview).getByText('Import 1 todo'));
+      expect(activeTexts()).toEqual(['Pay rent', 'Water plants']);
+      expect(screen.getByRole('status')).toHaveTextContent('Imported 1 todo into Todo List');
+      expect(screen.queryByRole('region', { name: 'Import preview' })).not.toBeInTheDocument();
+    });
+
+    test('replaces the list with a JSON import and can be undone', async () => {
+      addTodo('Pay rent');
+      chooseFile(JSON.stringify({ version: 2, todos: [{ text: 'Pay rent', completed: true }, { text: 'Call mom' }] }), 'backup.json');
+
+      const preview = await screen.findByRole('region', { name: 'Import preview' });
+      expect(preview).toHaveTextContent('1 accepted, 1 duplicate');
+      fireEvent.click(within(preview).getByLabelText('Replace Todo List'));
+      expect(preview).toHaveTextContent('2 accepted, 0 duplicate');
+
+      fireEvent.click(within(preview).getByText('Import 2 todos'));
+      expect(activeTexts()).toEqual(['Call mom']);
+      expect(screen.getByText('Pay rent').closest('section')).toHaveTextContent('Completed Tasks');
+
+      fireEvent.click(screen.getByLabelText('Undo last change'));
+      expect(activeTexts()).toEqual(['Pay rent']);
+    });
+
+    test('imports Markdown task lists with subtasks', async () => {
+      chooseFile('- [ ] Plan trip\n  - [ ] Book hotel\n- [x] Pay rent\n', 'notes.md');
+
+      const preview = await screen.findByRole('region', { name: 'Import preview' });
+      fireEvent.click(within(preview).getByText('Import 2 todos'));
+      expect(activeTexts()).toEqual(['Plan trip']);
+      expect(screen.getByText('Plan trip').closest('li').querySelector('.subtask-progress')).toHaveTextContent('0/1');
+      expect(screen.getByText('Pay rent').closest('section')).toHaveTextContent('Completed Tasks');
+    });
+
+    test('adds one todo per line when pasting several lines', () => {
+      addTodo('Pay rent');
+      fireEvent.paste(input, {
+        clipboardData: { getData: () => '- [ ] Water plants\n- [x] Call mom\n- [ ] Hello!\n- [ ] Pay rent' },
+      });
+
+      expect(activeTexts()).toEqual(['Pay rent', 'Water plants']);
+      expect(screen.getByLabelText('Mark "Call mom" as incomplete')).toBeChecked();
+      expect(input).toHaveValue('');
+
+      const report = screen.getByRole('status');
+      expect(report).toHaveTextContent('Added 2 of 4 pasted lines');
+      expect(within(report).getAllByRole('listitem').map(item => item.textContent)).toEqual([
+        'Line 1: AcceptedWater plants',
+        'Line 2: AcceptedCall mom',
+        'Line 3: RejectedHello!Only letters, numbers, and spaces are allowed',
+        'Line 4: DuplicatePay rentThis todo item already exists',
+      ]);
+
+      fireEvent.click(screen.getByLabelText('Undo last change'));
+      expect(activeTexts()).toEqual(['Pay rent']);
+    });
+
+    test('validates pasted subtasks and reports the ones left out', () => {
+      fireEvent.paste(input, {
+        clipboardData: { getData: () => '- [ ] Parent\n  - [ ] buy milk!!! <b>\n  - [ ] step\n  - [ ] STEP' },
+      });
+
+      fireEvent.click(screen.getByLabelText('Subtasks of "Parent"'));
+      const subtasks = screen.getByRole('list', { name: 'Subtasks of "Parent"' });
+      expect(within(subtasks).getAllByRole('listitem').map(item => item.querySelector('.subtask-text').textContent))
+        .toEqual(['Step']);
+
+      const rejected = within(screen.getByRole('status')).getByRole('list', { name: 'Rejected subtasks' });
+      expect(within(rejected).getAllByRole('listitem').map(item => item.textContent)).toEqual([
+        'Subtask rejectedbuy milk!!! <b>Only letters, numbers, and spaces are allowed',
+        'Subtask rejectedSTEPThis todo item already exists',
+      ]);
+    });
+
+    test('leaves single-line pastes to the browser', () => {
+      const event = new Event('paste', { bubbles: true, cancelable: true });
+      event.clipboardData = { getData: () => 'Just one line\n' };
+      input.dispatchEvent(event);
+
+      expect(event.defaultPrevented).toBe(false);
+      expect(screen.queryByRole('status')).not.toBeInTheDocument();
+    });
+
+    test('reports files that cannot be read', async () => {
+      chooseFile('{not json', 'broken.json');
+      expect(await screen.findByRole('alert')).toHaveTextContent('Could not import broken.json: The file is not valid JSON');
+    });
+  });
+
+  describe('Bulk Selection', () => {
+    const select = (text, options) => fireEvent.click(screen.getByLabelText(`Select "${text}"`), options);
+    const sectionOf = (text) => screen.getByText(text).closest('section');
+
+    beforeEach(() => {
+      ['One', 'Two', 'Three', 'Four'].forEach((text) => addTodo(text));
+      fireEvent.click(screen.getByRole('button', { name: 'Select' }));
+    });
+
+    test('shows selection checkboxes only in selection mode', () => {
+      expect(screen.getByRole('button', { name: 'Done selecting' })).toHaveAttribute('aria-pressed', 'true');
+      expect(screen.getAllByRole('checkbox', { name: /^Select/ })).toHaveLength(4);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Done selecting' }));
+      expect(screen.queryByLabelText('Select "One"')).not.toBeInTheDocument();
+    });
+
+    test('completes and reopens the selected todos as one undoable change', () => {
+      select('One');
+      select('Three');
+      expect(screen.getByText('2 selected')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByLabelText('Complete selected todos'));
+      expect(sectionOf('One')).toHaveTextContent('Completed Tasks');
+      expect(sectionOf('Three')).toHaveTextContent('Completed Tasks');
+      expect(screen.getByText('0 selected')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByText('Undo'));
+      expect(sectionOf('One')).toHaveTextContent('Active Tasks');
+      expect(sectionOf('Three')).toHaveTextContent('Active Tasks');
+
+      fireEvent.click(screen.getByText('Redo'));
+      select('One');
+      fireEvent.click(screen.getByLabelText('Reopen selected todos'));
+      expect(sectionOf('One')).toHaveTextContent('Active Tasks');
+      expect(sectionOf('Three')).toHaveTextContent('Completed Tasks');
+    });
+
+    test('selects a range with Shift-click', () => {
+      select('One');
+      select('Three', { shiftKey: true });
+      expect(screen.getByLabelText('Select "Two"')).toBeChecked();
+      expect(screen.getByLabelText('Select "Three"')).toBeChecked();
+      expect(screen.getByLabelText('Select "Four"')).not.toBeChecked();
+    });
+
+    test('deletes the selected todos after one confirmation and can undo it', () => {
+      const confirm = jest.spyOn(window, 'confirm').mockReturnValue(true);
+      fireEvent.click(screen.getByText('Select all'));
+      expect(screen.getByText('4 selected')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByText('Delete selected'));
+      expect(confirm).toHaveBeenCalledTimes(1);
+      expect(confirm).toHaveBeenCalledWith('Delete 4 todos?');
+      expect(screen.queryByText('One')).not.toBeInTheDocument();
+      expect(screen.getByRole('status')).toHaveTextContent('4 todos deleted');
+
+      fireEvent.click(screen.getByLabelText('Undo delete of 4 todos'));
+      ['One', 'Two', 'Three', 'Four'].forEach((text) => expect(screen.getByText(text)).toBeInTheDocument());
+      confirm.mockRestore();
+    });
+
+    test('keeps the todos when deletion is not confirmed', () => {
+      const confirm = jest.spyOn(window, 'confirm').mockReturnValue(false);
+      select('Two');
+      fireEvent.click(screen.getByText('Delete selected'));
+      expect(screen.getByText('Two')).toBeInTheDocument();
+      confirm.mockRestore();
+    });
+
+    test('clears all completed todos from the Completed Tasks header', () => {
+      const confirm = jest.spyOn(window, 'confirm').mockReturnValue(true);
+      expect(screen.queryByText('Clear completed')).not.toBeInTheDocument();
+      select('One');
+      select('Two');
+      fireEvent.click(screen.getByLabelText('Complete selected todos'));
+
+      fireEvent.click(screen.getByText('Clear completed'));
+      expect(confirm).toHaveBeenCalledWith('Delete 2 completed todos?');
+      expect(screen.queryByText('One')).not.toBeInTheDocument();
+      expect(screen.queryByText('Two')).not.toBeInTheDocument();
+      expect(screen.getByText('Three')).toBeInTheDocument();
+      expect(screen.queryByText('Clear completed')).not.toBeInTheDocument();
+      confirm.mockRestore();
+    });
+  });
+
   describe('Todo Sections', () => {
     test('should move completed todos to completed section', () => {
       // Add todos
@@ -408,16 +1611,598 @@ describe('TodoListCopilot', () => {
       expect(completedTodos).toHaveLength(0);
     });
 
-    test('should only show edit button for incomplete todos', () => {
+    test('should show edit button for completed todos too', () => {
       // Add a todo and complete it
-      fireEvent.change(input, { target: { value: 'Test Todo' } });
+      fireEvent.change(input, { target: { value: 'Test todo' } });
       fireEvent.click(addButton);
-      fireEvent.click(screen.getByRole('checkbox'));
+      fireEvent.click(screen.getByLabelText('Mark "Test todo" as complete'));
 
-      // Verify edit button is not present for completed todo
+      // Verify edit button is present for completed todo
       const completedTodo = screen.getByText('Completed Tasks')
         .parentElement.querySelector('li');
-      expect(within(completedTodo).queryByText('Edit')).not.toBeInTheDocument();
+      expect(within(completedTodo).getByText('Edit')).toBeInTheDocument();
+    });
+  });
+});
+
+describe('TodoListCopilot validation policy', () => {
+  test('uses the validation policy passed as a prop', () => {
+    render(
+      <TodoListCopilot
+        storage={createMemoryStorage()}
+        validationPolicy={VALIDATION_PRESETS.international}
+      />
+    );
+    fireEvent.change(screen.getByPlaceholderText('Add a todo'), { target: { value: 'Email Bob re: Q3' } });
+    fireEvent.click(screen.getByText('Add'));
+
+    expect(screen.getByText('Email Bob re: Q3')).toBeInTheDocument();
+  });
+
+  test('applies the policy when editing', () => {
+    render(<TodoListCopilot storage={createMemoryStorage()} validationPolicy={{ maxLength: 10 }} />);
+    fireEvent.change(screen.getByPlaceholderText('Add a todo'), { target: { value: 'Short' } });
+    fireEvent.click(screen.getByText('Add'));
+
+    fireEvent.click(screen.getByLabelText('Edit todo "Short"'));
+    fireEvent.change(screen.getByDisplayValue('Short'), { target: { value: 'Much too long for this' } });
+    fireEvent.click(screen.getByText('Save'));
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Todo must be at most 10 characters');
+  });
+});
+
+describe('TodoListCopilot subtask auto-complete', () => {
+  test('completes the parent once all its subtasks are done', () => {
+    const storage = createMemoryStorage();
+    render(<TodoListCopilot storage={storage} autoCompleteParents />);
+    fireEvent.change(screen.getByPlaceholderText('Add a todo'), { target: { value: 'Plan trip' } });
+    fireEvent.click(screen.getByText('Add'));
+    fireEvent.click(screen.getByLabelText('Subtasks of "Plan trip"'));
+    ['Book flights', 'Book hotel'].forEach(text => {
+      fireEvent.change(screen.getByLabelText('New subtask for "Plan trip"'), { target: { value: text } });
+      fireEvent.click(screen.getByLabelText('Add subtask to "Plan trip"'));
+    });
+
+    fireEvent.click(screen.getByLabelText('Mark subtask "Book flights" as complete'));
+    expect(screen.getByText('Plan trip').closest('section')).toHaveTextContent('Active Tasks');
+
+    fireEvent.click(screen.getByLabelText('Mark subtask "Book hotel" as complete'));
+    expect(screen.getByText('Plan trip').closest('section')).toHaveTextContent('Completed Tasks');
+    expect(screen.getByText('Plan trip').closest('li').querySelector('.subtask-progress')).toHaveTextContent('2/2');
+  });
+});
+
+describe('TodoListCopilot persistence', () => {
+  test('hydrates saved todos on mount', async () => {
+    const storage = createMemoryStorage([
+      { text: 'Saved active', completed: false },
+      { text: 'Saved done', completed: true },
+    ]);
+    render(<TodoListCopilot storage={storage} />);
+
+    const activeTodo = await screen.findByText('Saved active');
+    expect(activeTodo.closest('section')).toHaveTextContent('Active Tasks');
+    expect(screen.getByText('Saved done').closest('section')).toHaveTextContent('Completed Tasks');
+  });
+
+  test('restores saved lists and the todos in each', async () => {
+    const storage = createMemoryStorage(
+      [
+        { id: 'a', text: 'Plan sprint', completed: false, listId: 'sprint' },
+        { id: 'b', text: 'Fix login', completed: false, listId: 'bugs' },
+      ],
+      [{ id: 'sprint', name: 'Sprint' }, { id: 'bugs', name: 'Bugs' }]
+    );
+    render(<TodoListCopilot storage={storage} />);
+
+    expect(await screen.findByText('Plan sprint')).toBeInTheDocument();
+    expect(screen.getByRole('heading', { level: 2 })).toHaveTextContent('Sprint');
+    fireEvent.click(within(screen.getByRole('navigation', { name: 'Lists' })).getByText('Bugs'));
+    expect(screen.getByText('Fix login')).toBeInTheDocument();
+  });
+
+  test('writes the list after each change', async () => {
+    const adapter = createMemoryAdapter();
+    const storage = createTodoStorage(adapter);
+    render(<TodoListCopilot storage={storage} />);
+    await waitFor(() => expect(adapter.read()).resolves.toBeNull());
+
+    fireEvent.change(screen.getByPlaceholderText('Add a todo'), { target: { value: 'Persist me' } });
+    fireEvent.click(screen.getByText('Add'));
+    await waitFor(async () => {
+      expect(await storage.load()).toEqual([expect.objectContaining({ text: 'Persist me', completed: false })]);
+    });
+
+    fireEvent.click(screen.getByLabelText('Mark "Persist me" as complete'));
+    await waitFor(async () => {
+      expect(await storage.load()).toEqual([expect.objectContaining({ text: 'Persist me', completed: true })]);
+    });
+
+    fireEvent.click(screen.getByLabelText('Delete completed todo "Persist me"'));
+    await waitFor(async () => {
+      expect(await storage.load()).toEqual([]);
+    });
+  });
+
+  test('does not overwrite data saved by a newer schema version', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const futureData = { version: 999, todos: [{ text: 'From the future' }] };
+    const adapter = createMemoryAdapter(futureData);
+    render(<TodoListCopilot storage={createTodoStorage(adapter)} />);
+    await waitFor(() => expect(consoleError).toHaveBeenCalled());
+
+    fireEvent.change(screen.getByPlaceholderText('Add a todo'), { target: { value: 'New todo' } });
+    fireEvent.click(screen.getByText('Add'));
+
+    expect(await adapter.read()).toEqual(futureData);
+    consoleError.mockRestore();
+  });
+});
+
+describe('TodoListCopilot REST sync', () => {
+  let consoleError;
+
+  beforeEach(() => {
+    consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+  });
+
+  /**
+   * Injected fetch for a server holding one todo, where `failWrites` makes writes answer 500.
+   */
+  const server = { failWrites: false };
+  const fetch = jest.fn(async (url, { method }) => {
+    if (method === 'GET') {
+      return { ok: true, status: 200, json: async () => [{ id: 'a', text: 'Shared todo', completed: false }] };
+    }
+    return server.failWrites ? { ok: false, status: 500 } : { ok: true, status: 204 };
+  });
+
+  test('shows a change at once and rolls it back with an error when the save fails', async () => {
+    server.failWrites = true;
+    render(<TodoListCopilot storage={createRestStorage({ url: '/api/todos', fetch })} />);
+    await screen.findByText('Shared todo');
+
+    fireEvent.click(screen.getByLabelText('Mark "Shared todo" as complete'));
+    expect(screen.getByText('Shared todo').closest('section')).toHaveTextContent('Completed Tasks');
+
+    expect(await screen.findByRole('alert')).toHaveTextContent("couldn't be saved");
+    expect(screen.getByText('Shared todo').closest('section')).toHaveTextContent('Active Tasks');
+    expect(fetch).toHaveBeenCalledWith('/api/todos/a', expect.objectContaining({ method: 'PUT' }));
+
+    fireEvent.click(screen.getByLabelText('Dismiss error'));
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+
+  test('rolls back a new list when the save fails', async () => {
+    const storage = {
+      load: async () => [{ id: 'a', text: 'Saved todo', completed: false }],
+      loadLists: async () => [],
+      save: jest.fn(async (todos, lists) => {
+        if (lists.length > 1) throw new Error('offline');
+      }),
+    };
+    render(<TodoListCopilot storage={storage} />);
+    await screen.findByText('Saved todo');
+
+    fireEvent.click(screen.getByText('New list'));
+    fireEvent.change(screen.getByLabelText('List name'), { target: { value: 'Bugs' } });
+    fireEvent.click(screen.getByText('Create'));
+    expect(screen.getByRole('heading', { level: 2 })).toHaveTextContent('Bugs');
+
+    expect(await screen.findByRole('alert')).toHaveTextContent("couldn't be saved");
+    expect(screen.queryByRole('navigation', { name: 'Lists' })).not.toBeInTheDocument();
+    expect(screen.getByRole('heading', { level: 2 })).toHaveTextContent('Todo List');
+    expect(screen.getByText('Saved todo')).toBeInTheDocument();
+  });
+
+  test('keeps a change the server accepts', async () => {
+    server.failWrites = false;
+    render(<TodoListCopilot storage={createRestStorage({ url: '/api/todos', fetch })} />);
+    await screen.findByText('Shared todo');
+
+    fireEvent.click(screen.getByLabelText('Delete todo "Shared todo"'));
+    await waitFor(() => expect(fetch).toHaveBeenCalledWith('/api/todos/a', expect.objectContaining({ method: 'DELETE' })));
+    expect(screen.queryByText('Shared todo')).not.toBeInTheDocument();
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+
+  test('shows an error when the todos cannot be loaded', async () => {
+    const offline = jest.fn(async () => ({ ok: false, status: 503 }));
+    render(<TodoListCopilot storage={createRestStorage({ url: '/api/todos', fetch: offline })} />);
+
+    expect(await screen.findByRole('alert')).toHaveTextContent("couldn't be loaded");
+  });
+});
+
+describe('TodoListCopilot across tabs', () => {
+  const key = 'tabs-test';
+
+  /**
+   * Saves todos the way another tab would and fires the event the browser sends this tab.
+   */
+  const saveInOtherTab = async (todos) => {
+    await act(async () => {
+      localStorage.setItem(key, JSON.stringify(serializeTodos(todos)));
+      window.dispatchEvent(new StorageEvent('storage', { key, storageArea: localStorage }));
+    });
+  };
+
+  beforeEach(async () => {
+    localStorage.setItem(key, JSON.stringify(serializeTodos([{ id: 'a', text: 'Shared todo', completed: false }])));
+    render(<TodoListCopilot storage={createTodoStorage(createLocalStorageAdapter({ key }))} />);
+    await screen.findByText('Shared todo');
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('shows todos added, toggled and deleted in another tab', async () => {
+    const search = screen.getByRole('searchbox');
+    act(() => search.focus());
+
+    await saveInOtherTab([
+      { id: 'a', text: 'Shared todo', completed: true },
+      { id: 'b', text: 'From the other tab', completed: false },
+    ]);
+    expect(await screen.findByText('From the other tab')).toBeInTheDocument();
+    expect(screen.getByText('Shared todo').closest('section')).toHaveTextContent('Completed Tasks');
+    expect(search).toHaveFocus();
+
+    await saveInOtherTab([{ id: 'b', text: 'From the other tab', completed: false }]);
+    await waitFor(() => expect(screen.queryByText('Shared todo')).not.toBeInTheDocument());
+  });
+
+  test('lets the last save win when both tabs change the same todo', async () => {
+    fireEvent.click(screen.getByLabelText('Mark "Shared todo" as complete'));
+    await waitFor(() => expect(JSON.parse(localStorage.getItem(key)).todos[0].completed).toBe(true));
+
+    await saveInOtherTab([{ id: 'a', text: 'Renamed elsewhere', completed: false }]);
+    const renamed = await screen.findByText('Renamed elsewhere');
+    expect(renamed.closest('section')).toHaveTextContent('Active Tasks');
+    expect(screen.getByLabelText('Undo last change')).toBeDisabled();
+  });
+
+  test('stops editing a todo another tab deleted', async () => {
+    fireEvent.click(screen.getByLabelText('Edit todo "Shared todo"'));
+    fireEvent.change(screen.getByDisplayValue('Shared todo'), { target: { value: 'Half typed' } });
+
+    await saveInOtherTab([]);
+    expect(await screen.findByRole('alert')).toHaveTextContent('The todo you were editing was deleted elsewhere');
+    expect(screen.queryByDisplayValue('Half typed')).not.toBeInTheDocument();
+  });
+});
+
+describe('TodoListCopilot embedding', () => {
+  test('starts from initialTodos when uncontrolled and reports changes', () => {
+    const onChange = jest.fn();
+    render(
+      <TodoListCopilot
+        initialTodos={[{ id: 'a', text: 'Water plants', completed: false }]}
+        onChange={onChange}
+      />
+    );
+    expect(screen.getByText('Water plants')).toBeInTheDocument();
+    expect(onChange).not.toHaveBeenCalled();
+
+    addTodo('Feed cat');
+    expect(onChange).toHaveBeenLastCalledWith([
+      expect.objectContaining({ text: 'Water plants' }),
+      expect.objectContaining({ text: 'Feed cat', completed: false }),
+    ]);
+  });
+
+  test('shows the todos prop when controlled and takes changes from the parent', () => {
+    /**
+     * Parent that owns the todos and can drop the first one.
+     */
+    function Parent() {
+      const [todos, setTodos] = React.useState([{ id: 'a', text: 'Water plants', completed: false }]);
+      return (
+        <>
+          <button type="button" onClick={() => setTodos(todos.slice(1))}>Drop first</button>
+          <TodoListCopilot todos={todos} onChange={setTodos} />
+        </>
+      );
+    }
+    render(<Parent />);
+
+    addTodo('Feed cat');
+    expect(screen.getByText('Feed cat')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Drop first'));
+    expect(screen.queryByText('Water plants')).not.toBeInTheDocument();
+    expect(screen.getByText('Feed cat')).toBeInTheDocument();
+
+    // The parent's change is not an undo step, so undo goes back to before the add
+    fireEvent.click(screen.getByLabelText('Undo last change'));
+    expect(screen.queryByText('Feed cat')).not.toBeInTheDocument();
+    expect(screen.getByText('Water plants')).toBeInTheDocument();
+  });
+
+  test('keeps showing the todos prop when the parent ignores a change', () => {
+    const onChange = jest.fn();
+    render(<TodoListCopilot todos={[]} onChange={onChange} />);
+    addTodo('Feed cat');
+
+    expect(onChange).toHaveBeenCalledWith([expect.objectContaining({ text: 'Feed cat' })]);
+    expect(screen.queryByText('Feed cat')).not.toBeInTheDocument();
+  });
+
+  test('starts each change from the todos prop when the parent ignored the last one', () => {
+    const onChange = jest.fn();
+    render(<TodoListCopilot todos={[]} onChange={onChange} />);
+    const reportedTexts = () => onChange.mock.lastCall[0].map(todo => todo.text);
+
+    addTodo('Feed cat');
+    addTodo('Feed dog');
+    expect(reportedTexts()).toEqual(['Feed dog']);
+
+    addTodo('Feed cat');
+    expect(reportedTexts()).toEqual(['Feed cat']);
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+
+  test('reports adds, toggles, edits and deletes', () => {
+    const callbacks = { onAdd: jest.fn(), onToggle: jest.fn(), onEdit: jest.fn(), onDelete: jest.fn() };
+    render(<TodoListCopilot storage={createMemoryStorage()} {...callbacks} />);
+
+    addTodo('Feed cat');
+    expect(callbacks.onAdd).toHaveBeenCalledWith(expect.objectContaining({ text: 'Feed cat', completed: false }));
+
+    fireEvent.click(screen.getByLabelText('Edit todo "Feed cat"'));
+    fireEvent.click(screen.getByText('Save'));
+    expect(callbacks.onEdit).not.toHaveBeenCalled();
+    fireEvent.click(screen.getByLabelText('Edit todo "Feed cat"'));
+    fireEvent.change(screen.getByDisplayValue('Feed cat'), { target: { value: 'Feed dog' } });
+    fireEvent.click(screen.getByText('Save'));
+    expect(callbacks.onEdit).toHaveBeenCalledWith(expect.objectContaining({ text: 'Feed dog' }));
+
+    fireEvent.click(screen.getByLabelText('Mark "Feed dog" as complete'));
+    expect(callbacks.onToggle).toHaveBeenCalledWith(expect.objectContaining({ text: 'Feed dog', completed: true }));
+
+    fireEvent.click(screen.getByLabelText('Delete completed todo "Feed dog"'));
+    expect(callbacks.onDelete).toHaveBeenCalledWith(expect.objectContaining({ text: 'Feed dog' }));
+    expect(callbacks.onAdd).toHaveBeenCalledTimes(1);
+  });
+
+  test('uses the title, placeholder and heading overrides', () => {
+    render(
+      <TodoListCopilot
+        storage={createMemoryStorage()}
+        title="Chores"
+        placeholder="New chore"
+        activeHeading="To do"
+        completedHeading="Done"
+      />
+    );
+    expect(screen.getByRole('heading', { level: 2 })).toHaveTextContent('Chores');
+    expect(screen.getByPlaceholderText('New chore')).toBeInTheDocument();
+    expect(screen.getByRole('heading', { name: 'To do' })).toBeInTheDocument();
+    expect(screen.getByRole('heading', { name: 'Done' })).toBeInTheDocument();
+  });
+
+  test('labels the controls of each list on a page with its own IDs', () => {
+    render(
+      <>
+        <TodoListCopilot initialTodos={[]} />
+        <TodoListCopilot initialTodos={[]} />
+      </>
+    );
+    const sortPickers = screen.getAllByLabelText('Sort by');
+    const priorityFilters = screen.getAllByLabelText('Show');
+    expect(new Set(sortPickers).size).toBe(2);
+    expect(new Set(priorityFilters).size).toBe(2);
+
+    const [firstAddCompleted, secondAddCompleted] = screen.getAllByRole('checkbox', { name: 'Add as completed' });
+    fireEvent.click(screen.getAllByText('Add as completed')[1]);
+    expect(secondAddCompleted).toBeChecked();
+    expect(firstAddCompleted).not.toBeChecked();
+  });
+
+  test('keeps single-key shortcuts to the list they are pressed in', () => {
+    const { container } = render(
+      <>
+        <button type="button">Host button</button>
+        <TodoListCopilot initialTodos={[]} />
+        <TodoListCopilot initialTodos={[]} />
+      </>
+    );
+    const hostButton = screen.getByText('Host button');
+    act(() => hostButton.focus());
+    const outside = createEvent.keyDown(hostButton, { key: 'n' });
+    fireEvent(hostButton, outside);
+    expect(outside.defaultPrevented).toBe(false);
+    expect(hostButton).toHaveFocus();
+
+    const secondHelpButton = screen.getAllByLabelText('Keyboard shortcuts')[1];
+    act(() => secondHelpButton.focus());
+    fireEvent.keyDown(secondHelpButton, { key: '/' });
+    expect(screen.getAllByLabelText('Add a new todo item')[1]).toHaveFocus();
+
+    fireEvent.keyDown(secondHelpButton, { key: '?' });
+    const [, secondRoot] = container.querySelectorAll('.todo-list-copilot');
+    expect(secondRoot).toContainElement(screen.getByRole('dialog'));
+  });
+
+  test('is exported from the library entry point', async () => {
+    const library = await import('./index');
+    expect(library.TodoListCopilot).toBe(TodoListCopilot);
+    expect(library.default).toBe(TodoListCopilot);
+    expect(library.useTodos).toEqual(expect.any(Function));
+    expect(library.createMemoryStorage).toBe(createMemoryStorage);
+  });
+});
+
+describe('TodoListCopilot status tabs', () => {
+  const initialTodos = [
+    { id: 'a', text: 'Water plants', completed: false },
+    { id: 'b', text: 'Feed cat', completed: false },
+    { id: 'c', text: 'Pay rent', completed: true },
+  ];
+
+  const statusTab = (name) =>
+    within(screen.getByRole('group', { name: 'Filter by status' })).getByRole('button', { name });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('shows both sections under All and one under Active or Completed', () => {
+    render(<TodoListCopilot initialTodos={initialTodos} />);
+    expect(statusTab('All 3')).toHaveAttribute('aria-pressed', 'true');
+    expect(screen.getByText('Active Tasks')).toBeInTheDocument();
+    expect(screen.getByText('Completed Tasks')).toBeInTheDocument();
+
+    fireEvent.click(statusTab('Active 2'));
+    expect(statusTab('Active 2')).toHaveAttribute('aria-pressed', 'true');
+    expect(screen.getByText('Water plants')).toBeInTheDocument();
+    expect(screen.queryByText('Completed Tasks')).not.toBeInTheDocument();
+
+    fireEvent.click(statusTab('Completed 1'));
+    expect(screen.getByText('Pay rent')).toBeInTheDocument();
+    expect(screen.queryByText('Active Tasks')).not.toBeInTheDocument();
+  });
+
+  test('keeps the counts and the items left footer up to date', () => {
+    render(<TodoListCopilot initialTodos={initialTodos} />);
+    expect(screen.getByText('2 items left')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText('Mark "Water plants" as complete'));
+    expect(screen.getByText('1 item left')).toBeInTheDocument();
+    expect(statusTab('Active 1')).toBeInTheDocument();
+    expect(statusTab('Completed 2')).toBeInTheDocument();
+    expect(statusTab('All 3')).toBeInTheDocument();
+  });
+
+  test('counts the whole list whatever the search', () => {
+    render(<TodoListCopilot initialTodos={initialTodos} />);
+    fireEvent.change(screen.getByLabelText('Search todos'), { target: { value: 'water' } });
+    expect(statusTab('Active 2')).toBeInTheDocument();
+    expect(screen.getByText('2 items left')).toBeInTheDocument();
+  });
+
+  test('reports tab changes through onViewChange', () => {
+    const onViewChange = jest.fn();
+    render(<TodoListCopilot initialTodos={initialTodos} view={{ section: 'all' }} onViewChange={onViewChange} />);
+
+    fireEvent.click(statusTab('Completed 1'));
+    expect(onViewChange).toHaveBeenCalledWith(expect.objectContaining({ section: 'completed' }));
+    expect(screen.getByText('Active Tasks')).toBeInTheDocument();
+  });
+
+  test('remembers a collapsed Completed Tasks section', () => {
+    const { unmount } = render(<TodoListCopilot initialTodos={initialTodos} />);
+    const toggle = screen.getByLabelText('Hide Completed Tasks');
+    expect(toggle).toHaveAttribute('aria-expanded', 'true');
+
+    fireEvent.click(toggle);
+    expect(screen.getByLabelText('Show Completed Tasks')).toHaveAttribute('aria-expanded', 'false');
+    expect(screen.queryByText('Pay rent')).not.toBeInTheDocument();
+    unmount();
+
+    render(<TodoListCopilot initialTodos={initialTodos} />);
+    expect(screen.queryByText('Pay rent')).not.toBeInTheDocument();
+
+    fireEvent.click(statusTab('Completed 1'));
+    expect(screen.getByText('Pay rent')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Show Completed Tasks')).not.toBeInTheDocument();
+  });
+
+  test('explains empty sections', () => {
+    render(<TodoListCopilot initialTodos={[]} />);
+    expect(screen.getByText('Nothing left to do.')).toBeInTheDocument();
+    expect(screen.getByText('No completed tasks yet.')).toBeInTheDocument();
+    expect(screen.getByText('0 items left')).toBeInTheDocument();
+  });
+
+  test('says when the filters hide every todo of a section', () => {
+    render(<TodoListCopilot initialTodos={initialTodos} />);
+    fireEvent.change(screen.getByLabelText('Search todos'), { target: { value: 'rent' } });
+    expect(screen.getByText('No active tasks match the filters.')).toBeInTheDocument();
+    expect(screen.queryByText('No completed tasks match the filters.')).not.toBeInTheDocument();
+  });
+});
+
+describe('TodoListCopilot themes', () => {
+  /**
+   * Fake window.matchMedia whose dark mode setting can be switched.
+   */
+  const createMatchMedia = (prefersDark) => {
+    const queries = {};
+    const matchMedia = (query) => {
+      if (!queries[query]) {
+        queries[query] = Object.assign(new EventTarget(), { media: query, matches: false });
+      }
+      queries[query].matches = query === '(prefers-color-scheme: dark)' && prefersDark;
+      return queries[query];
+    };
+    matchMedia.setDark = (dark) => {
+      prefersDark = dark;
+      const query = matchMedia('(prefers-color-scheme: dark)');
+      act(() => {
+        query.dispatchEvent(new Event('change'));
+      });
+    };
+    return matchMedia;
+  };
+
+  const root = (container) => container.querySelector('.todo-list-copilot');
+
+  afterEach(() => {
+    localStorage.clear();
+    delete window.matchMedia;
+  });
+
+  test('follows the system dark mode setting by default', () => {
+    window.matchMedia = createMatchMedia(true);
+    const { container } = render(<TodoListCopilot initialTodos={[]} />);
+    expect(screen.getByLabelText('Theme')).toHaveValue('system');
+    expect(root(container)).toHaveAttribute('data-theme', 'dark');
+
+    window.matchMedia.setDark(false);
+    expect(root(container)).toHaveAttribute('data-theme', 'light');
+  });
+
+  test('uses the light theme where the system setting is unknown', () => {
+    const { container } = render(<TodoListCopilot initialTodos={[]} />);
+    expect(root(container)).toHaveAttribute('data-theme', 'light');
+  });
+
+  test('remembers the theme the user picks', () => {
+    window.matchMedia = createMatchMedia(true);
+    const { container, unmount } = render(<TodoListCopilot initialTodos={[]} />);
+    fireEvent.change(screen.getByLabelText('Theme'), { target: { value: 'high-contrast' } });
+    expect(root(container)).toHaveAttribute('data-theme', 'high-contrast');
+    unmount();
+
+    const { container: next } = render(<TodoListCopilot initialTodos={[]} />);
+    expect(screen.getByLabelText('Theme')).toHaveValue('high-contrast');
+    expect(root(next)).toHaveAttribute('data-theme', 'high-contrast');
+  });
+
+  test('still switches themes where localStorage is blocked', () => {
+    const blocked = jest.spyOn(window, 'localStorage', 'get').mockImplementation(() => {
+      throw new DOMException('The operation is insecure.', 'SecurityError');
     });
+    try {
+      const { container } = render(<TodoListCopilot initialTodos={[]} />);
+      fireEvent.change(screen.getByLabelText('Theme'), { target: { value: 'dark' } });
+      expect(root(container)).toHaveAttribute('data-theme', 'dark');
+    } finally {
+      blocked.mockRestore();
+    }
+  });
+
+  test('lets the host app set the theme', () => {
+    localStorage.setItem('todo-list-copilot:theme', JSON.stringify('light'));
+    const { container } = render(<TodoListCopilot initialTodos={[]} theme="dark" />);
+    expect(root(container)).toHaveAttribute('data-theme', 'dark');
+    expect(screen.queryByLabelText('Theme')).not.toBeInTheDocument();
   });
 });
@@ -0,0 +1,39 @@
+import React from "react";
+import "./UpdatePrompt.css";
+import { useServiceWorkerUpdate } from "./useServiceWorkerUpdate";
+
+/**
+ * UpdatePrompt registers the offline service worker and, once a new build
+ * has been deployed and downloaded, offers to reload into it. Nothing is
+ * shown until then.
+ *
+ * @component
+ * @param {Object} props
+ * @param {string|null} props.serviceWorkerUrl - URL of the built service worker; null turns
+ *   offline support off, e.g. in development
+ * @param {ServiceWorkerContainer} [props.container] - Where to register it; navigator.serviceWorker by default
+ * @param {function(): void} [props.reload] - Reloads the page; `location.reload()` by default
+ * @returns {JSX.Element|null} The prompt, or nothing while there is no update
+ */
+function UpdatePrompt({ serviceWorkerUrl, container, reload }) {
+  const { updateAvailable, applyUpdate, dismissUpdate } = useServiceWorkerUpdate(serviceWorkerUrl, {
+    container,
+    reload,
+  });
+
+  if (!updateAvailable) return null;
+
+  return (
+    <div className="update-prompt" role="status">
+      <span>A new version is available.</span>
+      <button type="button" onClick={applyUpdate}>
+        Reload
+      </button>
+      <button type="button" onClick={dismissUpdate} aria-label="Dismiss update">
+        Later
+      </button>
+    </div>
+  );
+}
+
+export default UpdatePrompt;
@@ -0,0 +1,109 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import UpdatePrompt from './UpdatePrompt';
+import { SKIP_WAITING_MESSAGE } from './useServiceWorkerUpdate';
+
+/**
+ * Fake service worker with a settable state.
+ */
+const createWorker = (state) => {
+  const worker = new EventTarget();
+  worker.state = state;
+  worker.postMessage = jest.fn();
+  return worker;
+};
+
+/**
+ * Fake navigator.serviceWorker whose registration can be given an installing
+ * or waiting worker. `controller` is set when an older build runs the page.
+ */
+const createContainer = ({ controlled = true, waiting = null } = {}) => {
+  const registration = new EventTarget();
+  registration.waiting = waiting;
+  registration.installing = null;
+  registration.update = jest.fn(() => Promise.resolve());
+  const container = new EventTarget();
+  container.controller = controlled ? createWorker('activated') : null;
+  container.register = jest.fn(() => Promise.resolve(registration));
+  return { container, registration };
+};
+
+/**
+ * Makes a new build start installing and then finish.
+ */
+const installNewBuild = (registration) => {
+  const worker = createWorker('installing');
+  act(() => {
+    registration.installing = worker;
+    registration.dispatchEvent(new Event('updatefound'));
+    worker.state = 'installed';
+    worker.dispatchEvent(new Event('statechange'));
+  });
+  return worker;
+};
+
+describe('UpdatePrompt', () => {
+  test('registers nothing without a service worker URL', () => {
+    const { container } = createContainer();
+    render(<UpdatePrompt serviceWorkerUrl={null} container={container} />);
+    expect(container.register).not.toHaveBeenCalled();
+  });
+
+  test('stays hidden until a new build has installed', async () => {
+    const { container, registration } = createContainer();
+    render(<UpdatePrompt serviceWorkerUrl="/sw.js" container={container} />);
+    await act(async () => {});
+
+    expect(container.register).toHaveBeenCalledWith('/sw.js');
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+
+    installNewBuild(registration);
+    expect(screen.getByRole('status')).toHaveTextContent('A new version is available.');
+  });
+
+  test('does not treat the first install as an update', async () => {
+    const { container, registration } = createContainer({ controlled: false });
+    render(<UpdatePrompt serviceWorkerUrl="/sw.js" container={container} />);
+    await act(async () => {});
+
+    installNewBuild(registration);
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+  });
+
+  test('offers a build that was already waiting', async () => {
+    const { container } = createContainer({ waiting: createWorker('installed') });
+    render(<UpdatePrompt serviceWorkerUrl="/sw.js" container={container} />);
+
+    expect(await screen.findByRole('status')).toBeInTheDocument();
+  });
+
+  test('switches to the new build and reloads once it has taken over', async () => {
+    const reload = jest.fn();
+    const { container, registration } = createContainer();
+    render(<UpdatePrompt serviceWorkerUrl="/sw.js" container={container} reload={reload} />);
+    await act(async () => {});
+    const worker = installNewBuild(registration);
+
+    fireEvent.click(screen.getByText('Reload'));
+    expect(worker.postMessage).toHaveBeenCalledWith(SKIP_WAITING_MESSAGE);
+    expect(reload).not.toHaveBeenCalled();
+
+    container.dispatchEvent(new Event('controllerchange'));
+    expect(reload).toHaveBeenCalledTimes(1);
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+  });
+
+  test('can be dismissed', async () => {
+    const reload = jest.fn();
+    const { container, registration } = createContainer();
+    render(<UpdatePrompt serviceWorkerUrl="/sw.js" container={container} reload={reload} />);
+    await act(async () => {});
+    installNewBuild(registration);
+
+    fireEvent.click(screen.getByLabelText('Dismiss update'));
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+    container.dispatchEvent(new Event('controllerchange'));
+    expect(reload).not.toHaveBeenCalled();
+  });
+});
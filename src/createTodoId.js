@@ -0,0 +1,17 @@
+/** @type {number} Counter used to keep fallback IDs unique within a session */
+let fallbackCounter = 0;
+
+/**
+ * Creates a stable, unique ID for a todo item.
+ * Uses `crypto.randomUUID` where available and falls back to a
+ * time-and-counter based ID in environments that lack it.
+ *
+ * @returns {string} A new todo ID
+ */
+export const createTodoId = () => {
+  if (typeof globalThis.crypto?.randomUUID === "function") {
+    return globalThis.crypto.randomUUID();
+  }
+  fallbackCounter += 1;
+  return `todo-${Date.now().toString(36)}-${fallbackCounter.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+};
@@ -0,0 +1,187 @@
+/**
+ * Due date helpers. Due dates are stored as local calendar dates in
+ * `YYYY-MM-DD` form so they don't shift with time zones, and all parsing
+ * happens locally without any date library.
+ */
+
+/** @type {Array<string>} Weekday names, indexed like `Date#getDay` */
+export const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+/** @type {RegExp} Matches a `YYYY-MM-DD` date */
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/** Due states returned by {@link getDueStatus} */
+export const DUE_STATUS = Object.freeze({
+  OVERDUE: "overdue",
+  TODAY: "today",
+  UPCOMING: "upcoming",
+});
+
+/**
+ * Formats a date as a local `YYYY-MM-DD` string.
+ *
+ * @param {Date} date - The date to format
+ * @returns {string} The date string
+ */
+export const toISODate = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Parses a `YYYY-MM-DD` string into a local Date at midnight.
+ *
+ * @param {string} value - The date string
+ * @returns {Date|null} The date, or null if the string is not a real calendar date
+ */
+export const fromISODate = (value) => {
+  const match = ISO_DATE_PATTERN.exec(value ?? "");
+  if (!match) return null;
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+/**
+ * Checks whether a value is a valid stored due date.
+ *
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value is a `YYYY-MM-DD` calendar date
+ */
+export const isValidDueDate = (value) => typeof value === "string" && fromISODate(value) !== null;
+
+/**
+ * Returns a copy of a date moved by a number of days.
+ *
+ * @param {Date} date - The starting date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date} The new date
+ */
+export const addDays = (date, days) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+/**
+ * Returns a copy of a date moved by a number of months, on the given day of
+ * the month or the last day of shorter months (e.g. the 31st falls on Feb 28).
+ *
+ * @param {Date} date - The starting date
+ * @param {number} months - Months to add (may be negative)
+ * @param {number} [anchorDay=date.getDate()] - The day of the month to land on where it exists
+ * @returns {Date} The new date
+ */
+export const addMonths = (date, months, anchorDay = date.getDate()) => {
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + months + 1, 0).getDate();
+  return new Date(date.getFullYear(), date.getMonth() + months, Math.min(anchorDay, lastDay));
+};
+
+/**
+ * Finds a weekday by full name or by a prefix of at least three letters.
+ *
+ * @param {string} word - e.g. "fri" or "friday"
+ * @returns {number} The weekday index, or -1 if it isn't one
+ */
+export const findWeekday = (word) =>
+  word.length >= 3 ? WEEKDAYS.findIndex((name) => name.startsWith(word)) : -1;
+
+/**
+ * Parses a due date typed by the user.
+ *
+ * Understands:
+ * - `YYYY-MM-DD`
+ * - `today`, `tomorrow`
+ * - a weekday such as `fri` or `friday`: the next one, counting today
+ * - `next fri`: the next one after today
+ * - `next week` / `next month`
+ * - `in 3 days`, `in 2 weeks`
+ *
+ * @param {string} input - The text entered by the user
+ * @param {Date} [today=new Date()] - The date relative inputs are resolved against
+ * @returns {{isValid: boolean, dueDate: string|null}} The parsed `YYYY-MM-DD` date,
+ *   or null for empty input; `isValid` is false when the text isn't understood
+ */
+export const parseDueDate = (input, today = new Date()) => {
+  const text = (input ?? "").trim().toLowerCase().replace(/\s+/g, " ");
+  if (text === "") {
+    return { isValid: true, dueDate: null };
+  }
+
+  const valid = (date) => ({ isValid: true, dueDate: toISODate(date) });
+  const base = addDays(today, 0);
+
+  if (ISO_DATE_PATTERN.test(text)) {
+    return isValidDueDate(text) ? { isValid: true, dueDate: text } : { isValid: false, dueDate: null };
+  }
+  if (text === "today") return valid(base);
+  if (text === "tomorrow") return valid(addDays(base, 1));
+  if (text === "next week") return valid(addDays(base, 7));
+  if (text === "next month") return valid(addMonths(base, 1));
+
+  const relative = /^in (\d+) (day|days|week|weeks)$/.exec(text);
+  if (relative) {
+    const amount = Number(relative[1]) * (relative[2].startsWith("week") ? 7 : 1);
+    return valid(addDays(base, amount));
+  }
+
+  const weekdayMatch = /^(next )?([a-z]+)$/.exec(text);
+  if (weekdayMatch) {
+    const weekday = findWeekday(weekdayMatch[2]);
+    if (weekday !== -1) {
+      let days = (weekday - base.getDay() + 7) % 7;
+      if (weekdayMatch[1] && days === 0) {
+        days = 7;
+      }
+      return valid(addDays(base, days));
+    }
+  }
+
+  return { isValid: false, dueDate: null };
+};
+
+/**
+ * Classifies a due date relative to today.
+ *
+ * @param {string|null|undefined} dueDate - A `YYYY-MM-DD` date
+ * @param {Date} [today=new Date()] - The current date
+ * @returns {string|null} One of {@link DUE_STATUS}, or null when there is no due date
+ */
+export const getDueStatus = (dueDate, today = new Date()) => {
+  if (!isValidDueDate(dueDate)) return null;
+  const todayISO = toISODate(today);
+  if (dueDate < todayISO) return DUE_STATUS.OVERDUE;
+  if (dueDate === todayISO) return DUE_STATUS.TODAY;
+  return DUE_STATUS.UPCOMING;
+};
+
+/**
+ * Formats a due date for display, e.g. "Oct 20" or "Oct 20, 2027" outside the current year.
+ *
+ * @param {string} dueDate - A `YYYY-MM-DD` date
+ * @param {Date} [today=new Date()] - The current date
+ * @returns {string} The formatted date
+ */
+export const formatDueDate = (dueDate, today = new Date()) => {
+  const date = fromISODate(dueDate);
+  if (!date) return "";
+  const options = { month: "short", day: "numeric" };
+  if (date.getFullYear() !== today.getFullYear()) {
+    options.year = "numeric";
+  }
+  return date.toLocaleDateString(undefined, options);
+};
+
+/**
+ * Compares two todos by due date, earliest first; todos without one sort last.
+ *
+ * @param {{dueDate?: string|null}} a - First todo
+ * @param {{dueDate?: string|null}} b - Second todo
+ * @returns {number} Negative, zero or positive, as for Array#sort
+ */
+export const compareByDueDate = (a, b) => {
+  const aDate = isValidDueDate(a.dueDate) ? a.dueDate : null;
+  const bDate = isValidDueDate(b.dueDate) ? b.dueDate : null;
+  if (aDate === bDate) return 0;
+  if (aDate === null) return 1;
+  if (bDate === null) return -1;
+  return aDate < bDate ? -1 : 1;
+};
@@ -0,0 +1,101 @@
+import {
+  parseDueDate,
+  getDueStatus,
+  formatDueDate,
+  compareByDueDate,
+  toISODate,
+  addMonths,
+  isValidDueDate,
+  DUE_STATUS,
+} from './dueDates';
+
+// Wednesday, October 14 2026
+const today = new Date(2026, 9, 14, 15, 30);
+
+describe('parseDueDate', () => {
+  const parse = (input) => parseDueDate(input, today);
+
+  test('treats empty input as no due date', () => {
+    expect(parse('')).toEqual({ isValid: true, dueDate: null });
+    expect(parse('   ')).toEqual({ isValid: true, dueDate: null });
+  });
+
+  test('accepts ISO dates', () => {
+    expect(parse('2026-12-01').dueDate).toBe('2026-12-01');
+    expect(parse('2026-02-30').isValid).toBe(false);
+  });
+
+  test('understands today and tomorrow', () => {
+    expect(parse('Today').dueDate).toBe('2026-10-14');
+    expect(parse('tomorrow').dueDate).toBe('2026-10-15');
+  });
+
+  test('resolves weekdays to the next occurrence, counting today', () => {
+    expect(parse('fri').dueDate).toBe('2026-10-16');
+    expect(parse('Friday').dueDate).toBe('2026-10-16');
+    expect(parse('wed').dueDate).toBe('2026-10-14');
+    expect(parse('mon').dueDate).toBe('2026-10-19');
+  });
+
+  test('resolves "next" weekdays to a day after today', () => {
+    expect(parse('next fri').dueDate).toBe('2026-10-16');
+    expect(parse('next wed').dueDate).toBe('2026-10-21');
+  });
+
+  test('understands relative offsets', () => {
+    expect(parse('in 3 days').dueDate).toBe('2026-10-17');
+    expect(parse('in 1 day').dueDate).toBe('2026-10-15');
+    expect(parse('in 2 weeks').dueDate).toBe('2026-10-28');
+    expect(parse('next week').dueDate).toBe('2026-10-21');
+    expect(parse('next month').dueDate).toBe('2026-11-14');
+  });
+
+  test('clamps "next month" to the end of a shorter month', () => {
+    expect(parseDueDate('next month', new Date(2027, 0, 31)).dueDate).toBe('2027-02-28');
+  });
+
+  test('rejects text it does not understand', () => {
+    expect(parse('someday')).toEqual({ isValid: false, dueDate: null });
+    expect(parse('fr')).toEqual({ isValid: false, dueDate: null });
+  });
+});
+
+describe('due date helpers', () => {
+  test('formats dates as local YYYY-MM-DD', () => {
+    expect(toISODate(new Date(2026, 0, 5, 23, 59))).toBe('2026-01-05');
+  });
+
+  test('moves by months, keeping the anchor day where the month has it', () => {
+    expect(toISODate(addMonths(new Date(2027, 0, 31), 1))).toBe('2027-02-28');
+    expect(toISODate(addMonths(new Date(2027, 1, 28), 1, 31))).toBe('2027-03-31');
+    expect(toISODate(addMonths(new Date(2027, 1, 28), 2, 30))).toBe('2027-04-30');
+    expect(toISODate(addMonths(new Date(2026, 11, 15), 1))).toBe('2027-01-15');
+  });
+
+  test('validates stored due dates', () => {
+    expect(isValidDueDate('2026-10-14')).toBe(true);
+    expect(isValidDueDate('2026-13-01')).toBe(false);
+    expect(isValidDueDate(null)).toBe(false);
+  });
+
+  test('classifies due dates relative to today', () => {
+    expect(getDueStatus('2026-10-13', today)).toBe(DUE_STATUS.OVERDUE);
+    expect(getDueStatus('2026-10-14', today)).toBe(DUE_STATUS.TODAY);
+    expect(getDueStatus('2026-10-15', today)).toBe(DUE_STATUS.UPCOMING);
+    expect(getDueStatus(undefined, today)).toBeNull();
+  });
+
+  test('adds the year only outside the current year', () => {
+    expect(formatDueDate('2026-10-20', today)).not.toMatch(/2026/);
+    expect(formatDueDate('2027-01-02', today)).toMatch(/2027/);
+  });
+
+  test('sorts by due date with undated todos last', () => {
+    const todos = [
+      { text: 'None' },
+      { text: 'Later', dueDate: '2026-12-01' },
+      { text: 'Sooner', dueDate: '2026-10-20' },
+    ];
+    expect([...todos].sort(compareByDueDate).map((todo) => todo.text)).toEqual(['Sooner', 'Later', 'None']);
+  });
+});
@@ -0,0 +1,412 @@
+import { createTodoId } from "./createTodoId";
+import { parseDueDate } from "./dueDates";
+import { isValidPriority } from "./priorities";
+import { isValidRecurrence } from "./recurrence";
+import { isValidTag, normalizeTag, uniqueTags, formatWithTags } from "./tags";
+import { validateAndFormatText } from "./todoValidation";
+import { CURRENT_SCHEMA_VERSION, serializeTodos } from "./storage";
+
+/**
+ * Import and export of todo lists as files.
+ *
+ * JSON exports use the same versioned envelope as storage, so they keep
+ * every field. CSV exports have one row per todo with the columns in
+ * {@link CSV_COLUMNS}, for spreadsheets. Markdown exports are task lists
+ * (`- [ ] item` / `- [x] item`) with subtasks indented. Imports are parsed into raw
+ * records first and then checked row by row with {@link previewImport},
+ * so nothing reaches the list without passing validation.
+ */
+
+/** @type {Array<string>} Columns written to and read from CSV files */
+export const CSV_COLUMNS = ["text", "completed", "dueDate", "priority", "tags"];
+
+/** Row states returned by {@link previewImport} */
+export const IMPORT_STATUS = Object.freeze({
+  ACCEPTED: "accepted",
+  REJECTED: "rejected",
+  DUPLICATE: "duplicate",
+});
+
+/**
+ * @type {RegExp} Matches a Markdown list item, with an optional task checkbox:
+ * indentation, checkbox mark (if any) and text
+ */
+const MARKDOWN_ITEM_PATTERN = /^(\s*)(?:[-*+]|\d+[.)])(?:\s+\[([ xX])\])?(?:\s+(.*))?$/;
+
+/** @type {RegExp} Matches a Markdown heading line */
+const MARKDOWN_HEADING_PATTERN = /^\s{0,3}#{1,6}(\s|$)/;
+
+/** @type {Array<string>} CSV values read as "completed" (case-insensitive) */
+const TRUE_VALUES = ["true", "yes", "y", "1", "x", "done"];
+
+/**
+ * Error raised when an import file can't be read at all.
+ * Problems with single rows are reported by {@link previewImport} instead.
+ */
+export class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImportError";
+  }
+}
+
+/**
+ * @typedef {Object} ImportRecord
+ * @property {number} line - 1-based position of the record in the file (rows for CSV, entries for JSON)
+ * @property {*} text - The text as found in the file
+ * @property {*} [completed]
+ * @property {*} [dueDate]
+ * @property {*} [priority]
+ * @property {*} [tags]
+ * @property {*} [subtasks]
+ */
+
+/**
+ * @typedef {Object} ImportPreviewRow
+ * @property {number} line - The record's position in the file
+ * @property {string} text - The text as found in the file
+ * @property {string} status - One of {@link IMPORT_STATUS}
+ * @property {string} message - Why the row was not accepted; empty if it was
+ * @property {Partial<import("./todoReducer").Todo>|null} todo - The todo to add, for accepted rows
+ * @property {Array<{text: string, message: string}>} rejectedSubtasks - Subtasks of an accepted row
+ *   that failed validation and are left out of its todo
+ */
+
+/**
+ * Turns a list name into a file name, e.g. "Sprint 12" -> "sprint-12.csv".
+ *
+ * @param {string} name - The list name
+ * @param {string} extension - The file extension, without the dot
+ * @returns {string} The file name
+ */
+export const getExportFileName = (name, extension) => {
+  const slug = name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "-").replace(/^-+|-+$/g, "");
+  return `${slug || "todos"}.${extension}`;
+};
+
+/**
+ * Exports todos as pretty-printed JSON in the storage envelope format.
+ * List membership is left out, so the file can be imported into any list.
+ *
+ * @param {Array<import("./todoReducer").Todo>} todos - The todos to export
+ * @returns {string} The JSON text
+ */
+export const exportTodosAsJSON = (todos) => {
+  const exported = todos.map((todo) => {
+    const copy = { ...todo };
+    delete copy.listId;
+    return copy;
+  });
+  return JSON.stringify(serializeTodos(exported), null, 2);
+};
+
+/**
+ * Quotes a CSV field if it contains a separator, quote or line break.
+ *
+ * @param {string} value - The field value
+ * @returns {string} The escaped field
+ */
+const escapeCSVField = (value) =>
+  /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+/**
+ * Exports todos as CSV with a header row. Tags are space-separated; subtasks are left out.
+ *
+ * @param {Array<import("./todoReducer").Todo>} todos - The todos to export
+ * @returns {string} The CSV text
+ */
+export const exportTodosAsCSV = (todos) => {
+  const rows = todos.map((todo) => [
+    todo.text,
+    String(todo.completed),
+    todo.dueDate ?? "",
+    todo.priority ?? "",
+    (todo.tags ?? []).join(" "),
+  ]);
+  return [CSV_COLUMNS, ...rows].map((row) => row.map(escapeCSVField).join(",")).join("\r\n") + "\r\n";
+};
+
+/**
+ * Exports todos as a Markdown task list. Tags are written inline and
+ * subtasks become indented items; due dates and priorities are left out.
+ *
+ * @param {Array<import("./todoReducer").Todo>} todos - The todos to export
+ * @returns {string} The Markdown text
+ */
+export const exportTodosAsMarkdown = (todos) =>
+  todos
+    .flatMap((todo) => [
+      `- [${todo.completed ? "x" : " "}] ${formatWithTags(todo)}`,
+      ...(todo.subtasks ?? []).map((subtask) => `  - [${subtask.completed ? "x" : " "}] ${subtask.text}`),
+    ])
+    .map((line) => `${line}\n`)
+    .join("");
+
+/**
+ * Parses a Markdown task list, or plain newline-separated text, into import records.
+ * Each non-blank line is one record, numbered by its line in the text; list
+ * markers and `[ ]` / `[x]` checkboxes are removed. Items indented under
+ * another item become its subtasks. Headings are skipped.
+ *
+ * @param {string} text - The Markdown or plain text
+ * @returns {Array<ImportRecord>} The records
+ */
+export const parseMarkdownTasks = (text) => {
+  const records = [];
+  let parent = null;
+  text.split(/\r\n|\r|\n/).forEach((line, index) => {
+    if (line.trim() === "" || MARKDOWN_HEADING_PATTERN.test(line)) return;
+    const match = MARKDOWN_ITEM_PATTERN.exec(line);
+    if (!match) {
+      parent = null;
+      records.push({ line: index + 1, text: line.trim() });
+      return;
+    }
+    const [, indent, mark, itemText = ""] = match;
+    const item = { text: itemText.trim(), completed: mark !== undefined && mark !== " " };
+    if (indent.length > 0 && parent) {
+      parent.subtasks = [...(parent.subtasks ?? []), item];
+      return;
+    }
+    parent = { line: index + 1, ...item };
+    records.push(parent);
+  });
+  return records;
+};
+
+/**
+ * Parses CSV text into rows of fields (RFC 4180: quoted fields may contain
+ * commas, quotes doubled as `""` and line breaks). Blank lines are skipped.
+ *
+ * @param {string} text - The CSV text
+ * @returns {Array<Array<string>>} The rows
+ * @throws {ImportError} If a quoted field is never closed
+ */
+export const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+    field = "";
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new ImportError("The CSV file has an unclosed quote");
+  }
+  endRow();
+  return rows;
+};
+
+/**
+ * Reads CSV text into import records, using the header row to find the columns.
+ *
+ * @param {string} text - The CSV text
+ * @returns {Array<ImportRecord>} The records
+ * @throws {ImportError} If there is no `text` column
+ */
+const readCSVRecords = (text) => {
+  const [header = [], ...rows] = parseCSV(text.replace(/^\uFEFF/, ""));
+  const columns = header.map((name) => name.trim().toLowerCase());
+  if (!columns.includes("text")) {
+    throw new ImportError('The CSV file needs a header row with a "text" column');
+  }
+  return rows.map((fields, index) => {
+    const record = { line: index + 1 };
+    CSV_COLUMNS.forEach((name) => {
+      const column = columns.indexOf(name.toLowerCase());
+      if (column !== -1 && fields[column] !== undefined && fields[column] !== "") {
+        record[name] = fields[column];
+      }
+    });
+    record.text = record.text ?? "";
+    if ("completed" in record) {
+      record.completed = TRUE_VALUES.includes(record.completed.trim().toLowerCase());
+    }
+    if ("tags" in record) {
+      record.tags = record.tags.split(/[\s,]+/).filter(Boolean);
+    }
+    return record;
+  });
+};
+
+/**
+ * Reads JSON text into import records. Accepts an exported envelope or a bare array of todos.
+ *
+ * @param {string} text - The JSON text
+ * @returns {Array<ImportRecord>} The records
+ * @throws {ImportError} If the JSON is malformed, not a todo list or from a newer version
+ */
+const readJSONRecords = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new ImportError("The file is not valid JSON");
+  }
+  const todos = Array.isArray(data) ? data : data?.todos;
+  if (!Array.isArray(todos)) {
+    throw new ImportError("The JSON file does not contain a list of todos");
+  }
+  if (typeof data.version === "number" && data.version > CURRENT_SCHEMA_VERSION) {
+    throw new ImportError(`The file uses schema version ${data.version}, which this version can't read`);
+  }
+  return todos.map((todo, index) =>
+    todo && typeof todo === "object" ? { ...todo, line: index + 1 } : { line: index + 1, text: "" }
+  );
+};
+
+/**
+ * Parses an import file into records, choosing the format from the file name
+ * (`.json`, `.csv`, `.md`/`.markdown`) and falling back to sniffing the content;
+ * plain `.txt` files are read as one todo per line.
+ *
+ * @param {string} text - The file contents
+ * @param {string} [fileName=""] - The file name, e.g. "todos.csv"
+ * @returns {Array<ImportRecord>} The records
+ * @throws {ImportError} If the file can't be read
+ */
+export const parseImportFile = (text, fileName = "") => {
+  const extension = fileName.split(".").pop().toLowerCase();
+  if (extension === "md" || extension === "markdown") {
+    return parseMarkdownTasks(text);
+  }
+  const isJSON = extension === "json" || (extension !== "csv" && /^\s*[[{]/.test(text));
+  if (isJSON) {
+    return readJSONRecords(text);
+  }
+  return extension === "txt" ? parseMarkdownTasks(text) : readCSVRecords(text);
+};
+
+/**
+ * Runs a record's subtasks through {@link validateAndFormatText}, like subtasks
+ * typed into a checklist: each is checked against the ones accepted before it.
+ *
+ * @param {Array<*>} subtasks - The subtasks as found in the file
+ * @param {Partial<import("./todoValidation").ValidationPolicy>} [policy] - The validation rules
+ * @returns {{subtasks: Array<import("./todoReducer").Subtask>, rejected: Array<{text: string, message: string}>}}
+ *   The accepted subtasks, and the text of each rejected one with the reason
+ */
+const readSubtasks = (subtasks, policy) => {
+  const accepted = [];
+  const rejected = [];
+  subtasks
+    .filter((subtask) => typeof subtask?.text === "string")
+    .forEach((subtask) => {
+      const result = validateAndFormatText(subtask.text, accepted, null, policy);
+      if (result.isValid) {
+        accepted.push({ id: createTodoId(), text: result.formattedText, completed: Boolean(subtask.completed) });
+      } else {
+        rejected.push({ text: subtask.text, message: result.message });
+      }
+    });
+  return { subtasks: accepted, rejected };
+};
+
+/**
+ * Checks the optional fields of a record.
+ *
+ * @param {ImportRecord} record - The record
+ * @param {Partial<import("./todoValidation").ValidationPolicy>} [policy] - The validation rules, for subtasks
+ * @returns {{fields: Partial<import("./todoReducer").Todo>, rejectedSubtasks: Array<{text: string, message: string}>, message: string}}
+ *   The sanitized fields and the subtasks left out of them, or a message naming the first invalid field
+ */
+const readOptionalFields = (record, policy) => {
+  const fields = { completed: record.completed === true };
+  let rejectedSubtasks = [];
+  if (record.dueDate !== undefined && record.dueDate !== null && record.dueDate !== "") {
+    const due = parseDueDate(String(record.dueDate));
+    if (!due.isValid) return { fields, rejectedSubtasks, message: `Unknown due date "${record.dueDate}"` };
+    fields.dueDate = due.dueDate;
+  }
+  if (record.priority !== undefined && record.priority !== null && record.priority !== "") {
+    const priority = String(record.priority).trim().toLowerCase();
+    if (!isValidPriority(priority)) return { fields, rejectedSubtasks, message: `Unknown priority "${record.priority}"` };
+    fields.priority = priority;
+  }
+  if (Array.isArray(record.tags)) {
+    fields.tags = uniqueTags(record.tags.filter((tag) => typeof tag === "string").map(normalizeTag).filter(isValidTag));
+  }
+  if (record.recurrence !== undefined && record.recurrence !== null) {
+    if (!isValidRecurrence(record.recurrence)) return { fields, rejectedSubtasks, message: "Unknown repeat rule" };
+    fields.recurrence = record.recurrence;
+  }
+  if (Array.isArray(record.subtasks)) {
+    const { subtasks, rejected } = readSubtasks(record.subtasks, policy);
+    fields.subtasks = subtasks;
+    rejectedSubtasks = rejected;
+  }
+  return { fields, rejectedSubtasks, message: "" };
+};
+
+/**
+ * Runs every import record through {@link validateAndFormatText} and sorts it
+ * into accepted, rejected or duplicate. Rows are checked in order, so a row
+ * repeating an earlier accepted row of the same file is a duplicate too.
+ * Subtasks are checked the same way within their todo; an invalid subtask
+ * is left out and listed on the row rather than rejecting the whole todo.
+ *
+ * @param {Array<ImportRecord>} records - The parsed records
+ * @param {Array<import("./todoReducer").Todo>} existingTodos - Todos the import is merged into; empty when replacing
+ * @param {Partial<import("./todoValidation").ValidationPolicy>} [policy] - The validation rules
+ * @returns {Array<ImportPreviewRow>} One row per record
+ */
+export const previewImport = (records, existingTodos, policy) => {
+  const accepted = [];
+  return records.map((record) => {
+    const rawText = typeof record.text === "string" ? record.text : "";
+    const row = {
+      line: record.line,
+      text: rawText,
+      status: IMPORT_STATUS.REJECTED,
+      message: "",
+      todo: null,
+      rejectedSubtasks: [],
+    };
+    const result = validateAndFormatText(rawText, [...existingTodos, ...accepted], null, policy);
+    if (!result.isValid) {
+      // The same text against an empty list only fails the duplicate check if it was otherwise valid
+      const isDuplicateOnly = validateAndFormatText(rawText, [], null, policy).isValid;
+      return {
+        ...row,
+        status: isDuplicateOnly ? IMPORT_STATUS.DUPLICATE : IMPORT_STATUS.REJECTED,
+        message: result.message,
+      };
+    }
+    const { fields, rejectedSubtasks, message } = readOptionalFields(record, policy);
+    if (message) {
+      return { ...row, message };
+    }
+    const { tags: fileTags = [], ...otherFields } = fields;
+    const tags = uniqueTags([...fileTags, ...result.tags]);
+    const todo = { ...otherFields, text: result.formattedText, ...(tags.length > 0 && { tags }) };
+    accepted.push({ id: `import-${record.line}`, text: todo.text });
+    return { ...row, status: IMPORT_STATUS.ACCEPTED, todo, rejectedSubtasks };
+  });
+};
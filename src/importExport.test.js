@@ -0,0 +1,191 @@
+import {
+  IMPORT_STATUS,
+  ImportError,
+  getExportFileName,
+  exportTodosAsJSON,
+  exportTodosAsCSV,
+  exportTodosAsMarkdown,
+  parseCSV,
+  parseMarkdownTasks,
+  parseImportFile,
+  previewImport,
+} from './importExport';
+import { VALIDATION_PRESETS } from './todoValidation';
+
+const todos = [
+  { id: 'a', text: 'Pay rent', completed: false, dueDate: '2026-11-01', priority: 'high', tags: ['home'], listId: 'x' },
+  { id: 'b', text: 'Say "hi", then leave', completed: true },
+];
+
+describe('export', () => {
+  test('names files after the list', () => {
+    expect(getExportFileName('Sprint 12!', 'csv')).toBe('sprint-12.csv');
+    expect(getExportFileName('***', 'json')).toBe('todos.json');
+  });
+
+  test('exports JSON in the storage envelope without list membership', () => {
+    const data = JSON.parse(exportTodosAsJSON(todos));
+    expect(data.version).toEqual(expect.any(Number));
+    expect(data.todos[0]).toEqual({
+      id: 'a', text: 'Pay rent', completed: false, dueDate: '2026-11-01', priority: 'high', tags: ['home'],
+    });
+  });
+
+  test('exports CSV with a header row and quoted fields', () => {
+    expect(exportTodosAsCSV(todos)).toBe(
+      'text,completed,dueDate,priority,tags\r\n' +
+      'Pay rent,false,2026-11-01,high,home\r\n' +
+      '"Say ""hi"", then leave",true,,,\r\n'
+    );
+  });
+});
+
+describe('parseCSV', () => {
+  test('handles quotes, embedded separators and line breaks', () => {
+    expect(parseCSV('a,"b,c","d\n""e"""\r\n\r\nf,g')).toEqual([['a', 'b,c', 'd\n"e"'], ['f', 'g']]);
+  });
+
+  test('rejects an unclosed quote', () => {
+    expect(() => parseCSV('"open')).toThrow(ImportError);
+  });
+});
+
+describe('parseImportFile', () => {
+  test('round-trips CSV exports', () => {
+    expect(parseImportFile(exportTodosAsCSV(todos), 'list.csv')).toEqual([
+      { line: 1, text: 'Pay rent', completed: false, dueDate: '2026-11-01', priority: 'high', tags: ['home'] },
+      { line: 2, text: 'Say "hi", then leave', completed: true },
+    ]);
+  });
+
+  test('reads columns by header name in any order', () => {
+    expect(parseImportFile('Priority,Text\nlow,Water plants\n', 'plants.csv')).toEqual([
+      { line: 1, text: 'Water plants', priority: 'low' },
+    ]);
+  });
+
+  test('requires a text column in CSV files', () => {
+    expect(() => parseImportFile('name\nWater plants', 'plants.csv')).toThrow('"text" column');
+  });
+
+  test('reads JSON envelopes and bare arrays', () => {
+    expect(parseImportFile(exportTodosAsJSON(todos), 'list.json')[1]).toMatchObject({ line: 2, completed: true });
+    expect(parseImportFile('[{"text": "Bare"}, 3]', 'list.txt')).toEqual([
+      { line: 1, text: 'Bare' },
+      { line: 2, text: '' },
+    ]);
+  });
+
+  test('rejects malformed or newer JSON', () => {
+    expect(() => parseImportFile('{oops', 'list.json')).toThrow('not valid JSON');
+    expect(() => parseImportFile('{"version": 99, "todos": []}', 'list.json')).toThrow('schema version 99');
+  });
+});
+
+describe('previewImport', () => {
+  const existing = [{ id: 'a', text: 'Pay rent', completed: false }];
+  const statuses = (rows) => rows.map((row) => row.status);
+
+  test('sorts rows into accepted, rejected and duplicate', () => {
+    const rows = previewImport([
+      { line: 1, text: 'water plants #home', priority: 'Low' },
+      { line: 2, text: 'Hello!' },
+      { line: 3, text: 'pay RENT' },
+      { line: 4, text: 'Water plants' },
+      { line: 5, text: 'Call mom', dueDate: 'someday' },
+    ], existing);
+
+    expect(statuses(rows)).toEqual([
+      IMPORT_STATUS.ACCEPTED,
+      IMPORT_STATUS.REJECTED,
+      IMPORT_STATUS.DUPLICATE,
+      IMPORT_STATUS.DUPLICATE,
+      IMPORT_STATUS.REJECTED,
+    ]);
+    expect(rows[0].todo).toEqual({ text: 'Water plants', completed: false, priority: 'low', tags: ['home'] });
+    expect(rows[1].message).toBe('Only letters, numbers, and spaces are allowed');
+    expect(rows[4].message).toBe('Unknown due date "someday"');
+  });
+
+  test('keeps valid repeat rules from JSON records', () => {
+    const rows = previewImport([
+      { line: 1, text: 'Update deps', recurrence: { frequency: 'weekly', days: [1] } },
+      { line: 2, text: 'Backup', recurrence: { frequency: 'hourly' } },
+    ], []);
+    expect(rows[0].todo.recurrence).toEqual({ frequency: 'weekly', days: [1] });
+    expect(rows[1].message).toBe('Unknown repeat rule');
+  });
+
+  test('validates subtasks within their todo and lists the rejected ones', () => {
+    const [row] = previewImport([
+      {
+        line: 1,
+        text: 'Plan trip',
+        subtasks: [
+          { text: 'book HOTEL', completed: true },
+          { text: 'Pack!' },
+          { text: 'Book hotel' },
+          { text: '' },
+          'not a subtask',
+        ],
+      },
+    ], []);
+
+    expect(row.status).toBe(IMPORT_STATUS.ACCEPTED);
+    expect(row.todo.subtasks).toEqual([{ id: expect.any(String), text: 'Book hotel', completed: true }]);
+    expect(row.rejectedSubtasks).toEqual([
+      { text: 'Pack!', message: 'Only letters, numbers, and spaces are allowed' },
+      { text: 'Book hotel', message: 'This todo item already exists' },
+      { text: '', message: 'Please enter a todo item' },
+    ]);
+  });
+
+  test('only checks rows against each other when replacing', () => {
+    expect(statuses(previewImport([{ line: 1, text: 'Pay rent' }], []))).toEqual([IMPORT_STATUS.ACCEPTED]);
+  });
+
+  test('applies the validation policy', () => {
+    const rows = previewImport([{ line: 1, text: 'Email Bob re: Q3' }], [], VALIDATION_PRESETS.international);
+    expect(rows[0].todo.text).toBe('Email Bob re: Q3');
+  });
+});
+
+describe('Markdown', () => {
+  test('exports a task list with inline tags and indented subtasks', () => {
+    expect(exportTodosAsMarkdown([
+      { id: 'a', text: 'Plan trip', completed: false, tags: ['travel'], subtasks: [{ id: 's', text: 'Book hotel', completed: true }] },
+      { id: 'b', text: 'Pay rent', completed: true },
+    ])).toBe('- [ ] Plan trip #travel\n  - [x] Book hotel\n- [x] Pay rent\n');
+  });
+
+  test('parses checklists, plain list items and plain lines', () => {
+    expect(parseMarkdownTasks('# Chores\n- [ ] Water plants\n* [X] Pay rent\n\n1. Call mom\nBuy milk\n- [ ]')).toEqual([
+      { line: 2, text: 'Water plants', completed: false },
+      { line: 3, text: 'Pay rent', completed: true },
+      { line: 5, text: 'Call mom', completed: false },
+      { line: 6, text: 'Buy milk' },
+      { line: 7, text: '', completed: false },
+    ]);
+  });
+
+  test('turns indented items into subtasks of the item above', () => {
+    expect(parseMarkdownTasks('- [ ] Plan trip\n  - [x] Book hotel\n\t- [ ] Pack')).toEqual([
+      {
+        line: 1,
+        text: 'Plan trip',
+        completed: false,
+        subtasks: [{ text: 'Book hotel', completed: true }, { text: 'Pack', completed: false }],
+      },
+    ]);
+  });
+
+  test('round-trips exports through the file parser', () => {
+    const todos = [{ id: 'a', text: 'Plan trip', completed: true, tags: ['travel'] }];
+    const [row] = previewImport(parseImportFile(exportTodosAsMarkdown(todos), 'trip.md'), []);
+    expect(row.todo).toEqual({ text: 'Plan trip', completed: true, tags: ['travel'] });
+  });
+
+  test('leaves text that only looks like a list marker alone', () => {
+    expect(parseMarkdownTasks('-5 degrees outside')).toEqual([{ line: 1, text: '-5 degrees outside' }]);
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * Library entry point: everything an app needs to embed the todo list.
+ * Only what is exported here is public; other modules may change between versions.
+ */
+
+export { default, default as TodoListCopilot } from "./TodoListCopilot";
+export { useTodos } from "./useTodos";
+export {
+  createTodoStorage,
+  createMemoryStorage,
+  createLocalStorageAdapter,
+  createIndexedDBAdapter,
+  createMemoryAdapter,
+  createRestStorage,
+  StorageSchemaError,
+  SyncError,
+} from "./storage";
+export {
+  DEFAULT_VALIDATION_POLICY,
+  VALIDATION_PRESETS,
+  CHARACTER_SETS,
+  CASING_MODES,
+  DUPLICATE_POLICIES,
+} from "./todoValidation";
+export { VIEW_SECTIONS, SORT_ORDERS, DEFAULT_VIEW } from "./todoView";
+export { THEMES } from "./themes";
@@ -0,0 +1,11 @@
+/**
+ * Link helpers for client-side navigation.
+ */
+
+/**
+ * Checks whether a click on a link should be left to the browser, e.g. to open it in a new tab.
+ *
+ * @param {React.MouseEvent} e - The click event
+ * @returns {boolean} True for modified or non-primary clicks
+ */
+export const isModifiedClick = (e) => e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey;
@@ -0,0 +1,85 @@
+/**
+ * Named list helpers. Every todo belongs to one list through its optional
+ * `listId`; todos saved before lists existed have none and belong to the
+ * default list.
+ */
+
+/**
+ * @typedef {Object} TodoList
+ * @property {string} id - Stable unique ID
+ * @property {string} name - The display name
+ */
+
+/** @type {string} ID of the list that todos without a `listId` belong to */
+export const DEFAULT_LIST_ID = "default";
+
+/** @type {TodoList} The list every new or legacy save starts with */
+export const DEFAULT_LIST = Object.freeze({ id: DEFAULT_LIST_ID, name: "Todo List" });
+
+/** @type {number} Longest allowed list name, in characters */
+export const MAX_LIST_NAME_LENGTH = 40;
+
+/**
+ * Returns the ID of the list a todo belongs to.
+ *
+ * @param {{listId?: string}} todo - The todo
+ * @returns {string} The list ID
+ */
+export const getListId = (todo) => todo.listId ?? DEFAULT_LIST_ID;
+
+/**
+ * Checks whether a todo belongs to a list.
+ *
+ * @param {{listId?: string}} todo - The todo
+ * @param {string} listId - The list ID
+ * @returns {boolean} True if the todo is in the list
+ */
+export const isInList = (todo, listId) => getListId(todo) === listId;
+
+/**
+ * Checks whether a value is a usable list record.
+ *
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value has a non-empty string `id` and `name`
+ */
+export const isValidList = (value) =>
+  Boolean(value) &&
+  typeof value.id === "string" && value.id !== "" &&
+  typeof value.name === "string" && value.name.trim() !== "";
+
+/**
+ * Moves todos whose list no longer exists into the first list.
+ *
+ * @param {Array<{listId?: string}>} todos - The todos
+ * @param {Array<TodoList>} lists - The known lists; must not be empty
+ * @returns {Array<Object>} The todos, each in a known list
+ */
+export const assignOrphanedTodos = (todos, lists) =>
+  todos.map((todo) =>
+    lists.some((list) => isInList(todo, list.id)) ? todo : { ...todo, listId: lists[0].id }
+  );
+
+/**
+ * Validates a list name: non-empty, not too long and unique (case-insensitive).
+ *
+ * @param {string} name - The name as typed
+ * @param {Array<TodoList>} lists - The existing lists
+ * @param {string|null} [excludeId=null] - ID of a list to ignore in the duplicate check (for renaming)
+ * @returns {{isValid: boolean, name: string, message: string}} The result and the trimmed name
+ */
+export const validateListName = (name, lists, excludeId = null) => {
+  const trimmed = name.trim();
+  if (trimmed === "") {
+    return { isValid: false, name: "", message: "Please enter a list name" };
+  }
+  if ([...trimmed].length > MAX_LIST_NAME_LENGTH) {
+    return { isValid: false, name: "", message: `List name must be at most ${MAX_LIST_NAME_LENGTH} characters` };
+  }
+  const taken = lists.some(
+    (list) => list.id !== excludeId && list.name.toLowerCase() === trimmed.toLowerCase()
+  );
+  if (taken) {
+    return { isValid: false, name: "", message: "A list with this name already exists" };
+  }
+  return { isValid: true, name: trimmed, message: "" };
+};
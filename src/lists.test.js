@@ -0,0 +1,48 @@
+import {
+  DEFAULT_LIST_ID,
+  getListId,
+  isInList,
+  isValidList,
+  assignOrphanedTodos,
+  validateListName,
+} from './lists';
+
+describe('list membership', () => {
+  test('puts todos without a listId in the default list', () => {
+    expect(getListId({ text: 'Legacy' })).toBe(DEFAULT_LIST_ID);
+    expect(getListId({ text: 'Bug', listId: 'bugs' })).toBe('bugs');
+    expect(isInList({ text: 'Legacy' }, DEFAULT_LIST_ID)).toBe(true);
+    expect(isInList({ text: 'Bug', listId: 'bugs' }, DEFAULT_LIST_ID)).toBe(false);
+  });
+
+  test('moves todos of unknown lists into the first list', () => {
+    const lists = [{ id: 'sprint', name: 'Sprint' }, { id: 'bugs', name: 'Bugs' }];
+    const todos = [{ id: 'a', listId: 'bugs' }, { id: 'b', listId: 'gone' }, { id: 'c' }];
+    expect(assignOrphanedTodos(todos, lists).map((todo) => todo.listId)).toEqual(['bugs', 'sprint', 'sprint']);
+  });
+
+  test('recognizes valid list records', () => {
+    expect(isValidList({ id: 'a', name: 'Sprint' })).toBe(true);
+    expect(isValidList({ id: '', name: 'Sprint' })).toBe(false);
+    expect(isValidList({ id: 'a', name: '  ' })).toBe(false);
+    expect(isValidList(null)).toBe(false);
+  });
+});
+
+describe('validateListName', () => {
+  const lists = [{ id: 'a', name: 'Sprint' }];
+
+  test('trims valid names', () => {
+    expect(validateListName('  Bugs ', lists)).toEqual({ isValid: true, name: 'Bugs', message: '' });
+  });
+
+  test('rejects empty, overlong and duplicate names', () => {
+    expect(validateListName('   ', lists).message).toBe('Please enter a list name');
+    expect(validateListName('x'.repeat(41), lists).message).toBe('List name must be at most 40 characters');
+    expect(validateListName('sprint', lists).message).toBe('A list with this name already exists');
+  });
+
+  test('ignores the list being renamed', () => {
+    expect(validateListName('SPRINT', lists, 'a').isValid).toBe(true);
+  });
+});
@@ -2,11 +2,11 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
-import TodoListCopilot from './TodoListCopilot.jsx'
+import UpdatePrompt from './UpdatePrompt.jsx'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
-    <TodoListCopilot />
+    <App basePath={import.meta.env.BASE_URL} />
+    <UpdatePrompt serviceWorkerUrl={import.meta.env.PROD ? `${import.meta.env.BASE_URL}sw.js` : null} />
   </StrictMode>,
 )
@@ -0,0 +1,44 @@
+/**
+ * Priority levels for todos. A todo's `priority` is one of
+ * {@link PRIORITY_LEVELS} or absent when no priority was set.
+ */
+
+/** @type {Array<string>} Priority levels, most important first */
+export const PRIORITY_LEVELS = Object.freeze(["high", "medium", "low"]);
+
+/** @type {Object<string, string>} Display labels for each level */
+export const PRIORITY_LABELS = Object.freeze({
+  high: "High",
+  medium: "Medium",
+  low: "Low",
+});
+
+/**
+ * Checks whether a value is a known priority level.
+ *
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value is a priority level
+ */
+export const isValidPriority = (value) => PRIORITY_LEVELS.includes(value);
+
+/**
+ * Compares two todos by priority, highest first; todos without one sort last.
+ *
+ * @param {{priority?: string|null}} a - First todo
+ * @param {{priority?: string|null}} b - Second todo
+ * @returns {number} Negative, zero or positive, as for Array#sort
+ */
+export const compareByPriority = (a, b) => {
+  const rank = (todo) =>
+    isValidPriority(todo.priority) ? PRIORITY_LEVELS.indexOf(todo.priority) : PRIORITY_LEVELS.length;
+  return rank(a) - rank(b);
+};
+
+/**
+ * Describes a todo for use in aria-labels, e.g. `"Pay rent" (high priority)`.
+ *
+ * @param {{text: string, priority?: string|null}} todo - The todo
+ * @returns {string} The quoted text, followed by the priority when there is one
+ */
+export const describeTodo = (todo) =>
+  isValidPriority(todo.priority) ? `"${todo.text}" (${todo.priority} priority)` : `"${todo.text}"`;
@@ -0,0 +1,24 @@
+import { compareByPriority, describeTodo, isValidPriority } from './priorities';
+
+describe('priorities', () => {
+  test('recognizes the priority levels', () => {
+    expect(isValidPriority('high')).toBe(true);
+    expect(isValidPriority('urgent')).toBe(false);
+    expect(isValidPriority(null)).toBe(false);
+  });
+
+  test('sorts highest priority first and unprioritized todos last', () => {
+    const todos = [
+      { text: 'None' },
+      { text: 'Low', priority: 'low' },
+      { text: 'High', priority: 'high' },
+      { text: 'Medium', priority: 'medium' },
+    ];
+    expect([...todos].sort(compareByPriority).map((todo) => todo.text)).toEqual(['High', 'Medium', 'Low', 'None']);
+  });
+
+  test('describes todos for aria-labels', () => {
+    expect(describeTodo({ text: 'Pay rent', priority: 'high' })).toBe('"Pay rent" (high priority)');
+    expect(describeTodo({ text: 'Pay rent' })).toBe('"Pay rent"');
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Recurrence helpers. A recurring todo carries a rule saying how often it
+ * repeats; completing it creates the next occurrence with the next due date
+ * (see ./todoReducer). Like due dates, everything works on local calendar
+ * dates in `YYYY-MM-DD` form.
+ */
+
+import { WEEKDAYS, addDays, addMonths, findWeekday, fromISODate, toISODate } from "./dueDates";
+
+/**
+ * @typedef {Object} Recurrence
+ * @property {string} frequency - One of {@link RECURRENCE_FREQUENCIES}
+ * @property {Array<number>} [days] - Weekly only: weekdays, indexed like `Date#getDay`;
+ *   missing or empty repeats on the due date's weekday
+ * @property {number} [interval] - Interval only: the number of days between occurrences
+ * @property {number} [day] - Monthly only: the day of the month occurrences fall on, or the
+ *   last day of shorter months; missing uses the due date's day
+ */
+
+/** Frequencies a {@link Recurrence} can have */
+export const RECURRENCE_FREQUENCIES = Object.freeze({
+  DAILY: "daily",
+  WEEKLY: "weekly",
+  MONTHLY: "monthly",
+  INTERVAL: "interval",
+});
+
+/** @type {number} Largest number of days allowed between occurrences */
+export const MAX_RECURRENCE_INTERVAL = 365;
+
+/**
+ * Checks whether a value is a usable recurrence rule.
+ *
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value is a {@link Recurrence}
+ */
+export const isValidRecurrence = (value) => {
+  if (!value || typeof value !== "object") return false;
+  switch (value.frequency) {
+    case RECURRENCE_FREQUENCIES.DAILY:
+      return true;
+    case RECURRENCE_FREQUENCIES.MONTHLY:
+      return value.day === undefined || (Number.isInteger(value.day) && value.day >= 1 && value.day <= 31);
+    case RECURRENCE_FREQUENCIES.WEEKLY:
+      return value.days === undefined || (
+        Array.isArray(value.days) &&
+        value.days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+      );
+    case RECURRENCE_FREQUENCIES.INTERVAL:
+      return Number.isInteger(value.interval) && value.interval >= 1 && value.interval <= MAX_RECURRENCE_INTERVAL;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Builds a weekly rule, with the weekdays sorted and without repeats.
+ *
+ * @param {Array<number>} days - Weekday indexes
+ * @returns {Recurrence} The rule
+ */
+const weekly = (days) => {
+  const unique = [...new Set(days)].sort((a, b) => a - b);
+  return unique.length > 0
+    ? { frequency: RECURRENCE_FREQUENCIES.WEEKLY, days: unique }
+    : { frequency: RECURRENCE_FREQUENCIES.WEEKLY };
+};
+
+/**
+ * Parses a list of weekdays such as "mon, thu" or "monday and friday".
+ *
+ * @param {string} text - The lowercased list
+ * @returns {Array<number>|null} The weekday indexes, or null if any word isn't a weekday
+ */
+const parseWeekdays = (text) => {
+  const words = text.split(/\s*(?:,|\band\b)\s*|\s+/).filter(Boolean);
+  const days = words.map(findWeekday);
+  return words.length > 0 && days.every((day) => day !== -1) ? days : null;
+};
+
+/**
+ * Parses a recurrence typed by the user.
+ *
+ * Understands:
+ * - `daily` / `every day`
+ * - `weekly` / `every week`: on the due date's weekday
+ * - `weekly on mon, thu` / `every mon and thu`
+ * - `monthly` / `every month`
+ * - `every 3 days`, `every 2 weeks`
+ *
+ * @param {string} input - The text entered by the user
+ * @returns {{isValid: boolean, recurrence: Recurrence|null}} The rule, or null for empty
+ *   input; `isValid` is false when the text isn't understood
+ */
+export const parseRecurrence = (input) => {
+  const text = (input ?? "").trim().toLowerCase().replace(/\s+/g, " ");
+  if (text === "") {
+    return { isValid: true, recurrence: null };
+  }
+  const valid = (recurrence) => ({ isValid: true, recurrence });
+
+  if (text === "daily" || text === "every day") return valid({ frequency: RECURRENCE_FREQUENCIES.DAILY });
+  if (text === "weekly" || text === "every week") return valid(weekly([]));
+  if (text === "monthly" || text === "every month") return valid({ frequency: RECURRENCE_FREQUENCIES.MONTHLY });
+
+  const interval = /^every (\d+) (day|days|week|weeks)$/.exec(text);
+  if (interval) {
+    const days = Number(interval[1]) * (interval[2].startsWith("week") ? 7 : 1);
+    if (days === 1) return valid({ frequency: RECURRENCE_FREQUENCIES.DAILY });
+    const recurrence = { frequency: RECURRENCE_FREQUENCIES.INTERVAL, interval: days };
+    return isValidRecurrence(recurrence) ? valid(recurrence) : { isValid: false, recurrence: null };
+  }
+
+  const onDays = /^(?:weekly on|every) (.+)$/.exec(text);
+  const days = onDays && parseWeekdays(onDays[1]);
+  if (days) return valid(weekly(days));
+
+  return { isValid: false, recurrence: null };
+};
+
+/**
+ * Capitalizes the first three letters of a weekday name, e.g. "Mon".
+ *
+ * @param {number} day - The weekday index
+ * @returns {string} The short name
+ */
+const shortWeekday = (day) => WEEKDAYS[day].charAt(0).toUpperCase() + WEEKDAYS[day].slice(1, 3);
+
+/**
+ * Formats a rule for display, in a form {@link parseRecurrence} reads back.
+ *
+ * @param {Recurrence} recurrence - The rule
+ * @returns {string} e.g. "Daily", "Weekly on Mon, Thu" or "Every 3 days"
+ */
+export const formatRecurrence = (recurrence) => {
+  switch (recurrence.frequency) {
+    case RECURRENCE_FREQUENCIES.DAILY:
+      return "Daily";
+    case RECURRENCE_FREQUENCIES.WEEKLY:
+      return recurrence.days?.length
+        ? `Weekly on ${recurrence.days.map(shortWeekday).join(", ")}`
+        : "Weekly";
+    case RECURRENCE_FREQUENCIES.MONTHLY:
+      return "Monthly";
+    default:
+      return `Every ${recurrence.interval} days`;
+  }
+};
+
+/**
+ * Moves a date to its next occurrence under a rule.
+ *
+ * @param {Recurrence} recurrence - The rule
+ * @param {Date} date - The current occurrence
+ * @returns {Date} The next occurrence
+ */
+const advance = (recurrence, date) => {
+  switch (recurrence.frequency) {
+    case RECURRENCE_FREQUENCIES.DAILY:
+      return addDays(date, 1);
+    case RECURRENCE_FREQUENCIES.WEEKLY: {
+      if (!recurrence.days?.length) return addDays(date, 7);
+      const offset = [1, 2, 3, 4, 5, 6, 7].find((days) => recurrence.days.includes((date.getDay() + days) % 7));
+      return addDays(date, offset);
+    }
+    case RECURRENCE_FREQUENCIES.MONTHLY:
+      return addMonths(date, 1, recurrence.day);
+    default:
+      return addDays(date, recurrence.interval);
+  }
+};
+
+/**
+ * Pins a monthly rule to the day of the month its series started on, so an
+ * occurrence moved to a short month's last day (Jan 31 to Feb 28) doesn't
+ * pull the ones after it back too. Other rules are returned as they are.
+ *
+ * @param {Recurrence} recurrence - The rule
+ * @param {string|null|undefined} dueDate - The current occurrence's `YYYY-MM-DD` due date, if any
+ * @param {string} today - Today's `YYYY-MM-DD` date, used without a due date
+ * @returns {Recurrence} The rule, with `day` set if it is monthly
+ */
+export const anchorRecurrence = (recurrence, dueDate, today) =>
+  recurrence.frequency === RECURRENCE_FREQUENCIES.MONTHLY && recurrence.day === undefined
+    ? { ...recurrence, day: (fromISODate(dueDate) ?? fromISODate(today)).getDate() }
+    : recurrence;
+
+/**
+ * Works out the due date of the next occurrence: the first one after both
+ * the current due date and today, so an overdue chore doesn't come back overdue.
+ * Without a due date, the rule is applied from today.
+ *
+ * @param {Recurrence} recurrence - The rule
+ * @param {string|null|undefined} dueDate - The current occurrence's `YYYY-MM-DD` due date, if any
+ * @param {string} today - Today's `YYYY-MM-DD` date
+ * @returns {string} The next `YYYY-MM-DD` due date
+ */
+export const getNextDueDate = (recurrence, dueDate, today) => {
+  const rule = anchorRecurrence(recurrence, dueDate, today);
+  let next = advance(rule, fromISODate(dueDate) ?? fromISODate(today));
+  while (toISODate(next) <= today) {
+    next = advance(rule, next);
+  }
+  return toISODate(next);
+};
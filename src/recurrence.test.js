@@ -0,0 +1,113 @@
+import {
+  parseRecurrence,
+  formatRecurrence,
+  getNextDueDate,
+  anchorRecurrence,
+  isValidRecurrence,
+  RECURRENCE_FREQUENCIES,
+} from './recurrence';
+
+// Wednesday, October 14 2026
+const today = '2026-10-14';
+
+describe('parseRecurrence', () => {
+  test('treats empty input as no recurrence', () => {
+    expect(parseRecurrence('')).toEqual({ isValid: true, recurrence: null });
+    expect(parseRecurrence('  ')).toEqual({ isValid: true, recurrence: null });
+  });
+
+  test('understands daily, weekly and monthly', () => {
+    expect(parseRecurrence('Daily').recurrence).toEqual({ frequency: 'daily' });
+    expect(parseRecurrence('every day').recurrence).toEqual({ frequency: 'daily' });
+    expect(parseRecurrence('weekly').recurrence).toEqual({ frequency: 'weekly' });
+    expect(parseRecurrence('every month').recurrence).toEqual({ frequency: 'monthly' });
+  });
+
+  test('understands weekly rules on given days', () => {
+    expect(parseRecurrence('weekly on thu, mon').recurrence).toEqual({ frequency: 'weekly', days: [1, 4] });
+    expect(parseRecurrence('every Monday and Friday').recurrence).toEqual({ frequency: 'weekly', days: [1, 5] });
+    expect(parseRecurrence('every mon mon').recurrence).toEqual({ frequency: 'weekly', days: [1] });
+  });
+
+  test('understands every N days or weeks', () => {
+    expect(parseRecurrence('every 3 days').recurrence).toEqual({ frequency: 'interval', interval: 3 });
+    expect(parseRecurrence('every 2 weeks').recurrence).toEqual({ frequency: 'interval', interval: 14 });
+    expect(parseRecurrence('every 1 day').recurrence).toEqual({ frequency: 'daily' });
+  });
+
+  test('rejects text it does not understand', () => {
+    expect(parseRecurrence('sometimes').isValid).toBe(false);
+    expect(parseRecurrence('every mo').isValid).toBe(false);
+    expect(parseRecurrence('every 0 days').isValid).toBe(false);
+    expect(parseRecurrence('every 400 days').isValid).toBe(false);
+  });
+});
+
+describe('formatRecurrence', () => {
+  test('formats each frequency so it parses back', () => {
+    const rules = [
+      { frequency: 'daily' },
+      { frequency: 'weekly' },
+      { frequency: 'weekly', days: [1, 4] },
+      { frequency: 'monthly' },
+      { frequency: 'interval', interval: 10 },
+    ];
+    expect(rules.map(formatRecurrence)).toEqual(['Daily', 'Weekly', 'Weekly on Mon, Thu', 'Monthly', 'Every 10 days']);
+    rules.forEach((rule) => expect(parseRecurrence(formatRecurrence(rule)).recurrence).toEqual(rule));
+  });
+});
+
+describe('getNextDueDate', () => {
+  test('moves from the due date by the rule', () => {
+    expect(getNextDueDate({ frequency: 'daily' }, '2026-10-20', today)).toBe('2026-10-21');
+    expect(getNextDueDate({ frequency: 'weekly' }, '2026-10-20', today)).toBe('2026-10-27');
+    expect(getNextDueDate({ frequency: 'interval', interval: 3 }, '2026-10-20', today)).toBe('2026-10-23');
+  });
+
+  test('goes to the next of the given weekdays', () => {
+    const rule = { frequency: 'weekly', days: [1, 4] };
+    expect(getNextDueDate(rule, '2026-10-19', today)).toBe('2026-10-22');
+    expect(getNextDueDate(rule, '2026-10-22', today)).toBe('2026-10-26');
+  });
+
+  test('clamps monthly rules to the end of shorter months', () => {
+    expect(getNextDueDate({ frequency: 'monthly' }, '2027-01-31', today)).toBe('2027-02-28');
+    expect(getNextDueDate({ frequency: 'monthly' }, '2026-10-15', today)).toBe('2026-11-15');
+  });
+
+  test('keeps monthly rules on their anchor day after a shorter month', () => {
+    expect(getNextDueDate({ frequency: 'monthly', day: 31 }, '2027-02-28', today)).toBe('2027-03-31');
+    expect(getNextDueDate({ frequency: 'monthly', day: 31 }, '2027-03-31', today)).toBe('2027-04-30');
+    expect(getNextDueDate({ frequency: 'monthly' }, '2026-08-31', today)).toBe('2026-10-31');
+  });
+
+  test('anchors monthly rules to the day they started on', () => {
+    expect(anchorRecurrence({ frequency: 'monthly' }, '2027-01-31', today)).toEqual({ frequency: 'monthly', day: 31 });
+    expect(anchorRecurrence({ frequency: 'monthly' }, null, today)).toEqual({ frequency: 'monthly', day: 14 });
+    expect(anchorRecurrence({ frequency: 'monthly', day: 31 }, '2027-02-28', today)).toEqual({ frequency: 'monthly', day: 31 });
+    expect(anchorRecurrence({ frequency: 'daily' }, '2027-01-31', today)).toEqual({ frequency: 'daily' });
+  });
+
+  test('starts from today without a due date', () => {
+    expect(getNextDueDate({ frequency: 'daily' }, null, today)).toBe('2026-10-15');
+    expect(getNextDueDate({ frequency: 'weekly', days: [1] }, undefined, today)).toBe('2026-10-19');
+  });
+
+  test('skips occurrences that are already past', () => {
+    expect(getNextDueDate({ frequency: 'weekly' }, '2026-09-30', today)).toBe('2026-10-21');
+    expect(getNextDueDate({ frequency: 'daily' }, '2026-10-01', today)).toBe('2026-10-15');
+  });
+});
+
+describe('isValidRecurrence', () => {
+  test('accepts well-formed rules only', () => {
+    expect(isValidRecurrence({ frequency: RECURRENCE_FREQUENCIES.DAILY })).toBe(true);
+    expect(isValidRecurrence({ frequency: 'weekly', days: [0, 6] })).toBe(true);
+    expect(isValidRecurrence({ frequency: 'weekly', days: [7] })).toBe(false);
+    expect(isValidRecurrence({ frequency: 'interval', interval: 2.5 })).toBe(false);
+    expect(isValidRecurrence({ frequency: 'monthly', day: 31 })).toBe(true);
+    expect(isValidRecurrence({ frequency: 'monthly', day: 32 })).toBe(false);
+    expect(isValidRecurrence({ frequency: 'yearly' })).toBe(false);
+    expect(isValidRecurrence(null)).toBe(false);
+  });
+});
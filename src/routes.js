@@ -0,0 +1,85 @@
+import { VIEW_SECTIONS, normalizeView } from "./todoView";
+
+/**
+ * URLs of the app shell (see ./App). The path picks the section and the
+ * list, and the query string holds the filters, so every view can be
+ * bookmarked and shared:
+ * - `/` (active), `/completed` and `/all` show the first list
+ * - `/list/:id`, `/list/:id/completed` and `/list/:id/all` show another one
+ * - `?q=milk&tags=work,home&priority=high&sort=dueDate` filter and sort it
+ *
+ * Paths here are relative to the app's base path and always start with "/".
+ */
+
+/** @type {Object<string, string>} The section each last path segment stands for; none means active */
+const SECTION_SEGMENTS = Object.freeze({
+  "": VIEW_SECTIONS.ACTIVE,
+  completed: VIEW_SECTIONS.COMPLETED,
+  all: VIEW_SECTIONS.ALL,
+});
+
+/**
+ * Splits a path into decoded segments.
+ *
+ * @param {string} pathname - The path, e.g. "/list/work/all"
+ * @returns {Array<string>|null} The segments, or null if one is badly encoded
+ */
+const splitPath = (pathname) => {
+  try {
+    return pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Reads the view a URL stands for.
+ *
+ * @param {string} pathname - The path, relative to the base path
+ * @param {string} [search=""] - The query string, with or without the leading "?"
+ * @returns {import("./todoView").TodoView|null} The view, or null if no route matches
+ */
+export const parseRoute = (pathname, search = "") => {
+  const segments = splitPath(pathname);
+  if (!segments) return null;
+  let listId = null;
+  if (segments[0] === "list") {
+    if (segments.length < 2) return null;
+    listId = segments[1];
+    segments.splice(0, 2);
+  }
+  const sectionSegment = segments.length === 0 ? "" : segments[0];
+  if (segments.length > 1 || !Object.hasOwn(SECTION_SEGMENTS, sectionSegment)) return null;
+
+  const params = new URLSearchParams(search);
+  return normalizeView({
+    section: SECTION_SEGMENTS[sectionSegment],
+    listId,
+    search: params.get("q") ?? "",
+    tags: params.get("tags")?.split(",").filter(Boolean) ?? [],
+    priority: params.get("priority"),
+    sort: params.get("sort"),
+  });
+};
+
+/**
+ * Builds the URL of a view; {@link parseRoute} reads it back.
+ * Settings left at their defaults are left out.
+ *
+ * @param {Partial<import("./todoView").TodoView>} view - The view
+ * @returns {string} The path and query string, e.g. "/list/work/all?q=milk"
+ */
+export const formatRoute = (view) => {
+  const { section, listId, search, tags, priority, sort } = normalizeView(view);
+  const segments = [
+    ...(listId ? ["list", encodeURIComponent(listId)] : []),
+    ...(section === VIEW_SECTIONS.ACTIVE ? [] : [section]),
+  ];
+  const params = [
+    search && `q=${encodeURIComponent(search)}`,
+    tags.length > 0 && `tags=${tags.map(encodeURIComponent).join(",")}`,
+    priority !== "all" && `priority=${priority}`,
+    sort !== "manual" && `sort=${sort}`,
+  ].filter(Boolean);
+  return `/${segments.join("/")}${params.length > 0 ? `?${params.join("&")}` : ""}`;
+};
@@ -0,0 +1,65 @@
+import { parseRoute, formatRoute } from './routes';
+import { DEFAULT_VIEW } from './todoView';
+
+describe('parseRoute', () => {
+  test('maps the top-level paths to sections of the first list', () => {
+    expect(parseRoute('/')).toEqual({ ...DEFAULT_VIEW, section: 'active' });
+    expect(parseRoute('/completed')).toEqual({ ...DEFAULT_VIEW, section: 'completed' });
+    expect(parseRoute('/all/')).toEqual({ ...DEFAULT_VIEW, section: 'all' });
+  });
+
+  test('reads the list from /list/:id', () => {
+    expect(parseRoute('/list/work')).toEqual({ ...DEFAULT_VIEW, section: 'active', listId: 'work' });
+    expect(parseRoute('/list/work%20stuff/completed')).toMatchObject({ section: 'completed', listId: 'work stuff' });
+  });
+
+  test('reads the filters from the query string', () => {
+    expect(parseRoute('/all', '?q=buy%20milk&tags=work,home&priority=high&sort=dueDate')).toEqual({
+      ...DEFAULT_VIEW,
+      section: 'all',
+      search: 'buy milk',
+      tags: ['work', 'home'],
+      priority: 'high',
+      sort: 'dueDate',
+    });
+  });
+
+  test('ignores malformed filters', () => {
+    expect(parseRoute('/', '?tags=,,Not a tag&priority=urgent&sort=random')).toEqual({
+      ...DEFAULT_VIEW,
+      section: 'active',
+    });
+  });
+
+  test('returns null for paths that match no route', () => {
+    expect(parseRoute('/settings')).toBeNull();
+    expect(parseRoute('/list')).toBeNull();
+    expect(parseRoute('/list/work/done')).toBeNull();
+    expect(parseRoute('/completed/extra')).toBeNull();
+    expect(parseRoute('/list/%E0%A4%A')).toBeNull();
+  });
+});
+
+describe('formatRoute', () => {
+  test('leaves defaults out of the URL', () => {
+    expect(formatRoute({ section: 'active' })).toBe('/');
+    expect(formatRoute({ section: 'all' })).toBe('/all');
+    expect(formatRoute({ section: 'active', listId: 'work' })).toBe('/list/work');
+  });
+
+  test('round-trips every setting', () => {
+    const view = {
+      section: 'completed',
+      listId: 'home & garden',
+      search: 'a&b=c?',
+      tags: ['chores', 'weekend'],
+      priority: 'low',
+      sort: 'priority',
+    };
+    const url = formatRoute(view);
+    expect(url).toBe('/list/home%20%26%20garden/completed?q=a%26b%3Dc%3F&tags=chores,weekend&priority=low&sort=priority');
+
+    const [pathname, search] = url.split('?');
+    expect(parseRoute(pathname, search)).toEqual(view);
+  });
+});
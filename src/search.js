@@ -0,0 +1,77 @@
+/**
+ * Fuzzy, case-insensitive text search used by the todo search box.
+ *
+ * A query matches when it appears in the text as a substring, or failing
+ * that, when all of its characters appear in the text in order (so "rpt"
+ * finds "Write report"). Whitespace in the query is ignored for the fuzzy
+ * match. Matches are reported as character ranges so they can be highlighted.
+ */
+
+/**
+ * Merges adjacent `[start, end)` ranges into single ranges.
+ *
+ * @param {Array<[number, number]>} ranges - Sorted, non-overlapping ranges
+ * @returns {Array<[number, number]>} The merged ranges
+ */
+const mergeRanges = (ranges) =>
+  ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && last[1] === range[0]) {
+      last[1] = range[1];
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+
+/**
+ * Finds a query in some text.
+ *
+ * @param {string} text - The text to search
+ * @param {string} query - The search query
+ * @returns {Array<[number, number]>|null} The matched `[start, end)` ranges
+ *   (empty for an empty query), or null if the text doesn't match
+ */
+export const findMatches = (text, query) => {
+  const needle = query.trim().toLowerCase();
+  if (needle === "") return [];
+
+  const haystack = text.toLowerCase();
+  const index = haystack.indexOf(needle);
+  if (index !== -1) {
+    return [[index, index + needle.length]];
+  }
+
+  const ranges = [];
+  let position = 0;
+  for (const character of needle.replace(/\s+/g, "")) {
+    const found = haystack.indexOf(character, position);
+    if (found === -1) return null;
+    ranges.push([found, found + character.length]);
+    position = found + character.length;
+  }
+  return mergeRanges(ranges);
+};
+
+/**
+ * Splits text into plain and matched segments for highlighting.
+ *
+ * @param {string} text - The text
+ * @param {Array<[number, number]>} ranges - Matched ranges from {@link findMatches}
+ * @returns {Array<{text: string, match: boolean}>} The segments, in order
+ */
+export const splitByMatches = (text, ranges) => {
+  const segments = [];
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > position) {
+      segments.push({ text: text.slice(position, start), match: false });
+    }
+    segments.push({ text: text.slice(start, end), match: true });
+    position = end;
+  });
+  if (position < text.length) {
+    segments.push({ text: text.slice(position), match: false });
+  }
+  return segments;
+};
@@ -0,0 +1,37 @@
+import { findMatches, splitByMatches } from './search';
+
+describe('findMatches', () => {
+  test('matches everything with an empty query', () => {
+    expect(findMatches('Write report', '')).toEqual([]);
+    expect(findMatches('Write report', '   ')).toEqual([]);
+  });
+
+  test('prefers a case-insensitive substring match', () => {
+    expect(findMatches('Write report', 'REP')).toEqual([[6, 9]]);
+  });
+
+  test('falls back to characters in order', () => {
+    expect(findMatches('Write report', 'wrt')).toEqual([[0, 2], [3, 4]]);
+    expect(findMatches('Write report', 'w ort')).toEqual([[0, 1], [9, 12]]);
+  });
+
+  test('returns null when the text does not match', () => {
+    expect(findMatches('Write report', 'xyz')).toBeNull();
+    expect(findMatches('Write report', 'tw')).toBeNull();
+  });
+});
+
+describe('splitByMatches', () => {
+  test('splits text into plain and matched segments', () => {
+    expect(splitByMatches('Write report', [[0, 2], [6, 9]])).toEqual([
+      { text: 'Wr', match: true },
+      { text: 'ite ', match: false },
+      { text: 'rep', match: true },
+      { text: 'ort', match: false },
+    ]);
+  });
+
+  test('returns the whole text when nothing matched', () => {
+    expect(splitByMatches('Write report', [])).toEqual([{ text: 'Write report', match: false }]);
+  });
+});
@@ -0,0 +1,60 @@
+import { serializeTodos, deserializeTodos, deserializeLists } from "./schema";
+import { createLocalStorageAdapter, getLocalStorage } from "./localStorageAdapter";
+import { createMemoryAdapter } from "./memoryAdapter";
+
+export {
+  CURRENT_SCHEMA_VERSION,
+  StorageSchemaError,
+  serializeTodos,
+  deserializeTodos,
+  deserializeLists,
+} from "./schema";
+export { createLocalStorageAdapter, DEFAULT_STORAGE_KEY } from "./localStorageAdapter";
+export { createIndexedDBAdapter } from "./indexedDBAdapter";
+export { createMemoryAdapter } from "./memoryAdapter";
+export { createRestStorage, SyncError } from "./restStorage";
+
+/**
+ * Creates a todo storage on top of a raw adapter.
+ * The storage handles schema versioning; adapters only move values in and out.
+ * `loadLists` is optional for custom storages; without it only the default list is kept.
+ * So is `subscribe(listener)`, which calls `listener` whenever the saved value is changed
+ * from somewhere else (e.g. another tab) and returns a function that stops listening;
+ * the storage has it when the adapter does.
+ *
+ * @param {{read: function(): Promise<*>, write: function(*): Promise<void>, subscribe?: function(function(): void): function(): void}} adapter -
+ *   The backing adapter
+ * @returns {{load: function(): Promise<Array>, loadLists: function(): Promise<Array>, save: function(Array, Array=): Promise<void>, subscribe?: function(function(): void): function(): void}}
+ *   The todo storage
+ */
+export const createTodoStorage = (adapter) => ({
+  load: async () => deserializeTodos(await adapter.read()),
+  loadLists: async () => deserializeLists(await adapter.read()),
+  save: (todos, lists) => adapter.write(serializeTodos(todos, lists)),
+  ...(adapter.subscribe && { subscribe: adapter.subscribe }),
+});
+
+/**
+ * Creates an in-memory todo storage, optionally pre-filled with todos and lists.
+ *
+ * @param {Array<{text: string, completed: boolean}>} [todos] - Todos to start with
+ * @param {Array<{id: string, name: string}>} [lists] - Named lists to start with
+ * @returns {{load: function(): Promise<Array>, loadLists: function(): Promise<Array>, save: function(Array, Array=): Promise<void>}}
+ *   The todo storage
+ */
+export const createMemoryStorage = (todos, lists) =>
+  createTodoStorage(createMemoryAdapter(todos || lists ? serializeTodos(todos ?? [], lists) : null));
+
+/**
+ * Creates the storage used when none is passed to the component:
+ * localStorage when available, otherwise memory (e.g. when the browser blocks storage).
+ *
+ * @returns {{load: function(): Promise<Array>, loadLists: function(): Promise<Array>, save: function(Array, Array=): Promise<void>}}
+ *   The todo storage
+ */
+export const createDefaultStorage = () => {
+  const storage = getLocalStorage();
+  return storage === undefined
+    ? createMemoryStorage()
+    : createTodoStorage(createLocalStorageAdapter({ storage }));
+};
@@ -0,0 +1,61 @@
+import { DEFAULT_STORAGE_KEY } from "./localStorageAdapter";
+
+const STORE_NAME = "todos";
+
+/**
+ * Wraps an IDBRequest in a promise.
+ *
+ * @param {IDBRequest} request - The request to wait for
+ * @returns {Promise<*>} Resolves with the request result
+ */
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Creates an adapter backed by IndexedDB.
+ * The whole saved value lives under one key in a single object store, so it
+ * is interchangeable with the localStorage adapter but not limited by its quota.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.databaseName] - Name of the IndexedDB database
+ * @param {string} [options.key] - Key the value is stored under
+ * @param {IDBFactory} [options.indexedDB] - The IDBFactory to use (defaults to window.indexedDB)
+ * @returns {{read: function(): Promise<*>, write: function(*): Promise<void>}} The adapter
+ */
+export const createIndexedDBAdapter = ({
+  databaseName = DEFAULT_STORAGE_KEY,
+  key = DEFAULT_STORAGE_KEY,
+  indexedDB = globalThis.indexedDB,
+} = {}) => {
+  let databasePromise = null;
+
+  const openDatabase = () => {
+    if (!databasePromise) {
+      const request = indexedDB.open(databaseName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+      };
+      databasePromise = promisify(request);
+    }
+    return databasePromise;
+  };
+
+  const withStore = async (mode, operation) => {
+    const database = await openDatabase();
+    const transaction = database.transaction(STORE_NAME, mode);
+    return promisify(operation(transaction.objectStore(STORE_NAME)));
+  };
+
+  return {
+    read: async () => {
+      const value = await withStore("readonly", (store) => store.get(key));
+      return value === undefined ? null : value;
+    },
+    write: async (value) => {
+      await withStore("readwrite", (store) => store.put(value, key));
+    },
+  };
+};
@@ -0,0 +1,52 @@
+/** @type {string} Default key the todo list is saved under */
+export const DEFAULT_STORAGE_KEY = "todo-list-copilot";
+
+/**
+ * Gets `window.localStorage` where it can be used. Browsers that block
+ * storage (sandboxed iframes, cookies disabled) throw on reading it.
+ *
+ * @returns {Storage|undefined} The Storage object, or undefined if there is none or it is blocked
+ */
+export const getLocalStorage = () => {
+  try {
+    return globalThis.localStorage;
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * Creates an adapter backed by `window.localStorage`.
+ * Values are stored as JSON strings under a single key. Other tabs writing
+ * that key are reported through `storage` events.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.key] - The localStorage key to use
+ * @param {Storage} [options.storage] - The Storage object to use (defaults to window.localStorage)
+ * @param {EventTarget} [options.window] - Where `storage` events are dispatched (defaults to window)
+ * @returns {{read: function(): Promise<*>, write: function(*): Promise<void>, subscribe: function(function(): void): function(): void}}
+ *   The adapter
+ */
+export const createLocalStorageAdapter = ({
+  key = DEFAULT_STORAGE_KEY,
+  storage = globalThis.localStorage,
+  window = globalThis,
+} = {}) => ({
+  read: async () => {
+    const raw = storage.getItem(key);
+    return raw === null ? null : JSON.parse(raw);
+  },
+  write: async (value) => {
+    storage.setItem(key, JSON.stringify(value));
+  },
+  subscribe: (listener) => {
+    const handleStorage = (event) => {
+      // A null key means another tab cleared the whole storage
+      if (event.storageArea === storage && (event.key === key || event.key === null)) {
+        listener();
+      }
+    };
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  },
+});
@@ -0,0 +1,18 @@
+/**
+ * Creates an adapter that keeps saved data in memory only.
+ * Used in tests and anywhere persistence is not wanted.
+ *
+ * @param {*} [initialValue=null] - Value to start with, as if previously saved
+ * @returns {{read: function(): Promise<*>, write: function(*): Promise<void>}} The adapter
+ */
+export const createMemoryAdapter = (initialValue = null) => {
+  // Stored as JSON so callers can't mutate saved data through shared references
+  let value = initialValue === null ? null : JSON.stringify(initialValue);
+
+  return {
+    read: async () => (value === null ? null : JSON.parse(value)),
+    write: async (next) => {
+      value = JSON.stringify(next);
+    },
+  };
+};
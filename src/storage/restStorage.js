@@ -0,0 +1,125 @@
+import { CURRENT_SCHEMA_VERSION, deserializeTodos } from "./schema";
+
+/**
+ * Error raised when the sync endpoint answers a request with an error status.
+ */
+export class SyncError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "SyncError";
+    this.status = status;
+  }
+}
+
+/**
+ * Checks whether two todos would be sent to the server the same way.
+ *
+ * @param {Object|undefined} a - A todo, or undefined if it doesn't exist
+ * @param {Object} b - Another todo
+ * @returns {boolean} True if nothing needs to be sent
+ */
+const isSameTodo = (a, b) => a === b || (a !== undefined && JSON.stringify(a) === JSON.stringify(b));
+
+/**
+ * Creates a todo storage that syncs with a REST endpoint, one request per
+ * todo:
+ * - `GET {url}` lists the todos (an array, or `{ todos }`)
+ * - `POST {url}` creates a todo, sent with its client-made `id`
+ * - `PUT {url}/{id}` replaces a todo
+ * - `DELETE {url}/{id}` deletes a todo
+ *
+ * Each save is compared with what the server last confirmed, so only the
+ * todos that changed are sent. Saves run one after another; a save rejects if
+ * any of its requests failed, leaving the rest of the server's copy as it was.
+ * Named lists aren't synced: only each todo's `listId` is.
+ *
+ * @param {Object} options
+ * @param {string} options.url - URL of the todo collection
+ * @param {function(string, Object): Promise<Response>} [options.fetch] - The fetch to use
+ *   (defaults to the global one), e.g. to inject a mock in tests
+ * @param {Object<string, string>} [options.headers] - Extra headers for every request, e.g. `Authorization`
+ * @returns {{load: function(): Promise<Array>, save: function(Array): Promise<void>}} The todo storage
+ */
+export const createRestStorage = ({ url, fetch = globalThis.fetch, headers = {} }) => {
+  const collectionUrl = url.replace(/\/+$/, "");
+
+  /** @type {Map<string, Object>} Todos as the server last confirmed them, by ID */
+  const synced = new Map();
+
+  /** @type {Promise<void>} The save in progress; the next one waits for it */
+  let queue = Promise.resolve();
+
+  /**
+   * Sends one request and checks its status.
+   *
+   * @param {string} method - The HTTP method
+   * @param {string} requestUrl - The URL
+   * @param {Object} [body] - A todo to send as JSON
+   * @returns {Promise<Response>} The response
+   */
+  const request = async (method, requestUrl, body) => {
+    const response = await fetch(requestUrl, {
+      method,
+      headers: {
+        Accept: "application/json",
+        ...(body && { "Content-Type": "application/json" }),
+        ...headers,
+      },
+      ...(body && { body: JSON.stringify(body) }),
+    });
+    if (!response.ok) {
+      throw new SyncError(`${method} ${requestUrl} failed with status ${response.status}`, response.status);
+    }
+    return response;
+  };
+
+  /**
+   * @param {string} id - A todo ID
+   * @returns {string} The URL of that todo
+   */
+  const todoUrl = (id) => `${collectionUrl}/${encodeURIComponent(id)}`;
+
+  /**
+   * Sends the requests that bring the server's copy in line with `todos`.
+   * Every request is waited for, so `synced` matches the server even after a failure.
+   *
+   * @param {Array<Object>} todos - The todos to save
+   */
+  const push = async (todos) => {
+    const ids = new Set(todos.map((todo) => todo.id));
+    const removals = [...synced.keys()]
+      .filter((id) => !ids.has(id))
+      .map(async (id) => {
+        await request("DELETE", todoUrl(id));
+        synced.delete(id);
+      });
+    const writes = todos
+      .filter((todo) => !isSameTodo(synced.get(todo.id), todo))
+      .map(async (todo) => {
+        await (synced.has(todo.id) ? request("PUT", todoUrl(todo.id), todo) : request("POST", collectionUrl, todo));
+        synced.set(todo.id, todo);
+      });
+    const failure = (await Promise.allSettled([...removals, ...writes])).find(
+      (result) => result.status === "rejected"
+    );
+    if (failure) throw failure.reason;
+  };
+
+  return {
+    load: async () => {
+      const body = await (await request("GET", collectionUrl)).json();
+      const todos = deserializeTodos({
+        version: CURRENT_SCHEMA_VERSION,
+        todos: Array.isArray(body) ? body : body?.todos,
+      });
+      synced.clear();
+      todos.forEach((todo) => synced.set(todo.id, todo));
+      return todos;
+    },
+    save: (todos) => {
+      const result = queue.then(() => push(todos));
+      queue = result.catch(() => {});
+      return result;
+    },
+  };
+};
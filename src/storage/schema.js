@@ -0,0 +1,162 @@
+import { createTodoId } from "../createTodoId";
+import { isValidDueDate } from "../dueDates";
+import { isValidPriority } from "../priorities";
+import { isValidTag, uniqueTags } from "../tags";
+import { isValidList } from "../lists";
+import { isValidRecurrence } from "../recurrence";
+
+/**
+ * Versioned persistence format for the todo list.
+ *
+ * Saved data is always wrapped in an envelope of the form
+ * `{ version: number, todos: Array, lists?: Array }` so that the shape of a
+ * todo can evolve without older saves being misread. Each entry in
+ * `migrations` upgrades an envelope from `version` to `version + 1`.
+ */
+
+/** @type {number} The schema version written by this build */
+export const CURRENT_SCHEMA_VERSION = 2;
+
+/**
+ * Error raised when saved data cannot be safely read by this build, e.g. it
+ * was written by a newer version of the app.
+ */
+export class StorageSchemaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "StorageSchemaError";
+  }
+}
+
+/**
+ * Migrations keyed by the version they upgrade from.
+ * Version 0 is the legacy format: a bare array of `{text, completed}` records.
+ * Version 1 added the envelope; version 2 gives every todo a stable `id`.
+ * Optional fields added since (e.g. `dueDate`, `priority`, `tags`, `subtasks`, `listId`, `recurrence`) don't need a
+ * migration: older saves simply lack them and {@link normalizeTodo} drops malformed values. Saves
+ * without `lists` hold only the default list (see ../lists).
+ *
+ * @type {Object<number, function(Object): Object>}
+ */
+const migrations = {
+  0: (envelope) => ({ version: 1, todos: envelope.todos }),
+  1: (envelope) => ({
+    version: 2,
+    todos: envelope.todos.map((todo) => (todo ? { ...todo, id: createTodoId() } : todo)),
+  }),
+};
+
+/**
+ * Normalizes a stored subtask, dropping anything without text.
+ *
+ * @param {*} record - A subtask record read from storage
+ * @returns {{id: string, text: string, completed: boolean} | null} The subtask, or null if unusable
+ */
+const normalizeSubtask = (record) => {
+  if (!record || typeof record.text !== "string" || record.text.trim() === "") {
+    return null;
+  }
+  const id = typeof record.id === "string" && record.id !== "" ? record.id : createTodoId();
+  return { id, text: record.text, completed: Boolean(record.completed) };
+};
+
+/**
+ * Normalizes a single stored record, dropping anything that is not a todo.
+ *
+ * @param {*} record - A record read from storage
+ * @returns {{id: string, text: string, completed: boolean} | null} The todo, or null if the record is unusable
+ */
+const normalizeTodo = (record) => {
+  if (!record || typeof record.text !== "string" || record.text.trim() === "") {
+    return null;
+  }
+  const id = typeof record.id === "string" && record.id !== "" ? record.id : createTodoId();
+  const todo = { ...record, id, completed: Boolean(record.completed) };
+  if ("dueDate" in todo && !isValidDueDate(todo.dueDate)) {
+    delete todo.dueDate;
+  }
+  if ("priority" in todo && !isValidPriority(todo.priority)) {
+    delete todo.priority;
+  }
+  if ("tags" in todo) {
+    todo.tags = Array.isArray(todo.tags) ? uniqueTags(todo.tags.filter(isValidTag)) : [];
+  }
+  if ("listId" in todo && (typeof todo.listId !== "string" || todo.listId === "")) {
+    delete todo.listId;
+  }
+  if ("subtasks" in todo) {
+    todo.subtasks = Array.isArray(todo.subtasks) ? todo.subtasks.map(normalizeSubtask).filter(Boolean) : [];
+  }
+  if ("recurrence" in todo && !isValidRecurrence(todo.recurrence)) {
+    delete todo.recurrence;
+  }
+  if ("seriesId" in todo && (typeof todo.seriesId !== "string" || todo.seriesId === "")) {
+    delete todo.seriesId;
+  }
+  return todo;
+};
+
+/**
+ * Wraps a todo list in a versioned envelope ready to be written to storage.
+ *
+ * @param {Array<{id: string, text: string, completed: boolean}>} todos - The todos to save
+ * @param {Array<{id: string, name: string}>} [lists] - The named lists, if any
+ * @returns {{version: number, todos: Array, lists?: Array}} The envelope
+ */
+export const serializeTodos = (todos, lists) => ({
+  version: CURRENT_SCHEMA_VERSION,
+  todos,
+  ...(lists && { lists }),
+});
+
+/**
+ * Reads the named lists out of a stored value.
+ * Malformed or repeated lists are dropped; the todos are not checked here.
+ *
+ * @param {*} data - The raw value read from storage
+ * @returns {Array<{id: string, name: string}>} The stored lists, or an empty array if none were saved
+ */
+export const deserializeLists = (data) => {
+  if (!data || Array.isArray(data) || !Array.isArray(data.lists)) {
+    return [];
+  }
+  const seen = new Set();
+  return data.lists.filter(isValidList).flatMap(({ id, name }) => {
+    if (seen.has(id)) return [];
+    seen.add(id);
+    return [{ id, name: name.trim() }];
+  });
+};
+
+/**
+ * Reads a stored value back into a todo list, upgrading older schema versions.
+ *
+ * @param {*} data - The raw value read from storage (envelope, legacy array or nothing)
+ * @returns {Array<{id: string, text: string, completed: boolean}>} The stored todos
+ * @throws {StorageSchemaError} If the data is malformed or newer than this build understands
+ */
+export const deserializeTodos = (data) => {
+  if (data === null || data === undefined) {
+    return [];
+  }
+
+  let envelope = Array.isArray(data) ? { version: 0, todos: data } : data;
+  if (typeof envelope.version !== "number" || !Array.isArray(envelope.todos)) {
+    throw new StorageSchemaError("Saved todos are not in a recognized format");
+  }
+  if (envelope.version > CURRENT_SCHEMA_VERSION) {
+    throw new StorageSchemaError(
+      `Saved todos use schema version ${envelope.version}, but only version ${CURRENT_SCHEMA_VERSION} is supported`
+    );
+  }
+
+  while (envelope.version < CURRENT_SCHEMA_VERSION) {
+    const migrate = migrations[envelope.version];
+    if (!migrate) {
+      throw new StorageSchemaError(`No migration from schema version ${envelope.version}`);
+    }
+    envelope = migrate(envelope);
+  }
+
+  return envelope.todos.map(normalizeTodo).filter(Boolean);
+};
@@ -0,0 +1,356 @@
+import {
+  CURRENT_SCHEMA_VERSION,
+  StorageSchemaError,
+  serializeTodos,
+  deserializeTodos,
+  deserializeLists,
+  createLocalStorageAdapter,
+  createIndexedDBAdapter,
+  createMemoryAdapter,
+  createTodoStorage,
+  createDefaultStorage,
+  createRestStorage,
+  SyncError,
+} from './index';
+
+/**
+ * Fake REST server behind an injected fetch, keeping todos by ID.
+ * Set `failing` to make every request answer 500.
+ */
+const createFakeServer = (todos = []) => {
+  const server = { todos: new Map(todos.map((todo) => [todo.id, todo])), requests: [], failing: false };
+  server.fetch = jest.fn(async (url, { method, body }) => {
+    server.requests.push(`${method} ${url}`);
+    if (server.failing) return { ok: false, status: 500 };
+    const id = decodeURIComponent(url.split('/todos/')[1] ?? '');
+    if (method === 'GET') return { ok: true, status: 200, json: async () => [...server.todos.values()] };
+    if (method === 'DELETE') server.todos.delete(id);
+    else server.todos.set(JSON.parse(body).id, JSON.parse(body));
+    return { ok: true, status: method === 'POST' ? 201 : 204 };
+  });
+  return server;
+};
+
+/**
+ * Fake IDBFactory keeping databases in memory. Requests succeed on a later
+ * task, like real ones; `onupgradeneeded` fires when a database is first opened.
+ */
+const createFakeIndexedDB = () => {
+  const databases = new Map();
+  const respond = (request, getResult) => {
+    setTimeout(() => {
+      request.result = getResult();
+      request.onsuccess?.();
+    });
+    return request;
+  };
+  const createDatabase = (stores) => ({
+    createObjectStore: (name) => stores.set(name, new Map()),
+    transaction: (name) => ({
+      objectStore: () => {
+        const store = stores.get(name);
+        return {
+          get: (key) => respond({}, () => store.get(key)),
+          put: (value, key) => respond({}, () => store.set(key, JSON.parse(JSON.stringify(value))) && key),
+        };
+      },
+    }),
+  });
+  return {
+    upgrades: 0,
+    open: jest.fn(function (name) {
+      const request = {};
+      setTimeout(() => {
+        const isNew = !databases.has(name);
+        if (isNew) databases.set(name, new Map());
+        request.result = createDatabase(databases.get(name));
+        if (isNew) {
+          this.upgrades++;
+          request.onupgradeneeded?.();
+        }
+        request.onsuccess?.();
+      });
+      return request;
+    }),
+  };
+};
+
+describe('todo storage schema', () => {
+  test('wraps todos in a versioned envelope', () => {
+    const todos = [{ text: 'Write tests', completed: false }];
+    expect(serializeTodos(todos)).toEqual({ version: CURRENT_SCHEMA_VERSION, todos });
+  });
+
+  test('round-trips serialized todos', () => {
+    const todos = [{ id: 'a', text: 'Write tests', completed: true }];
+    expect(deserializeTodos(serializeTodos(todos))).toEqual(todos);
+  });
+
+  test('treats missing data as an empty list', () => {
+    expect(deserializeTodos(null)).toEqual([]);
+    expect(deserializeTodos(undefined)).toEqual([]);
+  });
+
+  test('migrates the legacy bare-array format', () => {
+    expect(deserializeTodos([{ text: 'Legacy', completed: 1 }])).toEqual([
+      expect.objectContaining({ text: 'Legacy', completed: true }),
+    ]);
+  });
+
+  test('drops records that are not todos', () => {
+    const envelope = { version: CURRENT_SCHEMA_VERSION, todos: [null, { text: '' }, { text: 'Kept' }] };
+    expect(deserializeTodos(envelope)).toEqual([expect.objectContaining({ text: 'Kept', completed: false })]);
+  });
+
+  test('rejects data from a newer schema version', () => {
+    expect(() => deserializeTodos({ version: CURRENT_SCHEMA_VERSION + 1, todos: [] }))
+      .toThrow(StorageSchemaError);
+  });
+
+  test('rejects unrecognized data', () => {
+    expect(() => deserializeTodos({ items: [] })).toThrow(StorageSchemaError);
+  });
+});
+
+describe('storage adapters', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('memory adapter does not share references with callers', async () => {
+    const adapter = createMemoryAdapter();
+    const value = { version: 1, todos: [] };
+    await adapter.write(value);
+    value.todos.push({ text: 'Mutated' });
+
+    expect(await adapter.read()).toEqual({ version: 1, todos: [] });
+  });
+
+  test('localStorage adapter stores JSON under its key', async () => {
+    const adapter = createLocalStorageAdapter({ key: 'test-todos' });
+    expect(await adapter.read()).toBeNull();
+
+    await adapter.write({ version: 1, todos: [] });
+    expect(JSON.parse(localStorage.getItem('test-todos'))).toEqual({ version: 1, todos: [] });
+    expect(await adapter.read()).toEqual({ version: 1, todos: [] });
+  });
+
+  test('localStorage adapter reports writes to its key from other tabs', () => {
+    const adapter = createLocalStorageAdapter({ key: 'test-todos' });
+    const listener = jest.fn();
+    const unsubscribe = adapter.subscribe(listener);
+
+    window.dispatchEvent(new StorageEvent('storage', { key: 'other-key', storageArea: localStorage }));
+    expect(listener).not.toHaveBeenCalled();
+    window.dispatchEvent(new StorageEvent('storage', { key: 'test-todos', storageArea: localStorage }));
+    window.dispatchEvent(new StorageEvent('storage', { key: null, storageArea: localStorage }));
+    expect(listener).toHaveBeenCalledTimes(2);
+
+    unsubscribe();
+    window.dispatchEvent(new StorageEvent('storage', { key: 'test-todos', storageArea: localStorage }));
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  test('IndexedDB adapter creates its store on first open and reads back what it wrote', async () => {
+    const indexedDB = createFakeIndexedDB();
+    const adapter = createIndexedDBAdapter({ indexedDB, key: 'test-todos' });
+    expect(await adapter.read()).toBeNull();
+    expect(indexedDB.upgrades).toBe(1);
+
+    await adapter.write({ version: 1, todos: [{ text: 'Saved' }] });
+    expect(await adapter.read()).toEqual({ version: 1, todos: [{ text: 'Saved' }] });
+    expect(indexedDB.open).toHaveBeenCalledTimes(1);
+  });
+
+  test('IndexedDB adapter finds data saved in an earlier session', async () => {
+    const indexedDB = createFakeIndexedDB();
+    await createIndexedDBAdapter({ indexedDB }).write({ version: 1, todos: [] });
+
+    expect(await createIndexedDBAdapter({ indexedDB }).read()).toEqual({ version: 1, todos: [] });
+    expect(await createIndexedDBAdapter({ indexedDB, key: 'other' }).read()).toBeNull();
+    expect(indexedDB.upgrades).toBe(1);
+  });
+
+  test('default storage falls back to memory when localStorage is blocked', async () => {
+    const blocked = jest.spyOn(window, 'localStorage', 'get').mockImplementation(() => {
+      throw new DOMException('The operation is insecure.', 'SecurityError');
+    });
+    try {
+      const storage = createDefaultStorage();
+      await storage.save([{ id: 'a', text: 'Kept in memory', completed: false }]);
+      expect(await storage.load()).toEqual([{ id: 'a', text: 'Kept in memory', completed: false }]);
+    } finally {
+      blocked.mockRestore();
+    }
+  });
+
+  test('todo storage subscribes only when its adapter can', () => {
+    expect(createTodoStorage(createLocalStorageAdapter()).subscribe).toEqual(expect.any(Function));
+    expect(createTodoStorage(createMemoryAdapter()).subscribe).toBeUndefined();
+  });
+
+  test('todo storage loads what it saved', async () => {
+    const storage = createTodoStorage(createLocalStorageAdapter({ key: 'test-todos' }));
+    const todos = [{ id: 'a', text: 'Saved', completed: false }];
+    await storage.save(todos);
+
+    expect(await storage.load()).toEqual(todos);
+  });
+});
+
+describe('todo IDs', () => {
+  test('migrates version 1 saves by giving every todo an id', () => {
+    const todos = deserializeTodos({ version: 1, todos: [{ text: 'A' }, { text: 'B' }] });
+    expect(todos.every((todo) => typeof todo.id === 'string' && todo.id !== '')).toBe(true);
+    expect(new Set(todos.map((todo) => todo.id)).size).toBe(2);
+  });
+
+  test('keeps existing ids', () => {
+    const envelope = serializeTodos([{ id: 'abc', text: 'Kept', completed: false }]);
+    expect(deserializeTodos(envelope)).toEqual([{ id: 'abc', text: 'Kept', completed: false }]);
+  });
+});
+
+describe('due dates', () => {
+  test('keeps valid due dates and drops malformed ones', () => {
+    const envelope = serializeTodos([
+      { id: 'a', text: 'Dated', completed: false, dueDate: '2026-10-20' },
+      { id: 'b', text: 'Broken', completed: false, dueDate: 'next tuesday' },
+    ]);
+    const [dated, broken] = deserializeTodos(envelope);
+    expect(dated.dueDate).toBe('2026-10-20');
+    expect(broken).not.toHaveProperty('dueDate');
+  });
+});
+
+describe('priorities', () => {
+  test('keeps valid priorities and drops unknown ones', () => {
+    const [kept, dropped] = deserializeTodos(serializeTodos([
+      { id: 'a', text: 'Kept', completed: false, priority: 'high' },
+      { id: 'b', text: 'Dropped', completed: false, priority: 'urgent' },
+    ]));
+    expect(kept.priority).toBe('high');
+    expect(dropped).not.toHaveProperty('priority');
+  });
+});
+
+describe('tags', () => {
+  test('keeps valid tags and drops malformed ones', () => {
+    const [todo] = deserializeTodos(serializeTodos([
+      { id: 'a', text: 'Tagged', completed: false, tags: ['api', 'api', 'Not Valid', 3] },
+    ]));
+    expect(todo.tags).toEqual(['api']);
+  });
+});
+
+describe('subtasks', () => {
+  test('keeps valid subtasks and drops malformed ones', () => {
+    const [todo] = deserializeTodos(serializeTodos([
+      {
+        id: 'a',
+        text: 'Parent',
+        completed: false,
+        subtasks: [{ id: 's1', text: 'Step', completed: 1 }, { text: '' }, null, { text: 'No id' }],
+      },
+    ]));
+    expect(todo.subtasks).toEqual([
+      { id: 's1', text: 'Step', completed: true },
+      { id: expect.any(String), text: 'No id', completed: false },
+    ]);
+  });
+
+  test('replaces a non-array checklist with an empty one', () => {
+    const [todo] = deserializeTodos(serializeTodos([{ id: 'a', text: 'Parent', completed: false, subtasks: 'x' }]));
+    expect(todo.subtasks).toEqual([]);
+  });
+});
+
+describe('recurrence', () => {
+  test('keeps valid rules and series and drops malformed ones', () => {
+    const [kept, dropped] = deserializeTodos(serializeTodos([
+      { id: 'a', text: 'Kept', completed: false, recurrence: { frequency: 'weekly', days: [1] }, seriesId: 'x' },
+      { id: 'b', text: 'Dropped', completed: false, recurrence: { frequency: 'hourly' }, seriesId: 7 },
+    ]));
+    expect(kept).toMatchObject({ recurrence: { frequency: 'weekly', days: [1] }, seriesId: 'x' });
+    expect(dropped).not.toHaveProperty('recurrence');
+    expect(dropped).not.toHaveProperty('seriesId');
+  });
+});
+
+describe('lists', () => {
+  const lists = [{ id: 'sprint', name: 'Sprint' }, { id: 'bugs', name: 'Bugs' }];
+
+  test('saves lists alongside todos and reads them back', async () => {
+    const storage = createTodoStorage(createMemoryAdapter());
+    await storage.save([{ id: 'a', text: 'Fix login', completed: false, listId: 'bugs' }], lists);
+
+    expect(await storage.loadLists()).toEqual(lists);
+    expect(await storage.load()).toEqual([{ id: 'a', text: 'Fix login', completed: false, listId: 'bugs' }]);
+  });
+
+  test('reads older saves as having no named lists', () => {
+    expect(deserializeLists(null)).toEqual([]);
+    expect(deserializeLists([{ text: 'Legacy', completed: false }])).toEqual([]);
+    expect(deserializeLists(serializeTodos([]))).toEqual([]);
+  });
+
+  test('drops malformed and repeated lists', () => {
+    const envelope = serializeTodos([], [...lists, { id: 'sprint', name: 'Again' }, { id: 'x' }, null]);
+    expect(deserializeLists(envelope)).toEqual(lists);
+  });
+
+  test('drops a malformed listId', () => {
+    const [todo] = deserializeTodos(serializeTodos([{ id: 'a', text: 'Task', completed: false, listId: 3 }]));
+    expect(todo).not.toHaveProperty('listId');
+  });
+});
+
+describe('REST storage', () => {
+  const todo = (id, text, completed = false) => ({ id, text, completed });
+
+  test('lists todos from the endpoint', async () => {
+    const server = createFakeServer([todo('a', 'Shared')]);
+    const storage = createRestStorage({ url: 'https://api.test/todos/', fetch: server.fetch });
+
+    expect(await storage.load()).toEqual([todo('a', 'Shared')]);
+    expect(server.requests).toEqual(['GET https://api.test/todos']);
+  });
+
+  test('sends only the todos that changed', async () => {
+    const server = createFakeServer([todo('a', 'Keep'), todo('b', 'Change'), todo('c', 'Remove')]);
+    const storage = createRestStorage({ url: 'https://api.test/todos', fetch: server.fetch, headers: { Authorization: 'Bearer x' } });
+    const [a, b] = await storage.load();
+    server.requests.length = 0;
+
+    await storage.save([a, { ...b, completed: true }, todo('d', 'New')]);
+    expect(server.requests.sort()).toEqual([
+      'DELETE https://api.test/todos/c',
+      'POST https://api.test/todos',
+      'PUT https://api.test/todos/b',
+    ]);
+    expect(server.fetch.mock.calls[0][1].headers).toEqual(expect.objectContaining({ Authorization: 'Bearer x' }));
+    expect([...server.todos.values()]).toEqual([a, { ...b, completed: true }, todo('d', 'New')]);
+  });
+
+  test('rejects a failed save and resends the change on the next one', async () => {
+    const server = createFakeServer();
+    const storage = createRestStorage({ url: 'https://api.test/todos', fetch: server.fetch });
+    await storage.load();
+
+    server.failing = true;
+    await expect(storage.save([todo('a', 'Offline')])).rejects.toThrow(SyncError);
+
+    server.failing = false;
+    server.requests.length = 0;
+    await storage.save([todo('a', 'Offline')]);
+    expect(server.requests).toEqual(['POST https://api.test/todos']);
+  });
+
+  test('rejects a load the server refuses', async () => {
+    const server = createFakeServer();
+    server.failing = true;
+    const storage = createRestStorage({ url: 'https://api.test/todos', fetch: server.fetch });
+
+    await expect(storage.load()).rejects.toMatchObject({ name: 'SyncError', status: 500 });
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Service worker for the offline app. It is not bundled with the app: the
+ * build emits it as /sw.js with `self.__PRECACHE_MANIFEST` replaced by the
+ * build's version and file list (see vite.config.js).
+ *
+ * Every built file is cached on install, and requests are answered from the
+ * cache first, so the app loads and works with no network. A new build
+ * installs alongside the old one and waits until the page asks it to take
+ * over (see ./useServiceWorkerUpdate), so open tabs never mix files of two builds.
+ */
+
+/** @type {{version: string, urls: Array<string>}} The build's version and files, relative to this script */
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST;
+
+/** @type {string} Cache holding this build's files; older builds' caches are deleted on activate */
+const CACHE_NAME = `todo-list-copilot-${PRECACHE_MANIFEST.version}`;
+
+/** @type {string} The page served for navigations, so any URL of the app opens offline */
+const APP_SHELL_URL = "index.html";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE_MANIFEST.urls)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) => Promise.all(names.filter((name) => name !== CACHE_NAME).map((name) => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+  event.respondWith(
+    caches.open(CACHE_NAME).then(async (cache) => {
+      const cached = await cache.match(request.mode === "navigate" ? APP_SHELL_URL : request, { ignoreSearch: true });
+      return cached ?? fetch(request);
+    })
+  );
+});
@@ -0,0 +1,79 @@
+/**
+ * Tag helpers. Tags are written inline as `#name` in todo text; they are
+ * stored separately from the text, lower-cased and without the `#`.
+ */
+
+/** @type {RegExp} Matches an inline `#tag` at the start of the text or after whitespace */
+const INLINE_TAG_PATTERN = /(^|\s)#([\p{L}\p{N}_-]+)(?=\s|$)/gu;
+
+/** @type {RegExp} Matches a valid tag name */
+const TAG_NAME_PATTERN = /^[\p{L}\p{N}_-]+$/u;
+
+/**
+ * Normalizes a tag name: strips a leading `#` and lower-cases it.
+ *
+ * @param {string} tag - The tag, with or without `#`
+ * @returns {string} The normalized tag name
+ */
+export const normalizeTag = (tag) => tag.trim().replace(/^#/, "").toLowerCase();
+
+/**
+ * Checks whether a value is a valid, normalized tag name.
+ *
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value can be stored as a tag
+ */
+export const isValidTag = (value) =>
+  typeof value === "string" && TAG_NAME_PATTERN.test(value) && value === value.toLowerCase();
+
+/**
+ * Removes duplicate tags, keeping the first occurrence.
+ *
+ * @param {Array<string>} tags - Normalized tag names
+ * @returns {Array<string>} The unique tags
+ */
+export const uniqueTags = (tags) => [...new Set(tags)];
+
+/**
+ * Splits inline `#tags` out of todo text.
+ *
+ * @param {string} text - Text as typed, e.g. "Fix login #frontend #bug"
+ * @returns {{text: string, tags: Array<string>}} The text without tags (whitespace
+ *   collapsed where tags were removed) and the normalized tags
+ */
+export const extractTags = (text) => {
+  const tags = [];
+  const stripped = text.replace(INLINE_TAG_PATTERN, (match, space, tag) => {
+    tags.push(normalizeTag(tag));
+    return space;
+  });
+  return { text: stripped.replace(/\s{2,}/g, " ").trim(), tags: uniqueTags(tags) };
+};
+
+/**
+ * Joins todo text and tags back into the inline form, e.g. for editing.
+ *
+ * @param {{text: string, tags?: Array<string>}} todo - The todo
+ * @returns {string} The text followed by its `#tags`
+ */
+export const formatWithTags = (todo) =>
+  [todo.text, ...(todo.tags ?? []).map((tag) => `#${tag}`)].join(" ");
+
+/**
+ * Collects every tag used in a list, sorted alphabetically.
+ *
+ * @param {Array<{tags?: Array<string>}>} todos - The todos
+ * @returns {Array<string>} The distinct tags
+ */
+export const collectTags = (todos) =>
+  uniqueTags(todos.flatMap((todo) => todo.tags ?? [])).sort((a, b) => a.localeCompare(b));
+
+/**
+ * Checks whether a todo carries every one of the given tags.
+ *
+ * @param {{tags?: Array<string>}} todo - The todo
+ * @param {Array<string>} tags - The tags to require; an empty list matches everything
+ * @returns {boolean} True if the todo has all the tags
+ */
+export const hasAllTags = (todo, tags) =>
+  tags.every((tag) => (todo.tags ?? []).includes(tag));
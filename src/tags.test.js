@@ -0,0 +1,42 @@
+import { extractTags, formatWithTags, collectTags, hasAllTags, normalizeTag, isValidTag } from './tags';
+
+describe('tags', () => {
+  test('splits inline tags out of the text', () => {
+    expect(extractTags('Fix login #frontend #Bug')).toEqual({ text: 'Fix login', tags: ['frontend', 'bug'] });
+    expect(extractTags('#urgent call the bank')).toEqual({ text: 'call the bank', tags: ['urgent'] });
+    expect(extractTags('Review #api docs')).toEqual({ text: 'Review docs', tags: ['api'] });
+  });
+
+  test('supports non-Latin tag names and de-duplicates tags', () => {
+    expect(extractTags('Café #équipe #ÉQUIPE')).toEqual({ text: 'Café', tags: ['équipe'] });
+  });
+
+  test('leaves a # that is not a tag alone', () => {
+    expect(extractTags('Room #')).toEqual({ text: 'Room #', tags: [] });
+    expect(extractTags('Issue a#b')).toEqual({ text: 'Issue a#b', tags: [] });
+  });
+
+  test('joins text and tags for editing', () => {
+    expect(formatWithTags({ text: 'Fix login', tags: ['frontend', 'bug'] })).toBe('Fix login #frontend #bug');
+    expect(formatWithTags({ text: 'Untagged' })).toBe('Untagged');
+  });
+
+  test('collects distinct tags in alphabetical order', () => {
+    expect(collectTags([{ tags: ['ui', 'api'] }, {}, { tags: ['api'] }])).toEqual(['api', 'ui']);
+  });
+
+  test('matches todos that carry every selected tag', () => {
+    const todo = { tags: ['api', 'bug'] };
+    expect(hasAllTags(todo, [])).toBe(true);
+    expect(hasAllTags(todo, ['api', 'bug'])).toBe(true);
+    expect(hasAllTags(todo, ['api', 'ui'])).toBe(false);
+    expect(hasAllTags({}, ['api'])).toBe(false);
+  });
+
+  test('normalizes and validates tag names', () => {
+    expect(normalizeTag(' #Frontend ')).toBe('frontend');
+    expect(isValidTag('frontend')).toBe(true);
+    expect(isValidTag('Frontend')).toBe(false);
+    expect(isValidTag('has space')).toBe(false);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Color themes for the todo list. The colors themselves are CSS custom
+ * properties in ./themes.css; this module names the choices and resolves
+ * "system" to the theme the operating system asks for.
+ */
+
+/** Theme choices; every one but SYSTEM is a theme in ./themes.css */
+export const THEMES = Object.freeze({
+  SYSTEM: "system",
+  LIGHT: "light",
+  DARK: "dark",
+  HIGH_CONTRAST: "high-contrast",
+});
+
+/** @type {Object<string, string>} Display labels for each choice */
+export const THEME_LABELS = Object.freeze({
+  [THEMES.SYSTEM]: "System theme",
+  [THEMES.LIGHT]: "Light",
+  [THEMES.DARK]: "Dark",
+  [THEMES.HIGH_CONTRAST]: "High contrast",
+});
+
+/** @type {string} Media query for an operating system set to dark mode */
+export const DARK_SCHEME_QUERY = "(prefers-color-scheme: dark)";
+
+/** @type {string} Media query for an operating system set to high contrast */
+export const MORE_CONTRAST_QUERY = "(prefers-contrast: more)";
+
+/**
+ * Checks whether a value is a known theme choice.
+ *
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value is one of {@link THEMES}
+ */
+export const isValidTheme = (value) => Object.values(THEMES).includes(value);
+
+/**
+ * Works out the theme to show for a choice.
+ *
+ * @param {string} theme - One of {@link THEMES}
+ * @param {{prefersDark: boolean, prefersMoreContrast: boolean}} system - The operating system's settings
+ * @returns {string} The theme to show; never SYSTEM
+ */
+export const resolveTheme = (theme, { prefersDark, prefersMoreContrast }) => {
+  if (theme !== THEMES.SYSTEM) return theme;
+  if (prefersMoreContrast) return THEMES.HIGH_CONTRAST;
+  return prefersDark ? THEMES.DARK : THEMES.LIGHT;
+};
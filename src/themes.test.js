@@ -0,0 +1,26 @@
+import { THEMES, isValidTheme, resolveTheme } from './themes';
+
+describe('isValidTheme', () => {
+  test('accepts the theme choices only', () => {
+    expect(Object.values(THEMES).every(isValidTheme)).toBe(true);
+    expect(isValidTheme('sepia')).toBe(false);
+    expect(isValidTheme(undefined)).toBe(false);
+  });
+});
+
+describe('resolveTheme', () => {
+  const light = { prefersDark: false, prefersMoreContrast: false };
+  const dark = { prefersDark: true, prefersMoreContrast: false };
+
+  test('keeps a theme the user or host picked', () => {
+    expect(resolveTheme('light', dark)).toBe('light');
+    expect(resolveTheme('dark', light)).toBe('dark');
+    expect(resolveTheme('high-contrast', light)).toBe('high-contrast');
+  });
+
+  test('follows the system setting for "system"', () => {
+    expect(resolveTheme('system', light)).toBe('light');
+    expect(resolveTheme('system', dark)).toBe('dark');
+    expect(resolveTheme('system', { prefersDark: true, prefersMoreContrast: true })).toBe('high-contrast');
+  });
+});
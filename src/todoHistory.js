@@ -0,0 +1,82 @@
+/**
+ * Bounded undo/redo history for any reducer.
+ *
+ * `withHistory` wraps a reducer so its state is kept as
+ * `{ past, present, future }`. Every action that changes `present` is
+ * recorded; actions that leave it untouched are not, so no-ops never create
+ * empty undo steps.
+ */
+
+/** Action type constants handled by {@link withHistory} */
+export const HistoryActionTypes = Object.freeze({
+  UNDO: "history/undo",
+  REDO: "history/redo",
+});
+
+/** @type {number} Maximum number of undo steps kept by default */
+export const DEFAULT_HISTORY_LIMIT = 50;
+
+/** Action creators for history actions */
+export const historyActions = {
+  undo: () => ({ type: HistoryActionTypes.UNDO }),
+  redo: () => ({ type: HistoryActionTypes.REDO }),
+};
+
+/**
+ * Creates a history state with no past or future.
+ *
+ * @param {*} present - The initial inner state
+ * @returns {{past: Array, present: *, future: Array}} The history state
+ */
+export const createHistoryState = (present) => ({ past: [], present, future: [] });
+
+/**
+ * Wraps a reducer with undo/redo history.
+ *
+ * @param {function(*, Object): *} reducer - The reducer to wrap
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum number of undo steps to keep
+ * @param {Array<string>} [options.resetOn] - Action types that clear the history instead of being recorded
+ * @param {Array<string>} [options.untracked] - Action types that change the present without being
+ *   recorded or clearing the history
+ * @returns {function({past: Array, present: *, future: Array}, Object): {past: Array, present: *, future: Array}}
+ *   The wrapped reducer
+ */
+export const withHistory = (reducer, { limit = DEFAULT_HISTORY_LIMIT, resetOn = [], untracked = [] } = {}) =>
+  (state, action) => {
+    const { past, present, future } = state;
+
+    switch (action.type) {
+      case HistoryActionTypes.UNDO:
+        if (past.length === 0) return state;
+        return {
+          past: past.slice(0, -1),
+          present: past[past.length - 1],
+          future: [present, ...future],
+        };
+
+      case HistoryActionTypes.REDO:
+        if (future.length === 0) return state;
+        return {
+          past: [...past, present],
+          present: future[0],
+          future: future.slice(1),
+        };
+
+      default: {
+        const next = reducer(present, action);
+        if (resetOn.includes(action.type)) {
+          return createHistoryState(next);
+        }
+        if (next === present) return state;
+        if (untracked.includes(action.type)) {
+          return { past, present: next, future };
+        }
+        return {
+          past: [...past, present].slice(-limit),
+          present: next,
+          future: [],
+        };
+      }
+    }
+  };
@@ -0,0 +1,79 @@
+import { withHistory, historyActions, createHistoryState } from './todoHistory';
+
+const counter = (state, action) => {
+  switch (action.type) {
+    case 'add':
+      return state + action.amount;
+    case 'reset':
+      return 0;
+    case 'set':
+      return action.value;
+    default:
+      return state;
+  }
+};
+const add = (amount) => ({ type: 'add', amount });
+
+describe('withHistory', () => {
+  const reducer = withHistory(counter, { limit: 3, resetOn: ['reset'], untracked: ['set'] });
+
+  test('records changes and undoes them in reverse order', () => {
+    let state = createHistoryState(0);
+    state = reducer(state, add(1));
+    state = reducer(state, add(2));
+    expect(state.present).toBe(3);
+
+    state = reducer(state, historyActions.undo());
+    expect(state.present).toBe(1);
+    state = reducer(state, historyActions.undo());
+    expect(state.present).toBe(0);
+  });
+
+  test('redoes undone changes', () => {
+    let state = reducer(createHistoryState(0), add(5));
+    state = reducer(state, historyActions.undo());
+    state = reducer(state, historyActions.redo());
+    expect(state.present).toBe(5);
+    expect(state.future).toEqual([]);
+  });
+
+  test('clears the redo stack on a new change', () => {
+    let state = reducer(createHistoryState(0), add(5));
+    state = reducer(state, historyActions.undo());
+    state = reducer(state, add(1));
+    expect(reducer(state, historyActions.redo())).toBe(state);
+  });
+
+  test('keeps at most `limit` undo steps', () => {
+    let state = createHistoryState(0);
+    [1, 1, 1, 1, 1].forEach((amount) => {
+      state = reducer(state, add(amount));
+    });
+    expect(state.past).toEqual([2, 3, 4]);
+  });
+
+  test('does not record actions that leave the state unchanged', () => {
+    const state = createHistoryState(0);
+    expect(reducer(state, add(0))).toBe(state);
+    expect(reducer(state, { type: 'unknown' })).toBe(state);
+  });
+
+  test('ignores undo and redo when there is nothing to apply', () => {
+    const state = createHistoryState(0);
+    expect(reducer(state, historyActions.undo())).toBe(state);
+    expect(reducer(state, historyActions.redo())).toBe(state);
+  });
+
+  test('clears history on reset actions', () => {
+    let state = reducer(createHistoryState(0), add(1));
+    state = reducer(state, { type: 'reset' });
+    expect(state).toEqual(createHistoryState(0));
+  });
+
+  test('changes the present without recording untracked actions', () => {
+    let state = reducer(createHistoryState(0), add(1));
+    state = reducer(state, historyActions.undo());
+    state = reducer(state, { type: 'set', value: 7 });
+    expect(state).toEqual({ past: [], present: 7, future: [1] });
+  });
+});
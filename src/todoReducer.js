@@ -0,0 +1,463 @@
+import { createTodoId } from "./createTodoId";
+import { DEFAULT_LIST, isInList } from "./lists";
+import { toISODate } from "./dueDates";
+import { anchorRecurrence, getNextDueDate } from "./recurrence";
+
+/**
+ * @typedef {Object} Subtask
+ * @property {string} id - Stable unique ID
+ * @property {string} text - The formatted subtask text
+ * @property {boolean} completed - Whether the subtask is done
+ */
+
+/**
+ * @typedef {Object} Todo
+ * @property {string} id - Stable unique ID
+ * @property {string} text - The formatted todo text
+ * @property {boolean} completed - Whether the todo is done
+ * @property {string|null} [dueDate] - Optional local due date, `YYYY-MM-DD`
+ * @property {string|null} [priority] - Optional priority: "high", "medium" or "low"
+ * @property {Array<string>} [tags] - Optional normalized tag names, without `#`
+ * @property {Array<Subtask>} [subtasks] - Optional ordered checklist
+ * @property {string} [listId] - The list it belongs to; the default list if missing (see ./lists)
+ * @property {import("./recurrence").Recurrence} [recurrence] - Optional rule; completing the todo creates its next occurrence
+ * @property {string} [seriesId] - Shared by every occurrence of a recurring todo once it has repeated
+ */
+
+/**
+ * @typedef {Object} OccurrenceFields
+ * @property {string} today - Today's `YYYY-MM-DD` date, for the next due date
+ * @property {Object<string, string>} nextIds - ID for the next occurrence of each todo the action may complete
+ */
+
+/**
+ * @typedef {Object} TodoState
+ * @property {Array<Todo>} todos - The todo items of every list, in display order
+ * @property {Array<import("./lists").TodoList>} lists - The named lists; never empty
+ */
+
+/**
+ * @typedef {{type: "todos/add", todo: Todo}
+ *   | {type: "todos/remove", id: string}
+ *   | {type: "todos/toggle", id: string} & OccurrenceFields
+ *   | {type: "todos/edit", id: string, changes: Partial<Todo>}
+ *   | {type: "todos/move", id: string, targetId: string, placement: "before"|"after"}
+ *   | {type: "todos/load", todos: Array<Todo>, lists?: Array<import("./lists").TodoList>}
+ *   | {type: "todos/sync", todos: Array<Todo>, lists?: Array<import("./lists").TodoList>}
+ *   | {type: "todos/batch-set-completed", ids: Array<string>, completed: boolean} & OccurrenceFields
+ *   | {type: "todos/batch-remove", ids: Array<string>}
+ *   | {type: "todos/import", todos: Array<Todo>, listId: string, replace: boolean}
+ *   | {type: "todos/move-to-list", id: string, listId: string}
+ *   | {type: "todos/list-add", list: import("./lists").TodoList}
+ *   | {type: "todos/list-rename", id: string, name: string}
+ *   | {type: "todos/list-remove", id: string}
+ *   | {type: "todos/subtask-add", id: string, subtask: Subtask}
+ *   | {type: "todos/subtask-edit", id: string, subtaskId: string, text: string}
+ *   | {type: "todos/subtask-toggle", id: string, subtaskId: string, autoComplete: boolean} & OccurrenceFields
+ *   | {type: "todos/subtask-remove", id: string, subtaskId: string}} TodoAction
+ */
+
+/** Action type constants for {@link todoReducer} */
+export const TodoActionTypes = Object.freeze({
+  ADD: "todos/add",
+  REMOVE: "todos/remove",
+  TOGGLE: "todos/toggle",
+  EDIT: "todos/edit",
+  MOVE: "todos/move",
+  LOAD: "todos/load",
+  SYNC: "todos/sync",
+  BATCH_SET_COMPLETED: "todos/batch-set-completed",
+  BATCH_REMOVE: "todos/batch-remove",
+  IMPORT: "todos/import",
+  MOVE_TO_LIST: "todos/move-to-list",
+  LIST_ADD: "todos/list-add",
+  LIST_RENAME: "todos/list-rename",
+  LIST_REMOVE: "todos/list-remove",
+  SUBTASK_ADD: "todos/subtask-add",
+  SUBTASK_EDIT: "todos/subtask-edit",
+  SUBTASK_TOGGLE: "todos/subtask-toggle",
+  SUBTASK_REMOVE: "todos/subtask-remove",
+});
+
+/**
+ * Builds the fields completing actions carry, so the reducer can create the
+ * next occurrence of a recurring todo without reading the clock or making IDs.
+ *
+ * @param {Array<string>} ids - IDs of the todos the action may complete
+ * @param {Date} today - The current date
+ * @returns {OccurrenceFields} The fields
+ */
+const occurrenceFields = (ids, today) => ({
+  today: toISODate(today),
+  nextIds: Object.fromEntries(ids.map((id) => [id, createTodoId()])),
+});
+
+/** @type {TodoState} */
+export const initialTodoState = { todos: [], lists: [DEFAULT_LIST] };
+
+/**
+ * Action creators. Text passed here is expected to be validated and
+ * formatted already (see ./todoValidation); the reducer does not re-check it.
+ */
+export const todoActions = {
+  /**
+   * @param {string} text - The formatted todo text
+   * @param {Partial<Todo>} [fields] - Other fields for the new todo, e.g. `completed` or `dueDate`
+   * @returns {TodoAction}
+   */
+  add: (text, fields = {}) => ({
+    type: TodoActionTypes.ADD,
+    todo: { id: createTodoId(), completed: false, ...fields, text },
+  }),
+  /**
+   * @param {string} id - The ID of the todo to remove
+   * @returns {TodoAction}
+   */
+  remove: (id) => ({ type: TodoActionTypes.REMOVE, id }),
+  /**
+   * @param {string} id - The ID of the todo to toggle
+   * @param {Date} [today=new Date()] - The current date, for a recurring todo's next due date
+   * @returns {TodoAction}
+   */
+  toggle: (id, today = new Date()) => ({ type: TodoActionTypes.TOGGLE, id, ...occurrenceFields([id], today) }),
+  /**
+   * @param {string} id - The ID of the todo to edit
+   * @param {Partial<Todo>} changes - The fields to change, e.g. `text` or `dueDate`
+   * @returns {TodoAction}
+   */
+  edit: (id, changes) => ({ type: TodoActionTypes.EDIT, id, changes }),
+  /**
+   * @param {string} id - The ID of the todo to move
+   * @param {string} targetId - The ID of the todo to move it next to
+   * @param {"before"|"after"} [placement="before"] - Which side of the target to place it
+   * @returns {TodoAction}
+   */
+  move: (id, targetId, placement = "before") => ({ type: TodoActionTypes.MOVE, id, targetId, placement }),
+  /**
+   * @param {Array<Todo>} todos - Todos to replace the list with (e.g. from storage)
+   * @param {Array<import("./lists").TodoList>} [lists] - Lists to replace the current ones with, if any
+   * @returns {TodoAction}
+   */
+  load: (todos, lists) => ({ type: TodoActionTypes.LOAD, todos, lists }),
+  /**
+   * @param {Array<Todo>} todos - Todos to replace the list with, as passed in by a controlling parent
+   * @param {Array<import("./lists").TodoList>} [lists] - Lists to replace the current ones with, if any
+   * @returns {TodoAction}
+   */
+  sync: (todos, lists) => ({ type: TodoActionTypes.SYNC, todos, ...(lists && { lists }) }),
+  /**
+   * @param {Array<string>} ids - The IDs of the todos to complete or reopen
+   * @param {boolean} completed - The completion status to set
+   * @param {Date} [today=new Date()] - The current date, for recurring todos' next due dates
+   * @returns {TodoAction}
+   */
+  setCompleted: (ids, completed, today = new Date()) => ({
+    type: TodoActionTypes.BATCH_SET_COMPLETED,
+    ids,
+    completed,
+    ...occurrenceFields(completed ? ids : [], today),
+  }),
+  /**
+   * @param {Array<string>} ids - The IDs of the todos to remove
+   * @returns {TodoAction}
+   */
+  removeMany: (ids) => ({ type: TodoActionTypes.BATCH_REMOVE, ids }),
+  /**
+   * @param {Array<Partial<Todo>>} todos - Validated todos to add, without IDs (see ./importExport)
+   * @param {string} listId - The list to import into
+   * @param {boolean} [replace=false] - Whether to remove the list's current todos first
+   * @returns {TodoAction}
+   */
+  importTodos: (todos, listId, replace = false) => ({
+    type: TodoActionTypes.IMPORT,
+    todos: todos.map((fields) => ({ completed: false, ...fields, id: createTodoId(), listId })),
+    listId,
+    replace,
+  }),
+  /**
+   * @param {string} id - The ID of the todo to move
+   * @param {string} listId - The ID of the list to move it to
+   * @returns {TodoAction}
+   */
+  moveToList: (id, listId) => ({ type: TodoActionTypes.MOVE_TO_LIST, id, listId }),
+  /**
+   * @param {string} name - The validated list name (see ./lists)
+   * @returns {TodoAction}
+   */
+  addList: (name) => ({ type: TodoActionTypes.LIST_ADD, list: { id: createTodoId(), name } }),
+  /**
+   * @param {string} id - The ID of the list to rename
+   * @param {string} name - The validated new name
+   * @returns {TodoAction}
+   */
+  renameList: (id, name) => ({ type: TodoActionTypes.LIST_RENAME, id, name }),
+  /**
+   * @param {string} id - The ID of the list to remove, along with its todos
+   * @returns {TodoAction}
+   */
+  removeList: (id) => ({ type: TodoActionTypes.LIST_REMOVE, id }),
+  /**
+   * @param {string} id - The ID of the parent todo
+   * @param {string} text - The formatted subtask text
+   * @returns {TodoAction}
+   */
+  addSubtask: (id, text) => ({
+    type: TodoActionTypes.SUBTASK_ADD,
+    id,
+    subtask: { id: createTodoId(), text, completed: false },
+  }),
+  /**
+   * @param {string} id - The ID of the parent todo
+   * @param {string} subtaskId - The ID of the subtask to edit
+   * @param {string} text - The new formatted text
+   * @returns {TodoAction}
+   */
+  editSubtask: (id, subtaskId, text) => ({ type: TodoActionTypes.SUBTASK_EDIT, id, subtaskId, text }),
+  /**
+   * @param {string} id - The ID of the parent todo
+   * @param {string} subtaskId - The ID of the subtask to toggle
+   * @param {boolean} [autoComplete=false] - Complete the parent once every subtask is done
+   * @param {Date} [today=new Date()] - The current date, for a recurring parent's next due date
+   * @returns {TodoAction}
+   */
+  toggleSubtask: (id, subtaskId, autoComplete = false, today = new Date()) => ({
+    type: TodoActionTypes.SUBTASK_TOGGLE,
+    id,
+    subtaskId,
+    autoComplete,
+    ...occurrenceFields(autoComplete ? [id] : [], today),
+  }),
+  /**
+   * @param {string} id - The ID of the parent todo
+   * @param {string} subtaskId - The ID of the subtask to remove
+   * @returns {TodoAction}
+   */
+  removeSubtask: (id, subtaskId) => ({ type: TodoActionTypes.SUBTASK_REMOVE, id, subtaskId }),
+};
+
+/**
+ * Turns a todo field into a comparable string; missing, null and empty
+ * array values all mean "not set".
+ *
+ * @param {*} value - The field value
+ * @returns {string} The comparable form
+ */
+const fieldKey = (value) => JSON.stringify(Array.isArray(value) && value.length === 0 ? null : value ?? null);
+
+/**
+ * Checks whether applying changes would alter a todo.
+ *
+ * @param {Todo} todo - The todo
+ * @param {Partial<Todo>} changes - The fields to change
+ * @returns {boolean} True if any field would change
+ */
+const changesTodo = (todo, changes) =>
+  Object.entries(changes).some(([key, value]) => fieldKey(todo[key]) !== fieldKey(value));
+
+/**
+ * Creates the next occurrence of every recurring todo an action just
+ * completed, placed right after it. The completed todo stays as history
+ * without the rule, so reopening and completing it again doesn't repeat it twice.
+ *
+ * @param {TodoState} state - The state before the action
+ * @param {TodoState} next - The state after the action
+ * @param {OccurrenceFields} action - The action, with the IDs for new occurrences
+ * @returns {TodoState} The next state, with any new occurrences
+ */
+const withNextOccurrences = (state, next, action) => {
+  const repeats = (todo) =>
+    todo.completed && todo.recurrence && action.nextIds?.[todo.id] &&
+    !state.todos.some((before) => before.id === todo.id && before.completed);
+  if (next === state || !next.todos.some(repeats)) return next;
+  return {
+    ...next,
+    todos: next.todos.flatMap((todo) => {
+      if (!repeats(todo)) return [todo];
+      const { recurrence, ...done } = todo;
+      const seriesId = todo.seriesId ?? todo.id;
+      const rule = anchorRecurrence(recurrence, todo.dueDate, action.today);
+      return [
+        { ...done, seriesId },
+        {
+          ...todo,
+          id: action.nextIds[todo.id],
+          completed: false,
+          seriesId,
+          recurrence: rule,
+          dueDate: getNextDueDate(rule, todo.dueDate, action.today),
+          ...(todo.subtasks && { subtasks: todo.subtasks.map((subtask) => ({ ...subtask, completed: false })) }),
+        },
+      ];
+    }),
+  };
+};
+
+/**
+ * Applies an update to one todo's subtasks.
+ *
+ * @param {TodoState} state - The current state
+ * @param {string} id - The ID of the parent todo
+ * @param {string|null} subtaskId - The subtask the update needs to exist, or null for none
+ * @param {function(Todo, Array<Subtask>): Todo} update - Returns the updated parent todo
+ * @returns {TodoState} The next state, or the same state if the todo or subtask is missing
+ */
+const updateSubtasks = (state, id, subtaskId, update) => {
+  const parent = state.todos.find((todo) => todo.id === id);
+  const subtasks = parent?.subtasks ?? [];
+  if (!parent || (subtaskId !== null && !subtasks.some((subtask) => subtask.id === subtaskId))) {
+    return state;
+  }
+  const updated = update(parent, subtasks);
+  return {
+    ...state,
+    todos: state.todos.map((todo) => (todo.id === id ? updated : todo)),
+  };
+};
+
+/**
+ * Pure reducer for the todo list.
+ * Unknown action types and actions targeting a missing ID return the state unchanged.
+ *
+ * @param {TodoState} state - The current state
+ * @param {TodoAction} action - The action to apply
+ * @returns {TodoState} The next state
+ */
+export const todoReducer = (state, action) => {
+  switch (action.type) {
+    case TodoActionTypes.ADD:
+      return { ...state, todos: [...state.todos, action.todo] };
+
+    case TodoActionTypes.REMOVE: {
+      const todos = state.todos.filter((todo) => todo.id !== action.id);
+      return todos.length === state.todos.length ? state : { ...state, todos };
+    }
+
+    case TodoActionTypes.TOGGLE:
+      if (!state.todos.some((todo) => todo.id === action.id)) return state;
+      return withNextOccurrences(state, {
+        ...state,
+        todos: state.todos.map((todo) =>
+          todo.id === action.id ? { ...todo, completed: !todo.completed } : todo
+        ),
+      }, action);
+
+    case TodoActionTypes.EDIT: {
+      const todo = state.todos.find((item) => item.id === action.id);
+      if (!todo || !changesTodo(todo, action.changes)) return state;
+      return {
+        ...state,
+        todos: state.todos.map((item) =>
+          item.id === action.id ? { ...item, ...action.changes, id: item.id } : item
+        ),
+      };
+    }
+
+    case TodoActionTypes.MOVE: {
+      const todo = state.todos.find((item) => item.id === action.id);
+      if (!todo || action.id === action.targetId) return state;
+      const rest = state.todos.filter((item) => item.id !== action.id);
+      const targetIndex = rest.findIndex((item) => item.id === action.targetId);
+      if (targetIndex === -1) return state;
+      const index = action.placement === "after" ? targetIndex + 1 : targetIndex;
+      const todos = [...rest.slice(0, index), todo, ...rest.slice(index)];
+      if (todos.every((item, i) => item === state.todos[i])) return state;
+      return { ...state, todos };
+    }
+
+    case TodoActionTypes.LOAD:
+      return { ...state, todos: action.todos, lists: action.lists?.length ? action.lists : state.lists };
+
+    case TodoActionTypes.SYNC: {
+      const lists = action.lists ?? state.lists;
+      return action.todos === state.todos && lists === state.lists ? state : { ...state, todos: action.todos, lists };
+    }
+
+    case TodoActionTypes.BATCH_SET_COMPLETED: {
+      const changed = (todo) => action.ids.includes(todo.id) && todo.completed !== action.completed;
+      if (!state.todos.some(changed)) return state;
+      return withNextOccurrences(state, {
+        ...state,
+        todos: state.todos.map((todo) => (changed(todo) ? { ...todo, completed: action.completed } : todo)),
+      }, action);
+    }
+
+    case TodoActionTypes.BATCH_REMOVE: {
+      const todos = state.todos.filter((todo) => !action.ids.includes(todo.id));
+      return todos.length === state.todos.length ? state : { ...state, todos };
+    }
+
+    case TodoActionTypes.IMPORT: {
+      if (!state.lists.some((list) => list.id === action.listId)) return state;
+      if (action.todos.length === 0 && !action.replace) return state;
+      const kept = action.replace ? state.todos.filter((todo) => !isInList(todo, action.listId)) : state.todos;
+      return { ...state, todos: [...kept, ...action.todos] };
+    }
+
+    case TodoActionTypes.MOVE_TO_LIST: {
+      const todo = state.todos.find((item) => item.id === action.id);
+      if (!todo || isInList(todo, action.listId) || !state.lists.some((list) => list.id === action.listId)) {
+        return state;
+      }
+      // Moved todos go to the end of their new list
+      return {
+        ...state,
+        todos: [...state.todos.filter((item) => item !== todo), { ...todo, listId: action.listId }],
+      };
+    }
+
+    case TodoActionTypes.LIST_ADD:
+      return { ...state, lists: [...state.lists, action.list] };
+
+    case TodoActionTypes.LIST_RENAME:
+      if (!state.lists.some((list) => list.id === action.id)) return state;
+      return {
+        ...state,
+        lists: state.lists.map((list) => (list.id === action.id ? { ...list, name: action.name } : list)),
+      };
+
+    case TodoActionTypes.LIST_REMOVE:
+      // The last list can't be removed: there must always be somewhere to add todos
+      if (state.lists.length <= 1 || !state.lists.some((list) => list.id === action.id)) return state;
+      return {
+        ...state,
+        lists: state.lists.filter((list) => list.id !== action.id),
+        todos: state.todos.filter((todo) => !isInList(todo, action.id)),
+      };
+
+    case TodoActionTypes.SUBTASK_ADD:
+      return updateSubtasks(state, action.id, null, (todo, subtasks) => ({
+        ...todo,
+        subtasks: [...subtasks, action.subtask],
+      }));
+
+    case TodoActionTypes.SUBTASK_EDIT:
+      return updateSubtasks(state, action.id, action.subtaskId, (todo, subtasks) => ({
+        ...todo,
+        subtasks: subtasks.map((subtask) =>
+          subtask.id === action.subtaskId ? { ...subtask, text: action.text } : subtask
+        ),
+      }));
+
+    case TodoActionTypes.SUBTASK_TOGGLE:
+      return withNextOccurrences(state, updateSubtasks(state, action.id, action.subtaskId, (todo, subtasks) => {
+        const nextSubtasks = subtasks.map((subtask) =>
+          subtask.id === action.subtaskId ? { ...subtask, completed: !subtask.completed } : subtask
+        );
+        const allDone = nextSubtasks.every((subtask) => subtask.completed);
+        return {
+          ...todo,
+          subtasks: nextSubtasks,
+          completed: action.autoComplete && allDone ? true : todo.completed,
+        };
+      }), action);
+
+    case TodoActionTypes.SUBTASK_REMOVE:
+      return updateSubtasks(state, action.id, action.subtaskId, (todo, subtasks) => ({
+        ...todo,
+        subtasks: subtasks.filter((subtask) => subtask.id !== action.subtaskId),
+      }));
+
+    default:
+      return state;
+  }
+};
@@ -0,0 +1,344 @@
+import { todoReducer, todoActions, initialTodoState, TodoActionTypes } from './todoReducer';
+
+const stateWith = (...todos) => ({ todos });
+const todo = (id, text, completed = false) => ({ id, text, completed });
+
+describe('todoReducer', () => {
+  test('adds a todo with a generated id', () => {
+    const state = todoReducer(initialTodoState, todoActions.add('Write tests'));
+
+    expect(state.todos).toHaveLength(1);
+    expect(state.todos[0]).toEqual({ id: expect.any(String), text: 'Write tests', completed: false });
+  });
+
+  test('adds a todo as completed', () => {
+    const state = todoReducer(initialTodoState, todoActions.add('Done already', { completed: true }));
+    expect(state.todos[0].completed).toBe(true);
+  });
+
+  test('gives each added todo a different id', () => {
+    let state = todoReducer(initialTodoState, todoActions.add('First'));
+    state = todoReducer(state, todoActions.add('Second'));
+    expect(state.todos[0].id).not.toBe(state.todos[1].id);
+  });
+
+  test('removes a todo by id and keeps the order of the rest', () => {
+    const state = todoReducer(
+      stateWith(todo('a', 'First'), todo('b', 'Second'), todo('c', 'Third')),
+      todoActions.remove('b')
+    );
+    expect(state.todos.map((item) => item.id)).toEqual(['a', 'c']);
+  });
+
+  test('toggles completion by id', () => {
+    const state = todoReducer(stateWith(todo('a', 'First'), todo('b', 'Second')), todoActions.toggle('b'));
+    expect(state.todos).toEqual([todo('a', 'First'), todo('b', 'Second', true)]);
+    expect(todoReducer(state, todoActions.toggle('b')).todos[1].completed).toBe(false);
+  });
+
+  test('edits text by id without touching completion', () => {
+    const state = todoReducer(stateWith(todo('a', 'First', true)), todoActions.edit('a', { text: 'Renamed' }));
+    expect(state.todos).toEqual([todo('a', 'Renamed', true)]);
+  });
+
+  test('adds and edits optional fields such as the due date', () => {
+    let state = todoReducer(initialTodoState, todoActions.add('Pay rent', { dueDate: '2026-11-01' }));
+    expect(state.todos[0]).toMatchObject({ text: 'Pay rent', completed: false, dueDate: '2026-11-01' });
+
+    state = todoReducer(state, todoActions.edit(state.todos[0].id, { dueDate: null }));
+    expect(state.todos[0].dueDate).toBeNull();
+  });
+
+  test('never changes the id on edit', () => {
+    const state = todoReducer(stateWith(todo('a', 'First')), todoActions.edit('a', { id: 'b' }));
+    expect(state.todos[0].id).toBe('a');
+  });
+
+  test('returns the same state when an edit changes nothing', () => {
+    const state = stateWith({ ...todo('a', 'First'), tags: ['work'] });
+    expect(todoReducer(state, todoActions.edit('a', { text: 'First', tags: ['work'], dueDate: null }))).toBe(state);
+    const untagged = stateWith(todo('b', 'Second'));
+    expect(todoReducer(untagged, todoActions.edit('b', { tags: [] }))).toBe(untagged);
+    expect(todoReducer(state, todoActions.edit('a', { tags: ['home'] }))).not.toBe(state);
+  });
+
+  test('replaces the list on load', () => {
+    const loaded = [todo('x', 'Loaded')];
+    expect(todoReducer(stateWith(todo('a', 'First')), todoActions.load(loaded)).todos).toBe(loaded);
+  });
+
+  test('replaces the todos on sync, keeping the lists', () => {
+    const state = stateWith(todo('a', 'First'));
+    const synced = [todo('x', 'Synced')];
+    const next = todoReducer(state, todoActions.sync(synced));
+    expect(next.todos).toBe(synced);
+    expect(next.lists).toBe(state.lists);
+    expect(todoReducer(state, todoActions.sync(state.todos))).toBe(state);
+  });
+
+  test('replaces the lists too when sync is given them', () => {
+    const state = stateWith(todo('a', 'First'));
+    const lists = [...initialTodoState.lists, { id: 'bugs', name: 'Bugs' }];
+    const next = todoReducer(state, todoActions.sync(state.todos, lists));
+    expect(next.lists).toBe(lists);
+    expect(next.todos).toBe(state.todos);
+    expect(todoReducer(next, todoActions.sync(next.todos, lists))).toBe(next);
+  });
+
+  test('returns the same state for unknown ids and action types', () => {
+    const state = stateWith(todo('a', 'First'));
+    expect(todoReducer(state, todoActions.remove('missing'))).toBe(state);
+    expect(todoReducer(state, todoActions.toggle('missing'))).toBe(state);
+    expect(todoReducer(state, todoActions.edit('missing', { text: 'Text' }))).toBe(state);
+    expect(todoReducer(state, { type: 'todos/unknown' })).toBe(state);
+  });
+
+  test('does not mutate the previous state', () => {
+    const state = stateWith(todo('a', 'First'));
+    const snapshot = JSON.parse(JSON.stringify(state));
+    todoReducer(state, todoActions.toggle('a'));
+    todoReducer(state, todoActions.add('Second'));
+    expect(state).toEqual(snapshot);
+  });
+
+  test('action creators use the exported action types', () => {
+    expect(todoActions.remove('a').type).toBe(TodoActionTypes.REMOVE);
+    expect(todoActions.load([]).type).toBe(TodoActionTypes.LOAD);
+  });
+});
+
+describe('todoReducer moves', () => {
+  const ids = (state) => state.todos.map((item) => item.id);
+  const state = stateWith(todo('a', 'A'), todo('b', 'B'), todo('c', 'C'), todo('d', 'D'));
+
+  test('moves a todo before another', () => {
+    expect(ids(todoReducer(state, todoActions.move('d', 'b')))).toEqual(['a', 'd', 'b', 'c']);
+    expect(ids(todoReducer(state, todoActions.move('a', 'c', 'before')))).toEqual(['b', 'a', 'c', 'd']);
+  });
+
+  test('moves a todo after another', () => {
+    expect(ids(todoReducer(state, todoActions.move('a', 'c', 'after')))).toEqual(['b', 'c', 'a', 'd']);
+    expect(ids(todoReducer(state, todoActions.move('a', 'd', 'after')))).toEqual(['b', 'c', 'd', 'a']);
+  });
+
+  test('returns the same state when nothing moves', () => {
+    expect(todoReducer(state, todoActions.move('b', 'c'))).toBe(state);
+    expect(todoReducer(state, todoActions.move('b', 'b'))).toBe(state);
+    expect(todoReducer(state, todoActions.move('missing', 'b'))).toBe(state);
+    expect(todoReducer(state, todoActions.move('b', 'missing'))).toBe(state);
+  });
+});
+
+describe('todoReducer subtasks', () => {
+  const subtask = (id, text, completed = false) => ({ id, text, completed });
+  const parent = (subtasks, completed = false) => stateWith({ ...todo('p', 'Parent', completed), subtasks });
+
+  test('adds subtasks to the end of the checklist', () => {
+    let state = todoReducer(stateWith(todo('p', 'Parent')), todoActions.addSubtask('p', 'Step one'));
+    state = todoReducer(state, todoActions.addSubtask('p', 'Step two'));
+    expect(state.todos[0].subtasks.map((item) => item.text)).toEqual(['Step one', 'Step two']);
+    expect(state.todos[0].subtasks[0]).toEqual({ id: expect.any(String), text: 'Step one', completed: false });
+  });
+
+  test('edits, toggles and removes subtasks by id', () => {
+    let state = parent([subtask('s1', 'One'), subtask('s2', 'Two')]);
+    state = todoReducer(state, todoActions.editSubtask('p', 's1', 'First'));
+    state = todoReducer(state, todoActions.toggleSubtask('p', 's2'));
+    expect(state.todos[0].subtasks).toEqual([subtask('s1', 'First'), subtask('s2', 'Two', true)]);
+
+    state = todoReducer(state, todoActions.removeSubtask('p', 's1'));
+    expect(state.todos[0].subtasks).toEqual([subtask('s2', 'Two', true)]);
+  });
+
+  test('completes the parent when the last subtask is done and auto-complete is on', () => {
+    const state = parent([subtask('s1', 'One', true), subtask('s2', 'Two')]);
+    expect(todoReducer(state, todoActions.toggleSubtask('p', 's2')).todos[0].completed).toBe(false);
+    expect(todoReducer(state, todoActions.toggleSubtask('p', 's2', true)).todos[0].completed).toBe(true);
+  });
+
+  test('does not reopen a completed parent when a subtask is unchecked', () => {
+    const state = parent([subtask('s1', 'One', true)], true);
+    expect(todoReducer(state, todoActions.toggleSubtask('p', 's1', true)).todos[0].completed).toBe(true);
+  });
+
+  test('returns the same state for unknown todos or subtasks', () => {
+    const state = parent([subtask('s1', 'One')]);
+    expect(todoReducer(state, todoActions.addSubtask('missing', 'Step'))).toBe(state);
+    expect(todoReducer(state, todoActions.editSubtask('p', 'missing', 'Step'))).toBe(state);
+    expect(todoReducer(state, todoActions.toggleSubtask('p', 'missing'))).toBe(state);
+    expect(todoReducer(state, todoActions.removeSubtask('p', 'missing'))).toBe(state);
+  });
+});
+
+describe('todoReducer lists', () => {
+  const sprint = { id: 'sprint', name: 'Sprint' };
+  const bugs = { id: 'bugs', name: 'Bugs' };
+  const state = {
+    lists: [sprint, bugs],
+    todos: [
+      { ...todo('a', 'Plan'), listId: 'sprint' },
+      { ...todo('b', 'Fix login'), listId: 'bugs' },
+      { ...todo('c', 'Review'), listId: 'sprint' },
+    ],
+  };
+
+  test('starts with the default list', () => {
+    expect(initialTodoState.lists).toEqual([{ id: 'default', name: 'Todo List' }]);
+  });
+
+  test('adds and renames lists', () => {
+    let next = todoReducer(state, todoActions.addList('Personal'));
+    expect(next.lists[2]).toEqual({ id: expect.any(String), name: 'Personal' });
+
+    next = todoReducer(next, todoActions.renameList('bugs', 'Defects'));
+    expect(next.lists.map((list) => list.name)).toEqual(['Sprint', 'Defects', 'Personal']);
+  });
+
+  test('removes a list together with its todos', () => {
+    const next = todoReducer(state, todoActions.removeList('sprint'));
+    expect(next.lists).toEqual([bugs]);
+    expect(next.todos.map((item) => item.id)).toEqual(['b']);
+  });
+
+  test('never removes the last list', () => {
+    const single = { lists: [sprint], todos: [] };
+    expect(todoReducer(single, todoActions.removeList('sprint'))).toBe(single);
+  });
+
+  test('moves a todo to the end of another list', () => {
+    const next = todoReducer(state, todoActions.moveToList('a', 'bugs'));
+    expect(next.todos.map((item) => [item.id, item.listId])).toEqual([
+      ['b', 'bugs'],
+      ['c', 'sprint'],
+      ['a', 'bugs'],
+    ]);
+  });
+
+  test('loads lists along with todos when given', () => {
+    const loaded = [{ ...todo('x', 'Loaded'), listId: 'bugs' }];
+    expect(todoReducer(initialTodoState, todoActions.load(loaded, [bugs])).lists).toEqual([bugs]);
+    expect(todoReducer(state, todoActions.load(loaded)).lists).toBe(state.lists);
+  });
+
+  test('returns the same state for unknown lists and no-op moves', () => {
+    expect(todoReducer(state, todoActions.renameList('missing', 'Name'))).toBe(state);
+    expect(todoReducer(state, todoActions.removeList('missing'))).toBe(state);
+    expect(todoReducer(state, todoActions.moveToList('a', 'missing'))).toBe(state);
+    expect(todoReducer(state, todoActions.moveToList('a', 'sprint'))).toBe(state);
+    expect(todoReducer(state, todoActions.moveToList('missing', 'bugs'))).toBe(state);
+  });
+});
+
+describe('todoReducer imports', () => {
+  const lists = [{ id: 'sprint', name: 'Sprint' }, { id: 'bugs', name: 'Bugs' }];
+  const state = {
+    lists,
+    todos: [{ ...todo('a', 'Plan'), listId: 'sprint' }, { ...todo('b', 'Fix login'), listId: 'bugs' }],
+  };
+  const imported = [{ text: 'Review' }, { text: 'Ship', completed: true, priority: 'high' }];
+
+  test('appends imported todos to a list with new ids', () => {
+    const next = todoReducer(state, todoActions.importTodos(imported, 'sprint'));
+    expect(next.todos.slice(2)).toEqual([
+      { id: expect.any(String), text: 'Review', completed: false, listId: 'sprint' },
+      { id: expect.any(String), text: 'Ship', completed: true, priority: 'high', listId: 'sprint' },
+    ]);
+  });
+
+  test('replaces only the target list', () => {
+    const next = todoReducer(state, todoActions.importTodos(imported, 'sprint', true));
+    expect(next.todos.map((item) => item.text)).toEqual(['Fix login', 'Review', 'Ship']);
+  });
+
+  test('ignores imports into unknown lists and empty merges', () => {
+    expect(todoReducer(state, todoActions.importTodos(imported, 'missing'))).toBe(state);
+    expect(todoReducer(state, todoActions.importTodos([], 'sprint'))).toBe(state);
+  });
+});
+
+describe('todoReducer batch actions', () => {
+  const state = stateWith(todo('a', 'A'), todo('b', 'B', true), todo('c', 'C'));
+
+  test('completes and reopens several todos at once', () => {
+    const completed = todoReducer(state, todoActions.setCompleted(['a', 'b'], true));
+    expect(completed.todos.map((item) => item.completed)).toEqual([true, true, false]);
+    expect(completed.todos[1]).toBe(state.todos[1]);
+
+    const reopened = todoReducer(completed, todoActions.setCompleted(['a', 'b', 'c'], false));
+    expect(reopened.todos.map((item) => item.completed)).toEqual([false, false, false]);
+  });
+
+  test('removes several todos at once', () => {
+    expect(todoReducer(state, todoActions.removeMany(['a', 'c'])).todos).toEqual([todo('b', 'B', true)]);
+  });
+
+  test('returns the same state when nothing changes', () => {
+    expect(todoReducer(state, todoActions.setCompleted(['b'], true))).toBe(state);
+    expect(todoReducer(state, todoActions.setCompleted(['missing'], false))).toBe(state);
+    expect(todoReducer(state, todoActions.removeMany(['missing']))).toBe(state);
+    expect(todoReducer(state, todoActions.removeMany([]))).toBe(state);
+  });
+});
+
+describe('todoReducer recurring todos', () => {
+  // Wednesday, October 14 2026
+  const today = new Date(2026, 9, 14);
+  const weekly = { frequency: 'weekly' };
+  const chore = { ...todo('a', 'Update deps'), dueDate: '2026-10-12', recurrence: weekly };
+
+  test('creates the next occurrence after the completed one', () => {
+    const state = todoReducer(stateWith(chore, todo('b', 'Other')), todoActions.toggle('a', today));
+
+    expect(state.todos).toHaveLength(3);
+    expect(state.todos[0]).toEqual({ ...todo('a', 'Update deps', true), dueDate: '2026-10-12', seriesId: 'a' });
+    expect(state.todos[1]).toEqual({
+      ...todo(expect.any(String), 'Update deps'),
+      dueDate: '2026-10-19',
+      recurrence: weekly,
+      seriesId: 'a',
+    });
+    expect(state.todos[1].id).not.toBe('a');
+    expect(state.todos[2]).toEqual(todo('b', 'Other'));
+  });
+
+  test('keeps the series when the next occurrence is completed too', () => {
+    let state = todoReducer(stateWith(chore), todoActions.toggle('a', today));
+    state = todoReducer(state, todoActions.toggle(state.todos[1].id, today));
+
+    expect(state.todos.map((item) => [item.completed, item.dueDate, item.seriesId])).toEqual([
+      [true, '2026-10-12', 'a'],
+      [true, '2026-10-19', 'a'],
+      [false, '2026-10-26', 'a'],
+    ]);
+  });
+
+  test('keeps a monthly series on its day after a shorter month', () => {
+    const rent = { ...todo('r', 'Pay rent'), dueDate: '2027-01-31', recurrence: { frequency: 'monthly' } };
+    let state = todoReducer(stateWith(rent), todoActions.toggle('r', today));
+    state = todoReducer(state, todoActions.toggle(state.todos[1].id, today));
+
+    expect(state.todos.map((item) => item.dueDate)).toEqual(['2027-01-31', '2027-02-28', '2027-03-31']);
+    expect(state.todos[2].recurrence).toEqual({ frequency: 'monthly', day: 31 });
+  });
+
+  test('reopening a completed occurrence does not repeat it', () => {
+    let state = todoReducer(stateWith(chore), todoActions.toggle('a', today));
+    state = todoReducer(state, todoActions.toggle('a', today));
+    state = todoReducer(state, todoActions.toggle('a', today));
+    expect(state.todos).toHaveLength(2);
+  });
+
+  test('resets subtasks on the next occurrence', () => {
+    const withSteps = { ...chore, subtasks: [{ id: 's1', text: 'Run audit', completed: false }] };
+    const state = todoReducer(stateWith(withSteps), todoActions.toggleSubtask('a', 's1', true, today));
+
+    expect(state.todos[0].subtasks[0].completed).toBe(true);
+    expect(state.todos[1].subtasks).toEqual([{ id: 's1', text: 'Run audit', completed: false }]);
+  });
+
+  test('repeats todos completed in a batch', () => {
+    const state = todoReducer(stateWith(chore, todo('b', 'Other')), todoActions.setCompleted(['a', 'b'], true, today));
+    expect(state.todos.map((item) => item.completed)).toEqual([true, false, true]);
+    expect(todoReducer(state, todoActions.setCompleted(['a'], false, today)).todos).toHaveLength(3);
+  });
+});
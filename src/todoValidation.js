@@ -0,0 +1,212 @@
+import { extractTags } from "./tags";
+import { isInList } from "./lists";
+
+/**
+ * Pure validation helpers shared by the todo reducer, the `useTodos` hook
+ * and any view that needs to check todo text before submitting it.
+ *
+ * What counts as valid is described by a validation policy (see
+ * {@link DEFAULT_VALIDATION_POLICY}); the default reproduces the original
+ * alphanumeric, sentence-case behavior. Inline `#tags` are split off before
+ * any rule is applied, so they never count against the text.
+ */
+
+/**
+ * Named character sets for `policy.allowedCharacters`. Each pattern matches a
+ * single allowed character; `message` is shown when any other character is used.
+ */
+export const CHARACTER_SETS = Object.freeze({
+  /** ASCII letters, digits and whitespace (the original rule) */
+  alphanumeric: {
+    pattern: /[a-zA-Z0-9\s]/,
+    message: "Only letters, numbers, and spaces are allowed",
+  },
+  /** Letters and digits in any script, including accents, plus whitespace */
+  unicodeAlphanumeric: {
+    pattern: /[\p{L}\p{M}\p{N}\s]/u,
+    message: "Only letters, numbers, and spaces are allowed",
+  },
+  /** Any letters and digits plus punctuation and symbols (including emoji), e.g. "Email Bob re: Q3" */
+  text: {
+    pattern: /[\p{L}\p{M}\p{N}\p{P}\p{S}\s\u200D]/u,
+    message: "Only letters, numbers, punctuation, symbols and spaces are allowed",
+  },
+  /** No restriction */
+  any: {
+    pattern: null,
+    message: "",
+  },
+});
+
+/** Casing modes for `policy.casing` */
+export const CASING_MODES = Object.freeze({
+  /** Keep the text exactly as typed */
+  PRESERVE: "preserve",
+  /** First letter upper case, the rest lower case (the original rule) */
+  SENTENCE: "sentence",
+  /** First letter of every word upper case, the rest lower case */
+  TITLE: "title",
+});
+
+/** Duplicate policies for `policy.duplicates` */
+export const DUPLICATE_POLICIES = Object.freeze({
+  /** Reject text that matches an existing todo ignoring case (the original rule) */
+  CASE_INSENSITIVE: "case-insensitive",
+  /** Reject only exact matches */
+  EXACT: "exact",
+  /** Allow duplicates */
+  ALLOW: "allow",
+});
+
+/**
+ * @typedef {Object} ValidationPolicy
+ * @property {string|{pattern: RegExp|null, message: string}} allowedCharacters -
+ *   A key of {@link CHARACTER_SETS} or a custom set
+ * @property {string} casing - One of {@link CASING_MODES}
+ * @property {number} minLength - Minimum length in characters after trimming
+ * @property {number} maxLength - Maximum length in characters after trimming
+ * @property {string} duplicates - One of {@link DUPLICATE_POLICIES}
+ */
+
+/** @type {ValidationPolicy} The original validation rules */
+export const DEFAULT_VALIDATION_POLICY = Object.freeze({
+  allowedCharacters: "alphanumeric",
+  casing: CASING_MODES.SENTENCE,
+  minLength: 1,
+  maxLength: Infinity,
+  duplicates: DUPLICATE_POLICIES.CASE_INSENSITIVE,
+});
+
+/** Ready-made policies that can be passed as-is or extended */
+export const VALIDATION_PRESETS = Object.freeze({
+  default: DEFAULT_VALIDATION_POLICY,
+  /** Any language and punctuation, text kept as typed */
+  international: Object.freeze({
+    ...DEFAULT_VALIDATION_POLICY,
+    allowedCharacters: "text",
+    casing: CASING_MODES.PRESERVE,
+  }),
+});
+
+/**
+ * Fills in any missing policy fields from the default policy.
+ *
+ * @param {Partial<ValidationPolicy>} [policy] - A full or partial policy
+ * @returns {ValidationPolicy} The complete policy
+ */
+export const resolveValidationPolicy = (policy) => ({ ...DEFAULT_VALIDATION_POLICY, ...policy });
+
+/**
+ * Looks up the character set a policy refers to.
+ *
+ * @param {ValidationPolicy} policy - The policy
+ * @returns {{pattern: RegExp|null, message: string}} The character set
+ */
+const getCharacterSet = (policy) => {
+  const { allowedCharacters } = policy;
+  if (typeof allowedCharacters === "string") {
+    const characterSet = CHARACTER_SETS[allowedCharacters];
+    if (!characterSet) {
+      throw new Error(`Unknown character set "${allowedCharacters}"`);
+    }
+    return characterSet;
+  }
+  return allowedCharacters;
+};
+
+/**
+ * Applies a casing mode to text.
+ *
+ * @param {string} text - The text to format
+ * @param {string} casing - One of {@link CASING_MODES}
+ * @returns {string} The formatted text
+ */
+export const applyCasing = (text, casing) => {
+  switch (casing) {
+    case CASING_MODES.SENTENCE:
+      return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+    case CASING_MODES.TITLE:
+      return text.toLowerCase().replace(/(^|\s)(\S)/gu, (_, space, letter) => space + letter.toUpperCase());
+    default:
+      return text;
+  }
+};
+
+/**
+ * Checks if a todo text already exists. Occurrences of the same recurring
+ * todo share their text on purpose, so they never count as duplicates of
+ * the excluded todo.
+ * @param {Array<{id: string, text: string, seriesId?: string}>} todos - The current todos
+ * @param {string} text - The text to check
+ * @param {string|null} [excludeId=null] - ID of a todo to exclude from the check (for editing)
+ * @param {string} [duplicates] - One of {@link DUPLICATE_POLICIES}; case-insensitive by default
+ * @param {string|null} [listId=null] - Only compare against todos in this list (see ./lists); all todos if null
+ * @returns {boolean} True if the text is a duplicate
+ */
+export const isDuplicate = (
+  todos,
+  text,
+  excludeId = null,
+  duplicates = DUPLICATE_POLICIES.CASE_INSENSITIVE,
+  listId = null
+) => {
+  if (duplicates === DUPLICATE_POLICIES.ALLOW) {
+    return false;
+  }
+  const normalize = duplicates === DUPLICATE_POLICIES.EXACT
+    ? (value) => value
+    : (value) => value.toLowerCase();
+  const seriesId = todos.find((todo) => todo.id === excludeId)?.seriesId;
+  return todos.some((todo) =>
+    todo.id !== excludeId &&
+    (seriesId === undefined || todo.seriesId !== seriesId) &&
+    (listId === null || isInList(todo, listId)) &&
+    normalize(todo.text) === normalize(text)
+  );
+};
+
+/**
+ * Validates and formats text according to a validation policy.
+ * Inline `#tags` are removed from the text and returned separately; the
+ * duplicate check only compares the remaining text.
+ * @param {string} text - The text to validate and format
+ * @param {Array<{id: string, text: string}>} todos - The current todos, for the duplicate check
+ * @param {string|null} [excludeId=null] - ID of a todo to ignore in the duplicate check (for editing)
+ * @param {Partial<ValidationPolicy>} [policy] - The rules to apply; the default policy if omitted
+ * @param {string|null} [listId=null] - Scope the duplicate check to this list; all todos if null
+ * @returns {{ isValid: boolean, formattedText: string, message: string, tags: Array<string> }}
+ *   Validation result, formatted text and the inline tags found
+ */
+export const validateAndFormatText = (text, todos, excludeId = null, policy, listId = null) => {
+  const rules = resolveValidationPolicy(policy);
+  const { text: untaggedText, tags } = extractTags(text);
+  const trimmedText = untaggedText.trim();
+  if (trimmedText === "") {
+    return { isValid: false, formattedText: "", message: "Please enter a todo item", tags };
+  }
+
+  // Check for characters outside the allowed set
+  const { pattern, message } = getCharacterSet(rules);
+  if (pattern && [...trimmedText].some((character) => !pattern.test(character))) {
+    return { isValid: false, formattedText: "", message, tags };
+  }
+
+  // Format the text
+  const formattedText = applyCasing(trimmedText, rules.casing);
+
+  // Check the length, counting characters rather than UTF-16 units
+  const length = [...formattedText].length;
+  if (length < rules.minLength) {
+    return { isValid: false, formattedText: "", message: `Todo must be at least ${rules.minLength} characters`, tags };
+  }
+  if (length > rules.maxLength) {
+    return { isValid: false, formattedText: "", message: `Todo must be at most ${rules.maxLength} characters`, tags };
+  }
+
+  // Check for duplicates
+  if (isDuplicate(todos, formattedText, excludeId, rules.duplicates, listId)) {
+    return { isValid: false, formattedText: "", message: "This todo item already exists", tags };
+  }
+
+  return { isValid: true, formattedText, message: "", tags };
+};
@@ -0,0 +1,141 @@
+import {
+  validateAndFormatText,
+  isDuplicate,
+  applyCasing,
+  resolveValidationPolicy,
+  CASING_MODES,
+  DUPLICATE_POLICIES,
+  DEFAULT_VALIDATION_POLICY,
+  VALIDATION_PRESETS,
+} from './todoValidation';
+
+const todo = (id, text, completed = false) => ({ id, text, completed });
+
+describe('todo validation', () => {
+  const todos = [todo('a', 'Existing todo')];
+
+  test('formats valid text in sentence case', () => {
+    expect(validateAndFormatText('  buy MILK  ', todos)).toEqual({
+      isValid: true,
+      formattedText: 'Buy milk',
+      message: '',
+      tags: [],
+    });
+  });
+
+  test('rejects empty text', () => {
+    expect(validateAndFormatText('   ', todos).message).toBe('Please enter a todo item');
+  });
+
+  test('rejects special characters', () => {
+    expect(validateAndFormatText('Hello!', todos).message).toBe('Only letters, numbers, and spaces are allowed');
+  });
+
+  test('rejects case-insensitive duplicates', () => {
+    expect(isDuplicate(todos, 'EXISTING TODO')).toBe(true);
+    expect(validateAndFormatText('existing TODO', todos).message).toBe('This todo item already exists');
+  });
+
+  test('ignores the excluded id in the duplicate check', () => {
+    expect(isDuplicate(todos, 'Existing todo', 'a')).toBe(false);
+    expect(validateAndFormatText('Existing todo', todos, 'a').isValid).toBe(true);
+  });
+
+  test('lets occurrences of a recurring todo share their text', () => {
+    const series = [
+      { id: 'a', text: 'Water plants', completed: true, seriesId: 'a' },
+      { id: 'b', text: 'Water plants', completed: false, seriesId: 'a', recurrence: { frequency: 'weekly' } },
+    ];
+    expect(isDuplicate(series, 'Water plants', 'a')).toBe(false);
+    expect(isDuplicate(series, 'Water plants', 'b')).toBe(false);
+    expect(isDuplicate(series, 'Water plants')).toBe(true);
+    expect(isDuplicate([...series, { id: 'c', text: 'Feed cat' }], 'Water plants', 'c')).toBe(true);
+  });
+
+  test('scopes the duplicate check to a list when one is given', () => {
+    const listed = [
+      { id: 'a', text: 'Fix login', listId: 'bugs' },
+      { id: 'b', text: 'Plan demo' },
+    ];
+    expect(isDuplicate(listed, 'Fix login', null, undefined, 'sprint')).toBe(false);
+    expect(isDuplicate(listed, 'Fix login', null, undefined, 'bugs')).toBe(true);
+    expect(isDuplicate(listed, 'Plan demo', null, undefined, 'default')).toBe(true);
+    expect(validateAndFormatText('Fix login', listed, null, undefined, 'sprint').isValid).toBe(true);
+  });
+});
+
+describe('validation policies', () => {
+  const todos = [todo('a', 'Existing todo')];
+
+  test('the default policy is the default preset', () => {
+    expect(VALIDATION_PRESETS.default).toBe(DEFAULT_VALIDATION_POLICY);
+    expect(resolveValidationPolicy()).toEqual(DEFAULT_VALIDATION_POLICY);
+  });
+
+  test('allows accented and non-Latin letters with unicode character sets', () => {
+    const policy = { allowedCharacters: 'unicodeAlphanumeric', casing: CASING_MODES.PRESERVE };
+    expect(validateAndFormatText('Call José', todos, null, policy).formattedText).toBe('Call José');
+    expect(validateAndFormatText('買い物', todos, null, policy).isValid).toBe(true);
+    expect(validateAndFormatText('Hi!', todos, null, policy).isValid).toBe(false);
+  });
+
+  test('the international preset allows punctuation and keeps casing', () => {
+    const result = validateAndFormatText('Email Bob re: Q3', todos, null, VALIDATION_PRESETS.international);
+    expect(result).toEqual({ isValid: true, formattedText: 'Email Bob re: Q3', message: '', tags: [] });
+    expect(validateAndFormatText('Ship it 🚀', todos, null, VALIDATION_PRESETS.international).isValid).toBe(true);
+  });
+
+  test('accepts a custom character set', () => {
+    const policy = { allowedCharacters: { pattern: /[a-z]/, message: 'Lower case only' } };
+    expect(validateAndFormatText('Abc', todos, null, policy).message).toBe('Lower case only');
+  });
+
+  test('allows any character with the "any" set', () => {
+    expect(validateAndFormatText('<b>', todos, null, { allowedCharacters: 'any' }).isValid).toBe(true);
+  });
+
+  test('applies casing modes', () => {
+    expect(applyCasing('eMAIL bob', CASING_MODES.SENTENCE)).toBe('Email bob');
+    expect(applyCasing('eMAIL bob', CASING_MODES.TITLE)).toBe('Email Bob');
+    expect(applyCasing('eMAIL bob', CASING_MODES.PRESERVE)).toBe('eMAIL bob');
+    expect(applyCasing('élan vital', CASING_MODES.TITLE)).toBe('Élan Vital');
+  });
+
+  test('enforces minimum and maximum length', () => {
+    const policy = { minLength: 3, maxLength: 5 };
+    expect(validateAndFormatText('ab', todos, null, policy).message).toBe('Todo must be at least 3 characters');
+    expect(validateAndFormatText('abcdef', todos, null, policy).message).toBe('Todo must be at most 5 characters');
+    expect(validateAndFormatText('abcde', todos, null, policy).isValid).toBe(true);
+  });
+
+  test('supports exact and disabled duplicate checks', () => {
+    expect(isDuplicate(todos, 'existing TODO', null, DUPLICATE_POLICIES.EXACT)).toBe(false);
+    expect(isDuplicate(todos, 'Existing todo', null, DUPLICATE_POLICIES.EXACT)).toBe(true);
+    expect(isDuplicate(todos, 'Existing todo', null, DUPLICATE_POLICIES.ALLOW)).toBe(false);
+  });
+
+  test('rejects unknown character set names', () => {
+    expect(() => validateAndFormatText('abc', todos, null, { allowedCharacters: 'klingon' })).toThrow('Unknown character set');
+  });
+});
+
+describe('inline tags', () => {
+  const todos = [todo('a', 'Fix login')];
+
+  test('strips tags before applying the character rules', () => {
+    expect(validateAndFormatText('deploy API #backend', [])).toEqual({
+      isValid: true,
+      formattedText: 'Deploy api',
+      message: '',
+      tags: ['backend'],
+    });
+  });
+
+  test('ignores tags in the duplicate check', () => {
+    expect(validateAndFormatText('Fix login #frontend', todos).message).toBe('This todo item already exists');
+  });
+
+  test('rejects text that is only tags', () => {
+    expect(validateAndFormatText('#frontend #bug', todos).message).toBe('Please enter a todo item');
+  });
+});
@@ -0,0 +1,53 @@
+import { isValidPriority } from "./priorities";
+import { isValidTag } from "./tags";
+
+/**
+ * What a todo list shows: which sections, which list, and the search, tag,
+ * priority and sort settings. A view is plain data so a host app can keep it
+ * outside the component, e.g. in the URL (see ./routes).
+ */
+
+/** Sections a view can show */
+export const VIEW_SECTIONS = Object.freeze({
+  ALL: "all",
+  ACTIVE: "active",
+  COMPLETED: "completed",
+});
+
+/** Sort orders for the Active Tasks section; "manual" keeps the list order */
+export const SORT_ORDERS = Object.freeze(["manual", "dueDate", "priority"]);
+
+/**
+ * @typedef {Object} TodoView
+ * @property {string} section - One of {@link VIEW_SECTIONS}
+ * @property {string|null} listId - ID of the list shown; null for the first list
+ * @property {string} search - The search text
+ * @property {Array<string>} tags - Tags a todo must all have to be shown
+ * @property {string} priority - "all" or the only priority level shown in Active Tasks
+ * @property {string} sort - One of {@link SORT_ORDERS}
+ */
+
+/** @type {TodoView} The view before anything is chosen: both sections, nothing filtered */
+export const DEFAULT_VIEW = Object.freeze({
+  section: VIEW_SECTIONS.ALL,
+  listId: null,
+  search: "",
+  tags: Object.freeze([]),
+  priority: "all",
+  sort: "manual",
+});
+
+/**
+ * Fills in a partial view, replacing missing or malformed fields with their defaults.
+ *
+ * @param {Partial<TodoView>} [view] - The view, e.g. read from a URL
+ * @returns {TodoView} A complete view
+ */
+export const normalizeView = (view = {}) => ({
+  section: Object.values(VIEW_SECTIONS).includes(view.section) ? view.section : DEFAULT_VIEW.section,
+  listId: typeof view.listId === "string" && view.listId !== "" ? view.listId : null,
+  search: typeof view.search === "string" ? view.search : DEFAULT_VIEW.search,
+  tags: Array.isArray(view.tags) ? [...new Set(view.tags.filter(isValidTag))] : DEFAULT_VIEW.tags,
+  priority: isValidPriority(view.priority) ? view.priority : DEFAULT_VIEW.priority,
+  sort: SORT_ORDERS.includes(view.sort) ? view.sort : DEFAULT_VIEW.sort,
+});
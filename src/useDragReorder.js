@@ -0,0 +1,74 @@
+import { useState } from "react";
+
+/** @type {string} Data attribute marking the items that can be dropped onto */
+export const REORDER_ID_ATTRIBUTE = "data-reorder-id";
+
+/**
+ * Finds the reorderable item under a pointer position and which half of it
+ * the pointer is over.
+ *
+ * @param {number} x - Pointer X in client coordinates
+ * @param {number} y - Pointer Y in client coordinates
+ * @returns {{targetId: string, placement: "before"|"after"}|null} The drop target, or null if none
+ */
+const findDropTarget = (x, y) => {
+  const element = document.elementFromPoint?.(x, y)?.closest(`[${REORDER_ID_ATTRIBUTE}]`);
+  if (!element) return null;
+  const rect = element.getBoundingClientRect();
+  return {
+    targetId: element.getAttribute(REORDER_ID_ATTRIBUTE),
+    placement: y < rect.top + rect.height / 2 ? "before" : "after",
+  };
+};
+
+/**
+ * Hook for drag-and-drop reordering with Pointer Events, so mouse, pen and
+ * touch all work the same way. Spread `getHandleProps(id)` onto each item's
+ * drag handle and mark each droppable item with {@link REORDER_ID_ATTRIBUTE}.
+ *
+ * @param {Object} options
+ * @param {function(string, string, "before"|"after"): void} options.onDrop -
+ *   Called with the dragged ID, the target ID and the placement when an item is dropped
+ * @returns {{
+ *   draggingId: string|null,
+ *   dropTarget: {targetId: string, placement: "before"|"after"}|null,
+ *   getHandleProps: function(string): Object
+ * }} The drag state and handle props
+ */
+export function useDragReorder({ onDrop }) {
+  /** @type {[{id: string, target: Object|null}|null, Function]} State for the drag in progress */
+  const [drag, setDrag] = useState(null);
+
+  /**
+   * Builds the pointer handlers for one item's drag handle.
+   * @param {string} id - The ID of the item the handle belongs to
+   * @returns {Object} Props to spread onto the handle element
+   */
+  const getHandleProps = (id) => ({
+    onPointerDown: (e) => {
+      if (e.button > 0) return;
+      e.preventDefault();
+      e.currentTarget.setPointerCapture?.(e.pointerId);
+      setDrag({ id, target: null });
+    },
+    onPointerMove: (e) => {
+      if (drag?.id !== id) return;
+      const target = findDropTarget(e.clientX, e.clientY);
+      setDrag({ id, target: target && target.targetId !== id ? target : null });
+    },
+    onPointerUp: () => {
+      if (drag?.id !== id) return;
+      if (drag.target) {
+        onDrop(id, drag.target.targetId, drag.target.placement);
+      }
+      setDrag(null);
+    },
+    onPointerCancel: () => setDrag(null),
+  });
+
+  return {
+    draggingId: drag?.id ?? null,
+    dropTarget: drag?.target ?? null,
+    getHandleProps,
+  };
+}
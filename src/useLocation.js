@@ -0,0 +1,50 @@
+import { useState, useEffect } from "react";
+
+/**
+ * Reads the current path and query string.
+ *
+ * @returns {{pathname: string, search: string}} The location
+ */
+const readLocation = () => ({ pathname: window.location.pathname, search: window.location.search });
+
+/**
+ * Hook for the browser location, for client-side routing with the History
+ * API: it re-renders on back/forward and when `navigate` is called.
+ *
+ * @returns {{
+ *   pathname: string,
+ *   search: string,
+ *   navigate: function(string, {replace?: boolean}=): void
+ * }} The location and a function to go to another URL, adding a history
+ *   entry unless `replace` is true
+ */
+export function useLocation() {
+  /** @type {[{pathname: string, search: string}, Function]} State for the location shown */
+  const [location, setLocation] = useState(readLocation);
+
+  /**
+   * Effect hook to follow the back and forward buttons.
+   */
+  useEffect(() => {
+    const handlePopState = () => setLocation(readLocation());
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  /**
+   * Goes to another URL of the app without reloading.
+   * @param {string} url - The URL
+   * @param {Object} [options]
+   * @param {boolean} [options.replace=false] - Whether to replace the current history entry
+   */
+  const navigate = (url, { replace = false } = {}) => {
+    if (replace) {
+      window.history.replaceState(null, "", url);
+    } else {
+      window.history.pushState(null, "", url);
+    }
+    setLocation(readLocation());
+  };
+
+  return { ...location, navigate };
+}
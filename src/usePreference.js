@@ -0,0 +1,54 @@
+import { useState } from "react";
+import { DEFAULT_STORAGE_KEY, getLocalStorage } from "./storage/localStorageAdapter";
+
+/** @type {string} Prefix of the localStorage keys display preferences are saved under */
+export const PREFERENCE_KEY_PREFIX = `${DEFAULT_STORAGE_KEY}:`;
+
+/**
+ * Reads a saved preference.
+ *
+ * @param {Storage|undefined} storage - Where preferences are saved
+ * @param {string} name - The preference name
+ * @param {*} defaultValue - The value when none is saved or it can't be read
+ * @returns {*} The saved or default value
+ */
+const readPreference = (storage, name, defaultValue) => {
+  try {
+    const raw = storage?.getItem(`${PREFERENCE_KEY_PREFIX}${name}`);
+    return raw == null ? defaultValue : JSON.parse(raw);
+  } catch {
+    return defaultValue;
+  }
+};
+
+/**
+ * Hook for a display preference, such as a collapsed section, that is
+ * remembered across visits. Preferences live in localStorage next to the
+ * todos but apart from them, so they are never synced or exported. Where
+ * localStorage is missing, blocked or full, the preference still works but is forgotten.
+ *
+ * @param {string} name - The preference name
+ * @param {*} defaultValue - The value until the user picks one
+ * @param {Storage} [storageOverride] - Where preferences are saved, localStorage by default
+ * @returns {[*, function(*): void]} The value and a function to change and save it
+ */
+export function usePreference(name, defaultValue, storageOverride) {
+  const storage = storageOverride ?? getLocalStorage();
+  /** @type {[*, Function]} State for the preference value */
+  const [value, setValue] = useState(() => readPreference(storage, name, defaultValue));
+
+  /**
+   * Changes the preference and saves it.
+   * @param {*} next - The new value
+   */
+  const updateValue = (next) => {
+    setValue(next);
+    try {
+      storage?.setItem(`${PREFERENCE_KEY_PREFIX}${name}`, JSON.stringify(next));
+    } catch {
+      // Saving is best effort: the preference still applies until the page is closed
+    }
+  };
+
+  return [value, updateValue];
+}
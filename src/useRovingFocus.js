@@ -0,0 +1,119 @@
+import { useState, useEffect, useRef } from "react";
+
+/** @type {string} Data attribute marking the items that take part in roving focus */
+export const ROVING_ID_ATTRIBUTE = "data-roving-id";
+
+/**
+ * Hook for a roving tabindex over items split into sections: only one item
+ * is in the tab order, and the arrow keys move focus between items.
+ * Up/Down (and Home/End) go through every item in order, crossing sections;
+ * Left/Right jump to the first item of the previous or next section.
+ * Spread `getItemProps(id, onKeyDown)` onto each item.
+ *
+ * @param {Array<Array<string>>} sections - Item IDs in display order, one array per section
+ * @returns {{
+ *   getItemProps: function(string, function(React.KeyboardEvent): void=): Object,
+ *   focusItem: function(string|null): void,
+ *   getNeighborId: function(string): string|null
+ * }} The item props and functions to move focus
+ */
+export function useRovingFocus(sections) {
+  /** @type {[string|null, Function]} State for the ID of the item in the tab order */
+  const [activeId, setActiveId] = useState(null);
+
+  /** @type {React.MutableRefObject<string|null>} ID of an item to focus after the next render */
+  const pendingFocusRef = useRef(null);
+
+  const ids = sections.flat();
+  const tabbableId = ids.includes(activeId) ? activeId : ids[0] ?? null;
+
+  /**
+   * Effect hook to focus an item once it is rendered, e.g. after it moved to
+   * another section.
+   */
+  useEffect(() => {
+    const id = pendingFocusRef.current;
+    if (!id) return;
+    pendingFocusRef.current = null;
+    document.querySelector(`[${ROVING_ID_ATTRIBUTE}="${id}"]`)?.focus();
+  });
+
+  /**
+   * Makes an item the tabbable one and focuses it after the next render.
+   *
+   * @param {string|null} id - The item ID; null does nothing
+   */
+  const focusItem = (id) => {
+    if (!id) return;
+    setActiveId(id);
+    pendingFocusRef.current = id;
+    document.querySelector(`[${ROVING_ID_ATTRIBUTE}="${id}"]`)?.focus();
+  };
+
+  /**
+   * Finds the item to focus once an item is gone: the next one, or the
+   * previous one if it was last.
+   *
+   * @param {string} id - The item ID
+   * @returns {string|null} The neighbor's ID, or null if there is none
+   */
+  const getNeighborId = (id) => {
+    const index = ids.indexOf(id);
+    return ids[index + 1] ?? ids[index - 1] ?? null;
+  };
+
+  /**
+   * Works out which item an arrow, Home or End key moves to.
+   *
+   * @param {string} key - The key pressed
+   * @param {string} id - The focused item's ID
+   * @returns {string|null|undefined} The target ID, null if there is nowhere to go,
+   *   or undefined if the key does not navigate
+   */
+  const getTargetId = (key, id) => {
+    const index = ids.indexOf(id);
+    const sectionIndex = sections.findIndex((section) => section.includes(id));
+    switch (key) {
+      case "ArrowDown":
+        return ids[index + 1] ?? null;
+      case "ArrowUp":
+        return ids[index - 1] ?? null;
+      case "Home":
+        return ids[0];
+      case "End":
+        return ids[ids.length - 1];
+      case "ArrowRight":
+        return sections.slice(sectionIndex + 1).find((section) => section.length > 0)?.[0] ?? null;
+      case "ArrowLeft":
+        return sections.slice(0, sectionIndex).reverse().find((section) => section.length > 0)?.[0] ?? null;
+      default:
+        return undefined;
+    }
+  };
+
+  /**
+   * Props for one item. Keys pressed while one of its controls has focus are
+   * left to that control.
+   *
+   * @param {string} id - The item ID
+   * @param {function(React.KeyboardEvent): void} [onKeyDown] - Handles the item's own
+   *   shortcuts first; calling `preventDefault` skips navigation
+   * @returns {Object} Props to spread onto the item element
+   */
+  const getItemProps = (id, onKeyDown) => ({
+    [ROVING_ID_ATTRIBUTE]: id,
+    tabIndex: id === tabbableId ? 0 : -1,
+    onFocus: (e) => e.target === e.currentTarget && setActiveId(id),
+    onKeyDown: (e) => {
+      if (e.target !== e.currentTarget || e.altKey || e.ctrlKey || e.metaKey) return;
+      onKeyDown?.(e);
+      if (e.defaultPrevented) return;
+      const targetId = getTargetId(e.key, id);
+      if (targetId === undefined) return;
+      e.preventDefault();
+      focusItem(targetId);
+    },
+  });
+
+  return { getItemProps, focusItem, getNeighborId };
+}
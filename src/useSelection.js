@@ -0,0 +1,67 @@
+import { useState, useRef } from "react";
+
+/**
+ * Hook for selecting several items from an ordered list, with Shift-click
+ * ranges. Selected IDs that are no longer visible are ignored, so filters
+ * and list switches never act on items the user cannot see.
+ *
+ * @param {Array<string>} visibleIds - IDs of the selectable items, in display order
+ * @returns {{
+ *   selectedIds: Array<string>,
+ *   isSelected: function(string): boolean,
+ *   toggle: function(string, boolean): void,
+ *   selectAll: function(): void,
+ *   clear: function(): void
+ * }} The visible selection and the functions to change it
+ */
+export function useSelection(visibleIds) {
+  /** @type {[Array<string>, Function]} State for the selected IDs */
+  const [selected, setSelected] = useState([]);
+
+  /** @type {React.MutableRefObject<string|null>} ID of the last item toggled without Shift, where ranges start */
+  const anchorRef = useRef(null);
+
+  const selectedIds = visibleIds.filter((id) => selected.includes(id));
+
+  /**
+   * Toggles one item, or with `extend` selects every item between the
+   * anchor and this one.
+   *
+   * @param {string} id - The item ID
+   * @param {boolean} extend - Whether Shift was held
+   */
+  const toggle = (id, extend) => {
+    const anchorIndex = visibleIds.indexOf(anchorRef.current);
+    const index = visibleIds.indexOf(id);
+    if (extend && anchorIndex !== -1 && index !== -1) {
+      const range = visibleIds.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1);
+      setSelected((current) => [...new Set([...current, ...range])]);
+      return;
+    }
+    anchorRef.current = id;
+    setSelected((current) =>
+      current.includes(id) ? current.filter((item) => item !== id) : [...current, id]
+    );
+  };
+
+  /**
+   * Selects every visible item.
+   */
+  const selectAll = () => setSelected(visibleIds);
+
+  /**
+   * Clears the selection and the range anchor.
+   */
+  const clear = () => {
+    anchorRef.current = null;
+    setSelected([]);
+  };
+
+  return {
+    selectedIds,
+    isSelected: (id) => selectedIds.includes(id),
+    toggle,
+    selectAll,
+    clear,
+  };
+}
@@ -0,0 +1,87 @@
+import { useState, useEffect } from "react";
+
+/** @type {{type: string}} Message asking a waiting service worker to take over (see ./sw.js) */
+export const SKIP_WAITING_MESSAGE = Object.freeze({ type: "SKIP_WAITING" });
+
+/** @type {number} How often an open app checks for a new build, in milliseconds */
+export const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Hook that registers the service worker and reports when a new build has
+ * been installed and is waiting to take over. The first install isn't an
+ * update: the page it loads already runs the newest build.
+ *
+ * @param {string|null} url - URL of the service worker script; null registers
+ *   nothing, e.g. in development
+ * @param {Object} [options]
+ * @param {ServiceWorkerContainer} [options.container] - Where to register it
+ *   (defaults to navigator.serviceWorker, if the browser has one)
+ * @param {function(): void} [options.reload] - Reloads the page once the new build has taken over
+ * @returns {{
+ *   updateAvailable: boolean,
+ *   applyUpdate: function(): void,
+ *   dismissUpdate: function(): void
+ * }} Whether a new build is waiting, and functions to switch to it or ignore it
+ */
+export function useServiceWorkerUpdate(
+  url,
+  { container = globalThis.navigator?.serviceWorker, reload = () => window.location.reload() } = {}
+) {
+  /** @type {[ServiceWorker|null, Function]} State for the new build's worker, while it waits */
+  const [waitingWorker, setWaitingWorker] = useState(null);
+
+  /**
+   * Effect hook to register the service worker, watch for new builds being
+   * installed and check for one every {@link UPDATE_CHECK_INTERVAL}.
+   */
+  useEffect(() => {
+    if (!url || !container) return;
+    let cancelled = false;
+    let timer = null;
+
+    /**
+     * Offers a worker as an update if this page is already controlled by an older one.
+     * @param {ServiceWorker} worker - The installed worker
+     */
+    const offer = (worker) => {
+      if (!cancelled && container.controller) setWaitingWorker(worker);
+    };
+
+    container.register(url).then(
+      (registration) => {
+        if (cancelled) return;
+        if (registration.waiting) offer(registration.waiting);
+        registration.addEventListener("updatefound", () => {
+          const worker = registration.installing;
+          worker?.addEventListener("statechange", () => {
+            if (worker.state === "installed") offer(worker);
+          });
+        });
+        timer = setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL);
+      },
+      (error) => {
+        console.error("Could not register the service worker:", error);
+      }
+    );
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [url, container]);
+
+  /**
+   * Tells the waiting worker to take over and reloads the page once it has.
+   */
+  const applyUpdate = () => {
+    if (!waitingWorker) return;
+    container.addEventListener("controllerchange", () => reload(), { once: true });
+    waitingWorker.postMessage(SKIP_WAITING_MESSAGE);
+    setWaitingWorker(null);
+  };
+
+  return {
+    updateAvailable: waitingWorker !== null,
+    applyUpdate,
+    dismissUpdate: () => setWaitingWorker(null),
+  };
+}
@@ -0,0 +1,38 @@
+import { useState, useEffect } from "react";
+import { DARK_SCHEME_QUERY, MORE_CONTRAST_QUERY } from "./themes";
+
+/**
+ * Reads the operating system's color settings.
+ *
+ * @param {function(string): MediaQueryList} [matchMedia] - window.matchMedia, if there is one
+ * @returns {{prefersDark: boolean, prefersMoreContrast: boolean}} The settings; both false without matchMedia
+ */
+const readSystemTheme = (matchMedia) => ({
+  prefersDark: matchMedia?.(DARK_SCHEME_QUERY).matches ?? false,
+  prefersMoreContrast: matchMedia?.(MORE_CONTRAST_QUERY).matches ?? false,
+});
+
+/**
+ * Hook for the operating system's dark mode and high-contrast settings,
+ * updated when the user changes them.
+ *
+ * @param {function(string): MediaQueryList} [matchMedia=globalThis.matchMedia] - Where to read them
+ * @returns {{prefersDark: boolean, prefersMoreContrast: boolean}} The current settings
+ */
+export function useSystemTheme(matchMedia = globalThis.matchMedia) {
+  /** @type {[{prefersDark: boolean, prefersMoreContrast: boolean}, Function]} State for the settings */
+  const [systemTheme, setSystemTheme] = useState(() => readSystemTheme(matchMedia));
+
+  /**
+   * Effect hook to follow changes to either setting.
+   */
+  useEffect(() => {
+    if (!matchMedia) return;
+    const queries = [matchMedia(DARK_SCHEME_QUERY), matchMedia(MORE_CONTRAST_QUERY)];
+    const handleChange = () => setSystemTheme(readSystemTheme(matchMedia));
+    queries.forEach((query) => query.addEventListener("change", handleChange));
+    return () => queries.forEach((query) => query.removeEventListener("change", handleChange));
+  }, [matchMedia]);
+
+  return systemTheme;
+}
@@ -0,0 +1,518 @@
+import { useReducer, useState, useEffect, useRef } from "react";
+import { todoReducer, todoActions, initialTodoState, TodoActionTypes } from "./todoReducer";
+import { withHistory, historyActions, createHistoryState } from "./todoHistory";
+import { validateAndFormatText, isDuplicate, resolveValidationPolicy } from "./todoValidation";
+import { createDefaultStorage, createMemoryStorage } from "./storage";
+import { uniqueTags } from "./tags";
+import { getListId, isInList, assignOrphanedTodos, validateListName } from "./lists";
+import { previewImport as previewImportRows, IMPORT_STATUS } from "./importExport";
+
+/** @type {string} Shown when saving a change fails and it has been rolled back */
+export const SAVE_FAILED_MESSAGE = "Your last change couldn't be saved, so it was undone. Please try again.";
+
+/** @type {string} Shown when saved todos can't be loaded; nothing is saved from then on */
+export const LOAD_FAILED_MESSAGE = "Your saved todos couldn't be loaded, so changes won't be saved.";
+
+/**
+ * The todo reducer with bounded undo/redo history.
+ * Loading from storage starts a fresh history rather than being undoable, and
+ * todos passed in by a controlling parent or restored after a failed save replace
+ * the present without an undo step.
+ */
+const todoHistoryReducer = withHistory(todoReducer, {
+  resetOn: [TodoActionTypes.LOAD],
+  untracked: [TodoActionTypes.SYNC],
+});
+
+/**
+ * Hook that owns a todo list: its state, validation and persistence.
+ * It has no UI of its own, so any view can render the list it returns.
+ *
+ * Operations that take text validate it first and return the validation
+ * result; the list is only changed when `isValid` is true. Inline `#tags` in
+ * the text become the todo's `tags`. Every change can be undone and redone.
+ * Todos belong to named lists (see ./lists) and duplicates are only checked
+ * within a list. Completing a todo with a `recurrence` rule (see ./recurrence)
+ * creates its next occurrence in the same change.
+ *
+ * Changes are shown at once and saved afterwards. If a save fails, the todos
+ * go back to the last ones saved and `syncError` explains what happened.
+ * Storages that report outside changes (see ./storage) keep several tabs in
+ * step; `todosFromStorage` is true while the todos are the ones last loaded,
+ * so views can tell those apart from changes made here.
+ *
+ * The hook owns its todos unless `todos` is passed: then it is controlled, shows
+ * exactly those todos and reports each change through `onChange` for the parent
+ * to pass back. Each change starts from the `todos` passed in, so one the parent
+ * ignored is dropped rather than reported again with the next. `onAdd`,
+ * `onToggle`, `onDelete` and `onEdit` report single operations in either mode;
+ * undo, redo and other changes only reach `onChange`.
+ *
+ * @param {Object} [options]
+ * @param {{load: function(): Promise<Array>, save: function(Array, Array=): Promise<void>, loadLists?: function(): Promise<Array>}} [options.storage] -
+ *   Where todos and lists are persisted (see ./storage). Defaults to localStorage, or to memory
+ *   when `todos` or `initialTodos` is passed.
+ * @param {Array<import("./todoReducer").Todo>} [options.todos] - The todos to show, for a controlled list
+ * @param {Array<import("./todoReducer").Todo>} [options.initialTodos] - The todos to start with, for an
+ *   uncontrolled list; saved todos, if any, replace them once loaded
+ * @param {function(Array<import("./todoReducer").Todo>): void} [options.onChange] - Called with the new
+ *   todos after every change, except ones passed in as `todos`
+ * @param {function(import("./todoReducer").Todo): void} [options.onAdd] - Called with each added todo
+ * @param {function(import("./todoReducer").Todo): void} [options.onToggle] - Called with each todo
+ *   completed or reopened, as it is after the change
+ * @param {function(import("./todoReducer").Todo): void} [options.onDelete] - Called with each removed todo
+ * @param {function(import("./todoReducer").Todo): void} [options.onEdit] - Called with each changed todo,
+ *   as it is after the edit; edits that change nothing are not reported
+ * @param {Partial<import("./todoValidation").ValidationPolicy>} [options.validationPolicy] -
+ *   Rules for todo text (see ./todoValidation). Defaults to the original alphanumeric rules.
+ *   Subtask text follows the same rules, with duplicates checked within each checklist.
+ * @param {boolean} [options.autoCompleteParents=false] - Complete a todo once all its subtasks are done
+ * @returns {{
+ *   todos: Array<import("./todoReducer").Todo>,
+ *   lists: Array<import("./lists").TodoList>,
+ *   addTodo: function(string, Object=): {isValid: boolean, formattedText: string, message: string},
+ *   editTodo: function(string, string, Object=): {isValid: boolean, formattedText: string, message: string},
+ *   removeTodo: function(string): void,
+ *   toggleTodo: function(string): void,
+ *   setTodosCompleted: function(Array<string>, boolean): void,
+ *   removeTodos: function(Array<string>): void,
+ *   moveTodo: function(string, string, ("before"|"after")=): void,
+ *   addSubtask: function(string, string): {isValid: boolean, formattedText: string, message: string},
+ *   editSubtask: function(string, string, string): {isValid: boolean, formattedText: string, message: string},
+ *   toggleSubtask: function(string, string): void,
+ *   removeSubtask: function(string, string): void,
+ *   moveTodoToList: function(string, string): {isValid: boolean, message: string},
+ *   addList: function(string): {isValid: boolean, name: string, message: string, id?: string},
+ *   renameList: function(string, string): {isValid: boolean, name: string, message: string},
+ *   removeList: function(string): void,
+ *   previewImport: function(Array<Object>, {listId?: string, replace?: boolean}=): Array<import("./importExport").ImportPreviewRow>,
+ *   importTodos: function(Array<import("./importExport").ImportPreviewRow>, {listId?: string, replace?: boolean}=): number,
+ *   validateText: function(string, string=, string=): {isValid: boolean, formattedText: string, message: string},
+ *   undo: function(): void,
+ *   redo: function(): void,
+ *   canUndo: boolean,
+ *   canRedo: boolean,
+ *   syncError: string,
+ *   dismissSyncError: function(): void,
+ *   todosFromStorage: boolean
+ * }} The todos and the operations on them
+ */
+export function useTodos({
+  storage: storageOption,
+  validationPolicy,
+  autoCompleteParents = false,
+  todos: controlledTodos,
+  initialTodos,
+  onChange,
+  onAdd,
+  onToggle,
+  onDelete,
+  onEdit,
+} = {}) {
+  const [history, dispatch] = useReducer(
+    todoHistoryReducer,
+    controlledTodos ?? initialTodos,
+    (startTodos) => createHistoryState(startTodos ? { ...initialTodoState, todos: startTodos } : initialTodoState)
+  );
+  const { todos: stateTodos, lists } = history.present;
+
+  /** @type {Array<import("./todoReducer").Todo>} The todos shown: the parent's when controlled */
+  const todos = controlledTodos ?? stateTodos;
+
+  /** @type {[{load: Function, save: Function}]} Storage used for persistence, fixed for the hook's lifetime */
+  const [storage] = useState(() =>
+    storageOption ?? (controlledTodos || initialTodos ? createMemoryStorage() : createDefaultStorage())
+  );
+
+  /** @type {React.MutableRefObject<Array<Object>>} The todos last passed in or reported, so neither is echoed back */
+  const knownTodosRef = useRef(stateTodos);
+
+  /** @type {React.MutableRefObject<boolean>} Whether saved todos have been loaded; nothing is written before then */
+  const hydratedRef = useRef(false);
+
+  /** @type {React.MutableRefObject<Array<Object>>} The todos last loaded or saved, restored when a save fails */
+  const savedTodosRef = useRef(stateTodos);
+
+  /** @type {React.MutableRefObject<Array<Object>>} The lists last loaded or saved, restored with the todos */
+  const savedListsRef = useRef(lists);
+
+  /** @type {[string, Function]} State for the message about a failed load or save; empty if none */
+  const [syncError, setSyncError] = useState("");
+
+  /** @type {[Array<Object>|null, Function]} State for the todos last loaded from storage, if any */
+  const [loadedTodos, setLoadedTodos] = useState(null);
+
+  /**
+   * Effect hook to hydrate the todos and lists from storage on mount, and to
+   * load them again whenever the storage reports they were changed elsewhere
+   * (e.g. in another tab). Changes from elsewhere replace this copy and clear
+   * its undo history, since undoing would overwrite them: the last save wins.
+   * If the saved data can't be read (e.g. it was written by a newer version),
+   * the hook stays unhydrated so the saved data is never overwritten.
+   * Todos whose list is missing are moved into the first list.
+   */
+  useEffect(() => {
+    let cancelled = false;
+    const loadSaved = () => Promise.all([storage.load(), storage.loadLists ? storage.loadLists() : []]);
+
+    /**
+     * Replaces the todos and lists with saved ones.
+     * @param {[Array<Object>, Array<Object>]} saved - The saved todos and lists
+     */
+    const applySaved = ([savedTodos, savedLists]) => {
+      const knownLists = savedLists.length > 0 ? savedLists : initialTodoState.lists;
+      const restoredTodos = assignOrphanedTodos(savedTodos, knownLists);
+      savedTodosRef.current = restoredTodos;
+      savedListsRef.current = knownLists;
+      setLoadedTodos(restoredTodos);
+      dispatch(todoActions.load(restoredTodos, savedLists));
+    };
+
+    loadSaved().then(
+      (saved) => {
+        if (cancelled) return;
+        hydratedRef.current = true;
+        if (saved[0].length > 0 || saved[1].length > 0) {
+          applySaved(saved);
+        }
+      },
+      (error) => {
+        console.error("Could not load saved todos:", error);
+        if (!cancelled) setSyncError(LOAD_FAILED_MESSAGE);
+      }
+    );
+
+    const unsubscribe = storage.subscribe?.(() => {
+      if (!hydratedRef.current) return;
+      loadSaved().then(
+        (saved) => {
+          if (!cancelled) applySaved(saved);
+        },
+        (error) => {
+          console.error("Could not load todos changed elsewhere:", error);
+        }
+      );
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe?.();
+    };
+  }, [storage]);
+
+  /**
+   * Effect hook to persist the todos and lists after every change once hydrated.
+   * The change is already shown; if saving it fails, the todos and lists go back to the last saved ones.
+   */
+  useEffect(() => {
+    if (!hydratedRef.current) return;
+    storage.save(todos, lists).then(
+      () => {
+        savedTodosRef.current = todos;
+        savedListsRef.current = lists;
+      },
+      (error) => {
+        console.error("Could not save todos:", error);
+        setSyncError(SAVE_FAILED_MESSAGE);
+        dispatch(todoActions.sync(savedTodosRef.current, savedListsRef.current));
+      }
+    );
+  }, [storage, todos, lists]);
+
+  /**
+   * Effect hook to take in todos passed by a controlling parent whenever they
+   * change, without adding an undo step.
+   */
+  useEffect(() => {
+    if (controlledTodos === undefined || controlledTodos === knownTodosRef.current) return;
+    knownTodosRef.current = controlledTodos;
+    dispatch(todoActions.sync(controlledTodos));
+  }, [controlledTodos]);
+
+  /**
+   * Effect hook to report each change of the todos to `onChange`.
+   */
+  useEffect(() => {
+    if (stateTodos === knownTodosRef.current) return;
+    knownTodosRef.current = stateTodos;
+    onChange?.(stateTodos);
+  }, [stateTodos, onChange]);
+
+  /** @type {React.MutableRefObject<Array<Object>|null>} The state todos last replaced by the parent's before a change */
+  const syncedStateRef = useRef(null);
+
+  /**
+   * Applies a change. When controlled, the change starts from the parent's
+   * todos: if the parent ignored earlier changes, they are dropped first, so
+   * they aren't reported again with this one. Several changes made before the
+   * next render all build on each other.
+   * @param {Object} action - The todo action
+   */
+  const dispatchChange = (action) => {
+    if (controlledTodos !== undefined && stateTodos !== controlledTodos && syncedStateRef.current !== stateTodos) {
+      syncedStateRef.current = stateTodos;
+      dispatch(todoActions.sync(controlledTodos));
+    }
+    dispatch(action);
+  };
+
+  /**
+   * Validates text against the todos of one list.
+   * @param {string} text - The text to validate
+   * @param {string|null} [excludeId=null] - ID of a todo to ignore in the duplicate check
+   * @param {string} [listId] - The list to check for duplicates; the first list by default
+   */
+  const validateText = (text, excludeId = null, listId = lists[0].id) =>
+    validateAndFormatText(text, todos, excludeId, validationPolicy, listId);
+
+  /**
+   * Adds a todo if the text is valid.
+   * @param {string} text - The raw text entered by the user
+   * @param {Partial<import("./todoReducer").Todo>} [fields] - Other fields, e.g. `completed`, `dueDate`
+   *   or `listId` (the first list by default)
+   */
+  const addTodo = (text, fields = {}) => {
+    const listId = fields.listId ?? lists[0].id;
+    const result = validateText(text, null, listId);
+    if (result.isValid) {
+      const tags = uniqueTags([...(fields.tags ?? []), ...result.tags]);
+      const action = todoActions.add(result.formattedText, { ...fields, listId, ...(tags.length > 0 && { tags }) });
+      dispatchChange(action);
+      onAdd?.(action.todo);
+    }
+    return result;
+  };
+
+  /**
+   * Replaces a todo's text, and optionally other fields, if the new text is valid.
+   * The todo's tags are replaced by the inline `#tags` in the new text.
+   * @param {string} id - The ID of the todo to edit
+   * @param {string} text - The raw new text
+   * @param {Partial<import("./todoReducer").Todo>} [fields] - Other fields to change, e.g. `dueDate`
+   */
+  const editTodo = (id, text, fields = {}) => {
+    const todo = todos.find((item) => item.id === id);
+    const result = validateText(text, id, todo ? getListId(todo) : undefined);
+    if (result.isValid) {
+      const action = todoActions.edit(id, { ...fields, text: result.formattedText, tags: result.tags });
+      dispatchChange(action);
+      const state = { todos, lists };
+      const next = todoReducer(state, action);
+      if (next !== state) {
+        onEdit?.(next.todos.find((item) => item.id === id));
+      }
+    }
+    return result;
+  };
+
+  /**
+   * Removes a todo.
+   * @param {string} id - The ID of the todo to remove
+   */
+  const removeTodo = (id) => {
+    const todo = todos.find((item) => item.id === id);
+    dispatchChange(todoActions.remove(id));
+    if (todo) onDelete?.(todo);
+  };
+
+  /**
+   * Toggles a todo's completion status. Completing a recurring todo also
+   * creates its next occurrence.
+   * @param {string} id - The ID of the todo to toggle
+   */
+  const toggleTodo = (id) => {
+    const todo = todos.find((item) => item.id === id);
+    dispatchChange(todoActions.toggle(id));
+    if (todo) onToggle?.({ ...todo, completed: !todo.completed });
+  };
+
+  /**
+   * Completes or reopens several todos as one undoable change.
+   * @param {Array<string>} ids - The IDs of the todos
+   * @param {boolean} completed - Whether to complete (true) or reopen (false) them
+   */
+  const setTodosCompleted = (ids, completed) => {
+    dispatchChange(todoActions.setCompleted(ids, completed));
+    todos
+      .filter((todo) => ids.includes(todo.id) && todo.completed !== completed)
+      .forEach((todo) => onToggle?.({ ...todo, completed }));
+  };
+
+  /**
+   * Removes several todos as one undoable change.
+   * @param {Array<string>} ids - The IDs of the todos to remove
+   */
+  const removeTodos = (ids) => {
+    dispatchChange(todoActions.removeMany(ids));
+    todos.filter((todo) => ids.includes(todo.id)).forEach((todo) => onDelete?.(todo));
+  };
+
+  /**
+   * Moves a todo next to another one, changing the list order.
+   * @param {string} id - The ID of the todo to move
+   * @param {string} targetId - The ID of the todo to move it next to
+   * @param {"before"|"after"} [placement="before"] - Which side of the target to place it
+   */
+  const moveTodo = (id, targetId, placement) => dispatchChange(todoActions.move(id, targetId, placement));
+
+  /**
+   * Validates subtask text against the parent's other subtasks.
+   * Inline tags aren't kept on subtasks, so they are stripped like on todos.
+   * @param {string} id - The ID of the parent todo
+   * @param {string} text - The raw subtask text
+   * @param {string|null} [excludeSubtaskId=null] - ID of a subtask to ignore in the duplicate check
+   */
+  const validateSubtaskText = (id, text, excludeSubtaskId = null) => {
+    const parent = todos.find((todo) => todo.id === id);
+    return validateAndFormatText(text, parent?.subtasks ?? [], excludeSubtaskId, validationPolicy);
+  };
+
+  /**
+   * Adds a subtask to the end of a todo's checklist if the text is valid.
+   * @param {string} id - The ID of the parent todo
+   * @param {string} text - The raw subtask text
+   */
+  const addSubtask = (id, text) => {
+    const result = validateSubtaskText(id, text);
+    if (result.isValid) {
+      dispatchChange(todoActions.addSubtask(id, result.formattedText));
+    }
+    return result;
+  };
+
+  /**
+   * Replaces a subtask's text if the new text is valid.
+   * @param {string} id - The ID of the parent todo
+   * @param {string} subtaskId - The ID of the subtask
+   * @param {string} text - The raw new text
+   */
+  const editSubtask = (id, subtaskId, text) => {
+    const result = validateSubtaskText(id, text, subtaskId);
+    if (result.isValid) {
+      dispatchChange(todoActions.editSubtask(id, subtaskId, result.formattedText));
+    }
+    return result;
+  };
+
+  /**
+   * Toggles a subtask, completing the parent if configured and all are done.
+   * @param {string} id - The ID of the parent todo
+   * @param {string} subtaskId - The ID of the subtask
+   */
+  const toggleSubtask = (id, subtaskId) =>
+    dispatchChange(todoActions.toggleSubtask(id, subtaskId, autoCompleteParents));
+
+  /**
+   * Removes a subtask.
+   * @param {string} id - The ID of the parent todo
+   * @param {string} subtaskId - The ID of the subtask
+   */
+  const removeSubtask = (id, subtaskId) => dispatchChange(todoActions.removeSubtask(id, subtaskId));
+
+  /**
+   * Moves a todo to the end of another list, unless that list already has a todo with the same text.
+   * @param {string} id - The ID of the todo to move
+   * @param {string} listId - The ID of the list to move it to
+   */
+  const moveTodoToList = (id, listId) => {
+    const todo = todos.find((item) => item.id === id);
+    const { duplicates } = resolveValidationPolicy(validationPolicy);
+    if (todo && isDuplicate(todos, todo.text, id, duplicates, listId)) {
+      const list = lists.find((item) => item.id === listId);
+      return { isValid: false, message: `"${todo.text}" already exists in ${list?.name ?? "that list"}` };
+    }
+    dispatchChange(todoActions.moveToList(id, listId));
+    return { isValid: true, message: "" };
+  };
+
+  /**
+   * Creates a list if the name is valid; the result includes the new list's ID.
+   * @param {string} name - The list name as typed
+   */
+  const addList = (name) => {
+    const result = validateListName(name, lists);
+    if (!result.isValid) return result;
+    const action = todoActions.addList(result.name);
+    dispatchChange(action);
+    return { ...result, id: action.list.id };
+  };
+
+  /**
+   * Renames a list if the new name is valid.
+   * @param {string} id - The ID of the list
+   * @param {string} name - The new name as typed
+   */
+  const renameList = (id, name) => {
+    const result = validateListName(name, lists, id);
+    if (result.isValid) {
+      dispatchChange(todoActions.renameList(id, result.name));
+    }
+    return result;
+  };
+
+  /**
+   * Removes a list and its todos. The last remaining list is never removed.
+   * @param {string} id - The ID of the list
+   */
+  const removeList = (id) => dispatchChange(todoActions.removeList(id));
+
+  /**
+   * Checks parsed import records against a list (see ./importExport).
+   * When replacing, the list's current todos are ignored for the duplicate check.
+   * @param {Array<import("./importExport").ImportRecord>} records - The parsed records
+   * @param {Object} [options]
+   * @param {string} [options.listId] - The list to import into; the first list by default
+   * @param {boolean} [options.replace=false] - Whether the import will replace the list's todos
+   */
+  const previewImport = (records, { listId = lists[0].id, replace = false } = {}) =>
+    previewImportRows(records, replace ? [] : todos.filter((todo) => isInList(todo, listId)), validationPolicy);
+
+  /**
+   * Adds the accepted rows of an import preview to a list as one undoable change.
+   * @param {Array<import("./importExport").ImportPreviewRow>} rows - Rows from {@link previewImport}
+   * @param {Object} [options]
+   * @param {string} [options.listId] - The list to import into; the first list by default
+   * @param {boolean} [options.replace=false] - Whether to remove the list's current todos first
+   * @returns {number} How many todos were imported
+   */
+  const importTodos = (rows, { listId = lists[0].id, replace = false } = {}) => {
+    const accepted = rows.filter((row) => row.status === IMPORT_STATUS.ACCEPTED).map((row) => row.todo);
+    dispatchChange(todoActions.importTodos(accepted, listId, replace));
+    return accepted.length;
+  };
+
+  /** Reverts the most recent change. */
+  const undo = () => dispatch(historyActions.undo());
+
+  /** Re-applies the most recently undone change. */
+  const redo = () => dispatch(historyActions.redo());
+
+  return {
+    todos,
+    lists,
+    addTodo,
+    editTodo,
+    removeTodo,
+    toggleTodo,
+    setTodosCompleted,
+    removeTodos,
+    moveTodo,
+    addSubtask,
+    editSubtask,
+    toggleSubtask,
+    removeSubtask,
+    moveTodoToList,
+    addList,
+    renameList,
+    removeList,
+    previewImport,
+    importTodos,
+    validateText,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    syncError,
+    dismissSyncError: () => setSyncError(""),
+    todosFromStorage: stateTodos === loadedTodos,
+  };
+}
@@ -1,7 +1,49 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
+
+/**
+ * Emits the service worker (src/sw.js) as /sw.js with the list of files to
+ * cache for offline use: every built file plus everything in public/.
+ * The version is a hash of that list; built file names carry content hashes,
+ * so any change to the app gives a new version and browsers see an update.
+ *
+ * @returns {import('vite').Plugin} The plugin
+ */
+function serviceWorker() {
+  return {
+    name: 'todo-list-service-worker',
+    enforce: 'post',
+    apply: (config, { command, mode }) => command === 'build' && mode !== 'lib',
+    generateBundle(options, bundle) {
+      const urls = [...Object.keys(bundle), ...readdirSync('public')]
+      const version = createHash('sha256').update(urls.join('\n')).digest('hex').slice(0, 12)
+      const source = readFileSync('src/sw.js', 'utf8')
+        .replace('= self.__PRECACHE_MANIFEST;', `= ${JSON.stringify({ version, urls })};`)
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
-})
+export default defineConfig(({ mode }) => ({
+  plugins: [react(), serviceWorker()],
+  // `vite build --mode lib` builds the component as a library from src/index.js,
+  // leaving React to the consuming app
+  ...(mode === 'lib' && {
+    publicDir: false,
+    build: {
+      outDir: 'lib',
+      lib: {
+        entry: 'src/index.js',
+        formats: ['es'],
+        fileName: 'todo-list-copilot',
+        cssFileName: 'style',
+      },
+      rollupOptions: {
+        external: ['react', 'react-dom', 'react/jsx-runtime'],
+      },
+    },
+  }),
+}))